@@ -1,10 +1,124 @@
+import crypto from 'crypto';
 import express from 'express';
 import mongoose from 'mongoose';
+import ScheduleCache from './models/ScheduleCache.js';
+import Webhook from './models/Webhook.js';
+import WebhookDelivery from './models/WebhookDelivery.js';
+import {
+  getScheduleVersions,
+  getScheduleVersion,
+  diffVersions,
+  formatVersionDiff,
+  getRecentChanges,
+} from './services/historyService.js';
+import {
+  getNormalizedSchedule,
+  getPowerStatus,
+  normalizeChanges,
+  serializeInterval,
+} from './services/scheduleService.js';
+import { getAllProviders } from './providers/index.js';
+import { isValidQueue } from './utils/helpers.js';
+import { buildOutageCalendar } from './utils/ical.js';
+import {
+  generateWebhookSecret,
+  validateWebhookInput,
+  sendTestDelivery,
+} from './services/webhookService.js';
+import { DEFAULT_REGION, TIMING } from './config/constants.js';
 
 const app = express();
 
 /**
- * Initialize Express server with health check endpoint
+ * Validate :queue param against ?region= (defaults to DEFAULT_REGION)
+ * Sets req.region and req.queue for the route handler
+ */
+function resolveQueue(req, res, next) {
+  const region = req.query.region || DEFAULT_REGION;
+  const { queue } = req.params;
+
+  if (!isValidQueue(queue, region)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid queue or region' });
+  }
+
+  req.region = region;
+  req.queue = queue;
+  next();
+}
+
+/**
+ * Parse ?limit= query param
+ * @param {string} value - Query value
+ * @param {number} defaultLimit - Limit when not given
+ * @param {number} max - Largest allowed limit
+ * @returns {number} Limit between 1 and max
+ */
+function parseLimit(value, defaultLimit, max) {
+  return Math.max(1, Math.min(parseInt(value) || defaultLimit, max));
+}
+
+/**
+ * Compare Authorization header with the admin token in constant time
+ * @param {string} header - Authorization header
+ * @param {string} token - ADMIN_API_TOKEN
+ * @returns {boolean} True if header is "Bearer <token>"
+ */
+function isAdminAuthorization(header, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(String(header || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Require admin bearer token (ADMIN_API_TOKEN) for admin routes
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+
+  if (!token) {
+    return res.status(503).json({ status: 'error', message: 'Admin API is disabled' });
+  }
+
+  if (!isAdminAuthorization(req.get('Authorization'), token)) {
+    return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * Pick fields admins may set on a webhook
+ * @param {Object} body - Request body
+ * @returns {Object} Webhook fields present in body
+ */
+function pickWebhookFields(body = {}) {
+  const fields = {};
+  for (const key of ['url', 'description', 'region', 'queues', 'events', 'active']) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Wrap async route handler so errors become 500 responses
+ * @param {Function} handler - Async route handler
+ * @returns {Function} Express handler
+ */
+function asyncRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`[API] Error in ${req.method} ${req.path}:`, error.message);
+      res.status(500).json({ status: 'error', message: 'Internal error' });
+    }
+  };
+}
+
+/**
+ * Initialize Express server with health check and read-only schedule endpoints
  */
 export function initializeAPI(port) {
   // Health check endpoint
@@ -51,8 +165,234 @@ export function initializeAPI(port) {
     }
   });
 
+  // Regions and their queues
+  app.get('/queues', asyncRoute(async (req, res) => {
+    const caches = await ScheduleCache.find({}).select('region queue updatedAt');
+
+    res.status(200).json({
+      regions: getAllProviders().map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        queues: provider.queues.map(queue => {
+          const cache = caches.find(c => c.region === provider.id && c.queue === queue);
+          return { queue, updatedAt: cache?.updatedAt || null };
+        }),
+      })),
+    });
+  }));
+
+  // Normalized schedule of a queue
+  app.get('/queues/:queue/schedule', resolveQueue, asyncRoute(async (req, res) => {
+    const { region, queue } = req;
+    const cache = await ScheduleCache.findOne({ region, queue });
+
+    if (!cache?.rawSchedule) {
+      return res.status(404).json({ status: 'error', message: 'No schedule cached for queue' });
+    }
+
+    res.status(200).json({
+      region,
+      queue,
+      updatedAt: cache.updatedAt,
+      days: getNormalizedSchedule(cache.rawSchedule, queue),
+    });
+  }));
+
+  // Current power status of a queue
+  app.get('/queues/:queue/status', resolveQueue, asyncRoute(async (req, res) => {
+    const { region, queue } = req;
+    const cache = await ScheduleCache.findOne({ region, queue });
+
+    if (!cache?.rawSchedule) {
+      return res.status(404).json({ status: 'error', message: 'No schedule cached for queue' });
+    }
+
+    const now = new Date();
+    const status = getPowerStatus(cache.rawSchedule, queue, now);
+
+    res.status(200).json({
+      region,
+      queue,
+      timestamp: now.toISOString(),
+      powerOff: status.powerOff,
+      currentOutage: serializeInterval(status.currentOutage),
+      nextOutage: serializeInterval(status.nextOutage),
+      nextChangeAt: status.nextChangeAt?.toISOString() || null,
+      minutesUntilChange: status.minutesUntilChange,
+    });
+  }));
+
+  // Recent schedule changes of a queue
+  app.get('/queues/:queue/changes', resolveQueue, asyncRoute(async (req, res) => {
+    const { region, queue } = req;
+    const limit = parseLimit(req.query.limit, TIMING.HISTORY_LIST_LIMIT, 100);
+    const changes = await getRecentChanges(queue, region, limit);
+
+    res.status(200).json({
+      region,
+      queue,
+      changes: changes.map(change => ({
+        ...change,
+        changes: normalizeChanges(change.changes),
+      })),
+    });
+  }));
+
+  // iCalendar feed of outage periods for a queue
+  app.get('/ical/:queue.ics', resolveQueue, asyncRoute(async (req, res) => {
+    const { region, queue } = req;
+    const cache = await ScheduleCache.findOne({ region, queue });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="queue-${queue}.ics"`);
+    res.status(200).send(buildOutageCalendar(cache?.rawSchedule || [], queue, region));
+  }));
+
+  // Webhook registry (admin)
+  const admin = express.Router();
+  admin.use(requireAdmin, express.json());
+
+  admin.get('/webhooks', asyncRoute(async (req, res) => {
+    const webhooks = await Webhook.find({}).sort({ createdAt: -1 });
+    res.status(200).json({ webhooks });
+  }));
+
+  admin.post('/webhooks', asyncRoute(async (req, res) => {
+    const fields = pickWebhookFields(req.body);
+
+    if (!fields.url) {
+      return res.status(400).json({ status: 'error', message: 'url is required' });
+    }
+
+    const error = validateWebhookInput(fields);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const secret = req.body.secret || generateWebhookSecret();
+    const webhook = await Webhook.create({ ...fields, secret });
+
+    // Secret is returned only once, on creation
+    res.status(201).json({ webhook: { ...webhook.toObject(), secret } });
+  }));
+
+  admin.get('/webhooks/:id', asyncRoute(async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id).catch(() => null);
+    if (!webhook) {
+      return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+    }
+    res.status(200).json({ webhook });
+  }));
+
+  admin.patch('/webhooks/:id', asyncRoute(async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id).catch(() => null);
+    if (!webhook) {
+      return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+    }
+
+    const fields = pickWebhookFields(req.body);
+
+    // Queues kept from before must exist in a new region too
+    const input = fields.region !== undefined && fields.queues === undefined
+      ? { ...fields, queues: [...webhook.queues] }
+      : fields;
+    const error = validateWebhookInput(input, webhook.region);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    webhook.set(fields);
+    await webhook.save();
+    res.status(200).json({ webhook });
+  }));
+
+  admin.delete('/webhooks/:id', asyncRoute(async (req, res) => {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id).catch(() => null);
+    if (!webhook) {
+      return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+    }
+    res.status(204).end();
+  }));
+
+  admin.get('/webhooks/:id/deliveries', asyncRoute(async (req, res) => {
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const filter = { webhook: req.params.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .catch(() => []);
+    res.status(200).json({ deliveries });
+  }));
+
+  admin.post('/webhooks/:id/test', asyncRoute(async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id).select('+secret').catch(() => null);
+    if (!webhook) {
+      return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+    }
+
+    const delivery = await sendTestDelivery(webhook);
+    res.status(200).json({ delivery });
+  }));
+
+  app.use('/admin', admin);
+
+  // Schedule version timeline for a queue
+  app.get('/history/:queue', resolveQueue, asyncRoute(async (req, res) => {
+    const { region, queue } = req;
+    const limit = parseLimit(req.query.limit, TIMING.HISTORY_LIST_LIMIT, 100);
+
+    const versions = await getScheduleVersions(queue, region, limit);
+
+    res.status(200).json({
+      region,
+      queue,
+      versions: versions.map(version => ({
+        id: version._id,
+        hash: version.hash,
+        fetchedAt: version.fetchedAt,
+      })),
+    });
+  }));
+
+  // Diff between two versions (defaults to the two latest)
+  app.get('/history/:queue/diff', resolveQueue, asyncRoute(async (req, res) => {
+    const { region, queue } = req;
+    let { from, to } = req.query;
+
+    if (!from || !to) {
+      const latest = await getScheduleVersions(queue, region, 2);
+      if (latest.length < 2) {
+        return res.status(404).json({ status: 'error', message: 'Not enough versions to compare' });
+      }
+      from = from || latest[1]._id;
+      to = to || latest[0]._id;
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getScheduleVersion(from, queue, region),
+      getScheduleVersion(to, queue, region),
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ status: 'error', message: 'Version not found' });
+    }
+
+    res.status(200).json({
+      region,
+      queue,
+      from: { id: fromVersion._id, hash: fromVersion.hash, fetchedAt: fromVersion.fetchedAt },
+      to: { id: toVersion._id, hash: toVersion.hash, fetchedAt: toVersion.fetchedAt },
+      changes: normalizeChanges(diffVersions(fromVersion, toVersion, queue)),
+      text: formatVersionDiff(fromVersion, toVersion, queue),
+    });
+  }));
+
   app.listen(port, () => {
-    console.log(`[API] Health check server running on port ${port}`);
+    console.log(`[API] Health check and schedule API server running on port ${port}`);
   });
 
   return app;
@@ -1,17 +1,60 @@
 import TelegramBot from 'node-telegram-bot-api';
 import ScheduleCache from './models/ScheduleCache.js';
+import User from './models/User.js';
 import { LOG_PREFIX } from './config/constants.js';
+import { canManageChat } from './telegram/permissions.js';
+import { t, getTranslations, getUserLanguage } from './utils/i18n.js';
 import {
   handleStart,
   handleQueues,
+  handleRegion,
+  handleFind,
+  handleAddressInput,
+  handleFindCallback,
+  handleLocations,
+  handleLocationInput,
+  handleLocationCallback,
   handleTimers,
+  handleTimerInput,
   handleStatus,
+  handleLive,
+  handleChart,
+  handleFilter,
+  handleHistory,
+  handleStats,
+  handleCalendar,
   handleSettings,
+  handleQuiet,
+  handleTimezone,
+  handleLanguage,
+  handleDigest,
   handleQueueCallback,
   handleTimerCallback,
   handleSettingsCallback,
+  handleRegionCallback,
+  handleStatsCallback,
+  handleQuietHoursCallback,
+  handleDigestCallback,
+  handleLanguageCallback,
+  handleInlineQuery,
+  handleMyChatMember,
+  handleChatMigration,
 } from './telegram/handlers.js';
 
+// Callbacks that change chat settings; in groups and channels only admins may use them
+const MANAGE_CALLBACK_PREFIXES = ['queue_', 'region_', 'timer_', 'settings_', 'quiet_', 'digest_', 'find_', 'loc_', 'language_'];
+
+/**
+ * Build a regexp matching a reply keyboard button in any interface language
+ * Chats keep buttons sent before a language change, so every translation is accepted
+ * @param {string} key - Message key of the button label
+ * @returns {RegExp} Button regexp
+ */
+function buildButtonRegExp(key) {
+  const labels = getTranslations(key).map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?:${labels.join('|')})`);
+}
+
 /**
  * Initialize Telegram bot with all handlers
  * @param {string} token - Telegram bot token
@@ -29,36 +72,111 @@ export function initializeBot(token) {
 
   console.log(`${LOG_PREFIX.BOT} Telegram bot initialized`);
 
+  // Commands work in private chats, groups and channels
+  const commands = [
+    [/\/start/, (msg) => handleStart(bot, msg)],
+    [/\/queues/, (msg) => handleQueues(bot, msg)],
+    [/\/region/, (msg) => handleRegion(bot, msg)],
+    [/\/find(?:@\w+)?(?:\s+(.+))?/, (msg, match) => handleFind(bot, msg, match)],
+    [/\/timers(?:@\w+)?(?:\s+(add|remove)\s+(.+))?/, (msg, match) => handleTimers(bot, msg, match)],
+    [/\/status/, (msg) => handleStatus(bot, msg, ScheduleCache)],
+    [/\/live(?:@\w+)?(?:\s+(\S+))?/, (msg, match) => handleLive(bot, msg, match)],
+    [/\/chart(?:@\w+)?(?:\s+(.+))?/, (msg, match) => handleChart(bot, msg, match)],
+    [/\/settings/, (msg) => handleSettings(bot, msg)],
+    [/\/locations(?:@\w+)?(?:\s+add\s+(.+))?/, (msg, match) => handleLocations(bot, msg, match)],
+    [/\/quiet(?:@\w+)?(?:\s+(.+))?/, (msg, match) => handleQuiet(bot, msg, match)],
+    [/\/digest(?:@\w+)?(?:\s+(.+))?/, (msg, match) => handleDigest(bot, msg, match)],
+    [/\/timezone(?:@\w+)?(?:\s+(\S+))?/, (msg, match) => handleTimezone(bot, msg, match)],
+    [/\/filter(?:@\w+)?(?:\s+(.+))?/, (msg, match) => handleFilter(bot, msg, match)],
+    [/\/language(?:@\w+)?(?:\s+(\S+))?/, (msg, match) => handleLanguage(bot, msg, match)],
+    [/\/history(?:@\w+)?(?:\s+(\S+))?(?:\s+(\d+))?(?:\s+(\d+))?/, (msg, match) => handleHistory(bot, msg, match)],
+    [/\/stats(?:@\w+)?(?:\s+(\d+))?/, (msg, match) => handleStats(bot, msg, match)],
+    [/\/calendar/, (msg) => handleCalendar(bot, msg)],
+  ];
+
   // Register commands
-  bot.onText(/\/start/, (msg) => handleStart(bot, msg));
-  bot.onText(/\/queues/, (msg) => handleQueues(bot, msg));
-  bot.onText(/\/timers/, (msg) => handleTimers(bot, msg));
-  bot.onText(/\/status/, (msg) => handleStatus(bot, msg, ScheduleCache));
-  bot.onText(/\/settings/, (msg) => handleSettings(bot, msg));
+  for (const [regexp, handler] of commands) {
+    bot.onText(regexp, handler);
+  }
 
-  // Handle keyboard button texts (Ukrainian)
-  bot.onText(/📊 Поточний статус/, (msg) => handleStatus(bot, msg, ScheduleCache));
-  bot.onText(/⚙️ Налаштування/, (msg) => handleSettings(bot, msg));
+  // Channel posts are not delivered to onText, so route them through the same table
+  bot.on('channel_post', (msg) => {
+    if (!msg.text) {
+      return;
+    }
+
+    for (const [regexp, handler] of commands) {
+      const match = regexp.exec(msg.text);
+      if (match) {
+        handler(msg, match);
+      }
+    }
+  });
+
+  // Handle keyboard button texts (all interface languages)
+  bot.onText(buildButtonRegExp('menu.status'), (msg) => handleStatus(bot, msg, ScheduleCache));
+  bot.onText(buildButtonRegExp('menu.settings'), (msg) => handleSettings(bot, msg));
+
+  // Replies to the custom timer, address and new location prompts
+  bot.on('message', (msg) => {
+    handleTimerInput(bot, msg);
+    handleAddressInput(bot, msg);
+    handleLocationInput(bot, msg);
+  });
+
+  // Inline mode: "@bot 3.1" in any chat (must be enabled with /setinline in BotFather)
+  bot.on('inline_query', (query) => handleInlineQuery(bot, query));
+
+  // Track bot membership and group upgrades
+  bot.on('my_chat_member', (update) => handleMyChatMember(bot, update));
+  bot.on('migrate_to_chat_id', (msg) => handleChatMigration(bot, msg));
 
   // Handle callback queries (button clicks)
   bot.on('callback_query', async (query) => {
     const callbackData = query.data;
+    let language = getUserLanguage(null, query.from);
     console.log(`${LOG_PREFIX.BOT} Callback query received: ${callbackData}`);
 
     try {
+      // Replies use the chat's language, not the language of the member who pressed the button
+      const chatId = query.message?.chat.id;
+      if (chatId) {
+        language = getUserLanguage(await User.findOne({ chatId }), query.from);
+      }
+
+      if (MANAGE_CALLBACK_PREFIXES.some(prefix => callbackData.startsWith(prefix)) &&
+          !(await canManageChat(bot, query.message.chat, query.from))) {
+        await bot.answerCallbackQuery(query.id, t(language, 'common.notAdmin'), true);
+        return;
+      }
+
       if (callbackData.startsWith('queue_')) {
         await handleQueueCallback(bot, query, callbackData);
+      } else if (callbackData.startsWith('loc_')) {
+        await handleLocationCallback(bot, query, callbackData);
+      } else if (callbackData.startsWith('find_')) {
+        await handleFindCallback(bot, query, callbackData);
+      } else if (callbackData.startsWith('region_')) {
+        await handleRegionCallback(bot, query, callbackData);
+      } else if (callbackData.startsWith('stats_')) {
+        await handleStatsCallback(bot, query, callbackData);
+      } else if (callbackData.startsWith('digest_')) {
+        await handleDigestCallback(bot, query, callbackData);
+      } else if (callbackData.startsWith('quiet_')) {
+        await handleQuietHoursCallback(bot, query, callbackData);
       } else if (callbackData.startsWith('timer_')) {
         await handleTimerCallback(bot, query, callbackData);
+      } else if (callbackData.startsWith('language_')) {
+        await handleLanguageCallback(bot, query, callbackData);
       } else if (callbackData.startsWith('settings_') || callbackData === 'back_to_menu') {
         await handleSettingsCallback(bot, query, callbackData);
       } else {
         console.warn(`${LOG_PREFIX.BOT} Unknown callback data: ${callbackData}`);
-        await bot.answerCallbackQuery(query.id, '❌ Невідома команда');
+        await bot.answerCallbackQuery(query.id, t(language, 'common.unknownCommand'));
       }
     } catch (error) {
       console.error(`${LOG_PREFIX.BOT} Error handling callback query:`, error);
-      await bot.answerCallbackQuery(query.id, '❌ Сталася помилка').catch(() => {});
+      await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort')).catch(() => {});
     }
   });
 
@@ -73,8 +191,9 @@ export function initializeBot(token) {
   });
 
   console.log(`${LOG_PREFIX.BOT} All commands registered`);
-  console.log(`${LOG_PREFIX.BOT} Commands: /start, /queues, /timers, /status, /settings`);
-  console.log(`${LOG_PREFIX.BOT} Keyboard buttons: 📊 Поточний статус, ⚙️ Налаштування`);
+  console.log(`${LOG_PREFIX.BOT} Commands: /start, /queues, /region, /find, /timers, /quiet, /digest, /filter, /timezone, /language, /status, /live, /chart, /history, /stats, /calendar, /locations, /settings`);
+  console.log(`${LOG_PREFIX.BOT} Keyboard buttons: ${[...getTranslations('menu.status'), ...getTranslations('menu.settings')].join(', ')}`);
+  console.log(`${LOG_PREFIX.BOT} Inline mode: @<bot> <queue>`);
 
   return bot;
 }
\ No newline at end of file
@@ -6,18 +6,42 @@
 export const TIMING = {
   INITIAL_STARTUP_DELAY: 5000, // 5 seconds
   API_REQUEST_DELAY: 500, // 500ms between API requests
-  NOTIFICATION_DELAY: 100, // 100ms between notifications
+  API_TIMEOUT: 10000, // 10 seconds per upstream request
   POWER_RETURN_CHECK_WINDOW: 2, // 2 minutes window for power return
+  REMINDER_CHECK_WINDOW: 1, // Minutes covered by the first reminder run when no previous run is stored
+  REMINDER_CATCHUP_MINUTES: 30, // Reminders overdue by more than 30 minutes (e.g. after downtime) are dropped
   NOTIFICATION_RETENTION_HOURS: 48, // Keep notifications for 48 hours
-  MIDNIGHT_HOUR: 0, // Midnight transition hour
-  EARLY_MORNING_CUTOFF: 1, // 1 AM cutoff for midnight transitions
+  HISTORY_RETENTION_DAYS: 30, // Keep schedule versions for 30 days
+  HISTORY_LIST_LIMIT: 10, // Versions shown in /history
+  STATS_CATCHUP_DAYS: 30, // Missed stats rollups are redone for up to 30 past days (from archived versions)
 };
 
 // Notification timers (in minutes)
 export const DEFAULT_TIMERS = [5, 10, 15, 30];
-export const AVAILABLE_TIMERS = [5, 10, 15, 30];
+export const AVAILABLE_TIMERS = [5, 10, 15, 30]; // Preset buttons; users can add their own
+export const TIMER_LIMITS = {
+  MIN_MINUTES: 1,
+  MAX_MINUTES: 24 * 60, // Lead time up to one day before an outage
+  MAX_TIMERS: 10, // Lead times and day-before times together
+};
+
+// Timezone schedules are published in (overridden with the TIMEZONE environment variable)
+export const DEFAULT_TIMEZONE = 'Europe/Kyiv';
+
+// Interface languages (message catalogs in locales/)
+export const LANGUAGES = {
+  UK: 'uk',
+  EN: 'en',
+};
+export const DEFAULT_LANGUAGE = LANGUAGES.UK;
+
+// Schedule provider regions
+export const REGIONS = {
+  IVANO_FRANKIVSK: 'if',
+};
+export const DEFAULT_REGION = REGIONS.IVANO_FRANKIVSK;
 
-// Valid electricity queues
+// Valid electricity queues (Ivano-Frankivsk provider)
 export const VALID_QUEUES = [
   '1.1', '1.2', 
   '2.1', '2.2', 
@@ -27,6 +51,14 @@ export const VALID_QUEUES = [
   '6.1', '6.2'
 ];
 
+// Telegram chat types a subscription can belong to
+export const CHAT_TYPES = {
+  PRIVATE: 'private',
+  GROUP: 'group',
+  SUPERGROUP: 'supergroup',
+  CHANNEL: 'channel',
+};
+
 // Batch processing
 export const BATCH_SIZE = {
   USERS: 50, // Process users in batches of 50
@@ -37,6 +69,106 @@ export const BATCH_SIZE = {
 export const EVENT_TYPES = {
   OUTAGE_START: 'outage_start',
   POWER_RETURN: 'power_return',
+  SCHEDULE_CHANGED: 'schedule_changed',
+  SCHEDULE_PUBLISHED: 'schedule_published',
+};
+
+// Outbound webhooks
+export const WEBHOOK = {
+  TIMEOUT: 10000, // 10 seconds per delivery attempt
+  MAX_ATTEMPTS: 5, // Give up after 5 attempts
+  RETRY_BASE_DELAY: 60000, // 1 minute, doubled after each failed attempt
+  CLAIM_TIMEOUT: 60000, // A claimed retry is not picked up again for 1 minute (taken over if the attempt never finishes)
+  EVENT_WINDOW_MINUTES: 5, // Outage start/end events older than this are not sent
+  DELIVERY_RETENTION_DAYS: 14, // Keep delivery log for 14 days
+  SIGNATURE_HEADER: 'X-Webhook-Signature',
+};
+
+// Notification outbox (durable delivery queue with Telegram rate limits)
+export const OUTBOX = {
+  GLOBAL_RATE_PER_SECOND: 30, // Telegram: about 30 messages per second across all chats
+  CHAT_INTERVAL_MS: 1000, // Telegram: about 1 message per second to the same chat
+  BATCH_SIZE: 30, // Chats served per worker run, one message each (about one second of sending)
+  MAX_ATTEMPTS: 5, // Give up after 5 failed attempts (flood waits are not counted)
+  RETRY_BASE_DELAY: 10000, // 10 seconds, doubled after each failed attempt
+  RETENTION_DAYS: 3, // Keep sent and failed messages for 3 days
+};
+
+// User notification types (quiet hours behaviour is configured per type)
+export const NOTIFICATION_TYPES = {
+  UPCOMING_OUTAGE: 'upcoming_outage',
+  POWER_RETURN: 'power_return',
+  SCHEDULE_CHANGE: 'schedule_change',
+  SCHEDULE_PUBLISHED: 'schedule_published',
+};
+
+// What happens to a notification during quiet hours
+export const QUIET_ACTIONS = {
+  SILENT: 'silent', // Send without sound
+  DEFER: 'defer', // Hold until quiet hours end and send in one morning message
+  DROP: 'drop', // Do not send
+};
+
+export const DEFAULT_QUIET_HOURS = {
+  FROM: '23:00',
+  TO: '07:00',
+};
+
+// Daily digest
+export const DIGEST = {
+  DEFAULT_TIME: '07:00',
+  PRESET_TIMES: ['07:00', '08:00', '20:00', '21:00'],
+  CATCHUP_MINUTES: 60, // A digest missed by more than 1 hour (e.g. downtime) is skipped for the day
+  EVENING_FROM_HOUR: 15, // Digests from 15:00 are titled as evening digests
+};
+
+// Live pinned status message
+export const LIVE_STATUS = {
+  COUNTDOWN_STEP_MINUTES: 5, // Countdown is rounded up to 5 minutes, so the message is edited at most every 5 minutes
+};
+
+// Inline mode (@bot <queue> in any chat)
+export const INLINE = {
+  CACHE_TIME_SECONDS: 60, // Telegram reuses an answer this long; keeps the "off right now" summary at most a minute old
+  MAX_CACHED_RESULTS: 500, // Built schedule results kept in memory, keyed by schedule hash
+};
+
+// Per-chat relevance rules for schedule change notifications (/filter)
+export const CHANGE_FILTER = {
+  MAX_HOURS: 48, // "Changes within the next N hours" accepts 1..48
+  MAX_MINUTES: 24 * 60, // Minimum changed minutes accepts 1..1440
+};
+
+// Schedule timeline chart image (/chart)
+export const CHART = {
+  MAX_DAYS: 3, // Days drawn from today on
+  MAX_QUEUES: 12, // Queues stacked in one image
+};
+
+// Queue lookup by address (/find)
+export const ADDRESS_SEARCH = {
+  MIN_SIMILARITY: 0.75, // Street names less similar than this (0..1) are not suggested
+  MAX_RESULTS: 5, // Streets shown per search
+  IMPORT_BATCH_SIZE: 1000, // Documents inserted per batch on import
+};
+
+// Named locations of a chat
+export const LOCATIONS = {
+  MAX_LOCATIONS: 10,
+  MAX_LABEL_LENGTH: 32,
+};
+
+// Precision of an address dataset entry covering a house (higher is more precise)
+export const HOUSE_MATCH = {
+  NONE: 0,
+  RANGE: 1, // Number range or whole street
+  EXACT: 2, // House listed explicitly
+};
+
+// Periodic job names (JobState keys)
+export const JOBS = {
+  UPCOMING_OUTAGES: 'upcoming_outages',
+  STATS_ROLLUP: 'stats_rollup',
 };
 
 // Log prefixes
@@ -46,6 +178,7 @@ export const LOG_PREFIX = {
   API: '[API]',
   DATABASE: '[Database]',
   BOT: '[Bot]',
+  WEBHOOK: '[Webhook]',
 };
 
 // Outage status
@@ -54,13 +187,46 @@ export const OUTAGE_STATUS = {
   NO_OUTAGE: 0,
 };
 
+// How a changed outage period differs from the previous schedule (compareSchedules details)
+export const CHANGE_TYPES = {
+  NEW: 'new',
+  CANCELLED: 'cancelled',
+  MOVED: 'moved',
+  EXTENDED: 'extended',
+  SHORTENED: 'shortened',
+  SPLIT: 'split',
+  MERGED: 'merged',
+};
+
 export default {
   TIMING,
   DEFAULT_TIMERS,
   AVAILABLE_TIMERS,
+  TIMER_LIMITS,
+  DEFAULT_TIMEZONE,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  REGIONS,
+  DEFAULT_REGION,
   VALID_QUEUES,
+  CHAT_TYPES,
   BATCH_SIZE,
   EVENT_TYPES,
+  WEBHOOK,
+  OUTBOX,
+  NOTIFICATION_TYPES,
+  QUIET_ACTIONS,
+  DEFAULT_QUIET_HOURS,
+  DIGEST,
+  LIVE_STATUS,
+  INLINE,
+  CHANGE_FILTER,
+  CHART,
+  LOCATIONS,
+  ADDRESS_SEARCH,
+  HOUSE_MATCH,
+  JOBS,
   LOG_PREFIX,
   OUTAGE_STATUS,
+  CHANGE_TYPES,
 };
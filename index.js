@@ -1,9 +1,13 @@
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import { initializeBot } from './bot.js';
-import { initializeScheduler, checkAndNotifyUpcomingOutages, checkAndNotifyPowerReturns, cleanOldNotifications } from './scheduler.js';
+import { initializeScheduler, checkAndNotifyUpcomingOutages, checkAndNotifyPowerReturns, cleanOldNotifications, rollupOutageStats, checkAndDispatchOutageEvents, retryWebhookDeliveries, deliverOutboxMessages, flushDeferredNotifications, sendDailyDigests, refreshLiveStatusMessages } from './scheduler.js';
 import { initializeAPI } from './api.js';
 import cron from 'node-cron';
+import User from './models/User.js';
+import ScheduleCache from './models/ScheduleCache.js';
+import { DEFAULT_REGION } from './config/constants.js';
+import { getTimeZone, isValidTimeZone } from './utils/dateUtils.js';
 
 dotenv.config();
 
@@ -22,8 +26,14 @@ function validateConfig() {
     process.exit(1);
   }
 
+  if (!isValidTimeZone(getTimeZone())) {
+    console.error(`❌ TIMEZONE "${getTimeZone()}" is not a valid IANA timezone`);
+    process.exit(1);
+  }
+
   console.log('✅ Configuration validated');
   console.log(`   - Schedule update interval: ${SCHEDULE_UPDATE_INTERVAL / 60000} minutes`);
+  console.log(`   - Timezone: ${getTimeZone()}`);
 }
 
 /**
@@ -41,6 +51,49 @@ async function connectDatabase() {
   }
 }
 
+/**
+ * Backfill region key on documents created before multi-region support
+ */
+async function migrateRegionKeys() {
+  try {
+    const users = await User.updateMany(
+      { region: { $exists: false } },
+      { $set: { region: DEFAULT_REGION } }
+    );
+    const caches = await ScheduleCache.updateMany(
+      { region: { $exists: false } },
+      { $set: { region: DEFAULT_REGION } }
+    );
+
+    // Drop the legacy unique index on queue alone so queues can repeat across regions
+    await ScheduleCache.syncIndexes();
+
+    console.log(`✅ Region keys migrated (users: ${users.modifiedCount}, caches: ${caches.modifiedCount})`);
+  } catch (error) {
+    console.error('❌ Region key migration failed:', error.message);
+  }
+}
+
+/**
+ * Move subscriptions keyed by Telegram user ID to per-chat keys
+ * Existing subscriptions were created in private chats, where chat ID equals user ID
+ */
+async function migrateChatKeys() {
+  try {
+    const users = await User.updateMany(
+      { chatId: { $exists: false } },
+      [{ $set: { chatId: '$telegramId', chatType: 'private' } }]
+    );
+
+    // Drop the legacy unique index on telegramId so one user can subscribe several chats
+    await User.syncIndexes();
+
+    console.log(`✅ Chat keys migrated (users: ${users.modifiedCount})`);
+  } catch (error) {
+    console.error('❌ Chat key migration failed:', error.message);
+  }
+}
+
 /**
  * Main application startup
  */
@@ -54,6 +107,8 @@ async function start() {
   
   console.log('[Main] Connecting to database...');
   await connectDatabase();
+  await migrateRegionKeys();
+  await migrateChatKeys();
 
   // Initialize bot
   console.log('[Main] Initializing Telegram bot...');
@@ -67,26 +122,71 @@ async function start() {
   console.log('[Main] Initializing scheduler for schedule updates...');
   initializeScheduler(bot);
 
-  // Check for upcoming outages every 5 minutes
-  console.log('[Main] Setting up cron job for outage notifications (every 5 minutes)...');
-  cron.schedule('*/5 * * * *', async () => {
+  // Cron expressions are evaluated in the schedule timezone, not the server's
+  const cronOptions = { timezone: getTimeZone() };
+
+  // Check for upcoming outages every minute (timers are set in whole minutes)
+  console.log('[Main] Setting up cron job for outage notifications (every minute)...');
+  cron.schedule('* * * * *', async () => {
     console.log('[Main] Running outage notification check...');
     await checkAndNotifyUpcomingOutages(bot);
-  });
+  }, cronOptions);
 
   // Check for power returns every 2 minutes
   console.log('[Main] Setting up cron job for power return notifications (every 2 minutes)...');
   cron.schedule('*/2 * * * *', async () => {
     console.log('[Main] Running power return check...');
     await checkAndNotifyPowerReturns(bot);
-  });
+  }, cronOptions);
+
+  // Queued notifications go out within seconds; the worker itself keeps Telegram's rate limits
+  console.log('[Main] Setting up outbox worker for notifications (every second)...');
+  cron.schedule('* * * * * *', async () => {
+    await deliverOutboxMessages(bot);
+  }, cronOptions);
+
+  // Dispatch outage webhooks and retry failed deliveries every minute
+  console.log('[Main] Setting up cron job for webhook events (every minute)...');
+  cron.schedule('* * * * *', async () => {
+    await checkAndDispatchOutageEvents();
+    await retryWebhookDeliveries();
+  }, cronOptions);
+
+  // Send notifications deferred during quiet hours once they end
+  console.log('[Main] Setting up cron job for deferred notifications (every minute)...');
+  cron.schedule('* * * * *', async () => {
+    await flushDeferredNotifications(bot);
+  }, cronOptions);
+
+  // Send daily digests at each user's chosen time
+  console.log('[Main] Setting up cron job for daily digests (every minute)...');
+  cron.schedule('* * * * *', async () => {
+    await sendDailyDigests(bot);
+  }, cronOptions);
+
+  // Keep pinned live status messages up to date as periods start and end
+  console.log('[Main] Setting up cron job for live status messages (every minute)...');
+  cron.schedule('* * * * *', async () => {
+    await refreshLiveStatusMessages(bot);
+  }, cronOptions);
 
   // Clean old notifications every day at 00:00
   console.log('[Main] Setting up cron job for notification cleanup (daily at 00:00)...');
   cron.schedule('0 0 * * *', async () => {
     console.log('[Main] Running notification cleanup...');
     await cleanOldNotifications();
-  });
+  }, cronOptions);
+
+  // Roll up daily outage statistics every day at 23:55 (final schedule of the day)
+  console.log('[Main] Setting up cron job for outage stats rollup (daily at 23:55)...');
+  cron.schedule('55 23 * * *', async () => {
+    console.log('[Main] Running outage stats rollup...');
+    await rollupOutageStats();
+  }, cronOptions);
+
+  // Catch up stats of days missed while the bot was down
+  console.log('[Main] Running outage stats rollup for missed days...');
+  await rollupOutageStats();
 
   console.log('\n========================================');
   console.log('✅ BOT FULLY INITIALIZED AND RUNNING');
@@ -94,8 +194,21 @@ async function start() {
   console.log('📋 Available Commands:');
   console.log('  /start    - Ініціалізувати бота та вибрати черги');
   console.log('  /queues   - Керувати вашими чергами електроживлення');
+  console.log('  /region   - Вибрати регіон (обленерго)');
+  console.log('  /find     - Знайти чергу за адресою');
   console.log('  /timers   - Керувати таймерами сповіщень');
+  console.log('  /quiet    - Тихі години (без звуку / зранку / не надсилати)');
+  console.log('  /digest   - Щоденний дайджест графіка');
+  console.log('  /filter   - Які зміни графіка повідомляти');
+  console.log('  /timezone - Часовий пояс для показу часу');
+  console.log('  /language - Мова інтерфейсу (uk / en)');
   console.log('  /status   - Перевірити поточний статус');
+  console.log('  /live     - Закріплене повідомлення зі статусом, що оновлюється');
+  console.log('  /chart    - Графік відключень зображенням');
+  console.log('  /history  - Історія змін графіку черги');
+  console.log('  /stats    - Статистика відключень за 7/30 днів');
+  console.log('  /calendar - Посилання на календар відключень (.ics)');
+  console.log('  /locations - Мої локації (назви місць, свої таймери)');
   console.log('  /settings - Налаштування бота\n');
   console.log(`[Main] Bot token: ${TELEGRAM_BOT_TOKEN.substring(0, 10)}...`);
   console.log(`[Main] Database: ${MONGODB_URI}`);
@@ -0,0 +1,260 @@
+/**
+ * English message catalog
+ *
+ * Mirrors the keys of uk.js; missing keys fall back to Ukrainian.
+ */
+
+export default {
+  'language.name': '🇬🇧 English',
+  'language.title': '🌐 <b>Language</b>\n\nCurrent: <b>{name}</b>\n\nChoose the language of bot messages. Change with a command: <code>/language uk</code>',
+  'language.changed': '✅ Language changed: {name}',
+  'language.unknown': '❌ Unknown language. Available: {languages}',
+
+  'common.error': '❌ Something went wrong. Please try again.',
+  'common.errorShort': '❌ Something went wrong',
+  'common.unknownCommand': '❌ Unknown command',
+  'common.notAdmin': '⛔️ Only administrators can change settings in this chat',
+  'common.startFirst': '❌ Start the bot with /start first',
+  'common.selectQueueFirst': '❌ Select your queue with /queues first',
+  'common.selectQueueFirstShort': '❌ Select a queue first',
+  'common.invalidQueue': '❌ Invalid queue',
+  'common.postInChannel': 'Post in the channel: {command}',
+  'common.chooseCommand': '📱 Choose a command:',
+  'common.confirm': '✔️ Confirm',
+  'common.cancel': '↩️ Cancel',
+  'common.back': '↩️ Back',
+  'common.today': 'Today',
+  'common.noData': 'No data',
+  'common.noDataAvailable': 'No data available',
+
+  'menu.status': '📊 Current status',
+  'menu.settings': '⚙️ Settings',
+  'menu.main': '🏠 Main menu',
+
+  'duration.hours': { one: '{count} hr', other: '{count} hrs' },
+  'duration.minutes': '{count} min',
+  'duration.lessThan': 'less than {duration}',
+
+  'queue.name': 'Queue {queue}',
+  'queue.nameWithLabel': '{label} · queue {queue}',
+
+  'start.welcome': '👋 Welcome to the power outage notification bot!\n\nThis bot sends you notifications about scheduled power outages in your area.\n\n',
+  'start.chooseRegion': 'To get started, choose your region:',
+  'start.chooseQueues': 'To get started, choose your power queue(s). Don\'t know your queue? Tap «{button}».',
+
+  'queues.prompt': '📍 Choose your power queue(s):\n\n(You can choose several queues)',
+  'queues.choose': '📍 Choose your power queue(s):',
+  'queues.selectAll': '✅ Select all',
+  'queues.clearAll': '❌ Clear all',
+  'queues.findButton': '🔎 Find queue by address',
+  'queues.allSelected': '✅ All queues selected',
+  'queues.allCleared': '❌ All queues cleared',
+  'queues.cancelled': '❌ Queue selection cancelled',
+  'queues.selectAtLeastOne': '❌ Select at least one queue',
+  'queues.saved': '✅ Queues saved! Now choose notification timers:',
+
+  'region.current': '🗺 Current region: <b>{name}</b>\n\nChoose your region:',
+  'region.choose': '🗺 Choose your region:',
+  'region.selected': '✅ Region: {name}\n\n📍 Choose your power queue(s):',
+  'region.invalid': '❌ Invalid region',
+  'region.button': '🗺 Region',
+
+  'find.promptTitle': '🔎 Enter an address',
+  'find.prompt': '{title} in reply to this message (street and house number):\n\n{help}',
+  'find.example': 'Shevchenka 12',
+  'find.formatHelp': '• <code>вул. Шевченка 12</code>\n• <code>Shevchenka 12a</code>\n• <code>m. Kalush, Franka 5</code>',
+  'find.unavailable': '❌ Address search is not available for your region yet. Choose a queue manually: /queues',
+  'find.notFound': '😕 Address not found. Check the street name or choose a queue manually: /queues\n\nExamples:\n{help}',
+  'find.resultsTitle': '🔎 <b>Addresses found</b>',
+  'find.result': '📍 {address} → {queueWord} {queues}',
+  'find.queueWord': { one: 'queue', other: 'queues' },
+  'find.houseHint': 'ℹ️ Houses of this street belong to different queues — add the house number for an exact result.',
+  'find.missingAddress': '❌ Give an address, for example: <code>/find {example}</code>',
+  'find.subscribeButton': '✅ Subscribe to queue {queue}',
+  'find.subscribed': '✅ Queue {queue} added! Your queues: {queues}\n\nNow choose notification timers:',
+
+  'locations.promptTitle': '📍 New location',
+  'locations.prompt': '{title}: write a name and a queue or an address in reply to this message:\n\n{help}',
+  'locations.example': 'Home 3.1',
+  'locations.formatHelp': '• <code>Home 3.1</code> — name and queue\n• <code>Mom, Shevchenka 12</code> — name and address (the queue is found automatically)',
+  'locations.title': '📍 <b>My locations</b>',
+  'locations.empty': 'Name the places you watch ("Home", "Office", "Mom"), and notifications and /status will show the name instead of a bare queue number. Each location can have its own timers or be muted.',
+  'locations.item': '{icon} <b>{label}</b> — queue {queue}{address}',
+  'locations.queue': '⚡️ Queue: <b>{queue}</b>',
+  'locations.address': '🏠 Address: {address}',
+  'locations.timers': '⏰ Timers: {timers}',
+  'locations.timersNone': 'none',
+  'locations.timersInherited': ' (same as chat)',
+  'locations.muted': '🔕 Notifications for this location are off',
+  'locations.unmuted': '🔔 Notifications are on',
+  'locations.parseError': '❌ Could not recognize the location. Examples:\n\n{help}',
+  'locations.ambiguousAddress': '❌ Could not determine a single queue for this address. Give the queue, for example: <code>{label} 3.1</code>',
+  'locations.tooMany': '❌ You can add at most {max} locations',
+  'locations.exists': '❌ Location «{label}» already exists',
+  'locations.added': '✅ Location added',
+  'locations.notFound': '❌ Location not found',
+  'locations.deleted': '🗑 Location removed',
+  'locations.deletedWithQueue': '🗑 Location removed, queue {queue} is no longer tracked',
+  'locations.deletedQueueKept': '🗑 Location removed, queue {queue} is still tracked',
+  'locations.button': '📍 My locations',
+  'locations.addButton': '➕ Add location',
+  'locations.mutedButton': '🔕 Notifications off',
+  'locations.unmutedButton': '🔔 Notifications on',
+  'locations.inheritButton': '↺ Use chat timers',
+  'locations.deleteButton': '🗑 Remove',
+  'locations.listButton': '↩️ To the list',
+
+  'timers.promptTitle': '⏰ Enter your notification time',
+  'timers.prompt': '{title} in reply to this message:\n\n{help}',
+  'timers.placeholder': '45, 2h, 21:00',
+  'timers.formatHelp': '• <code>45</code> — 45 min before the outage\n• <code>2h</code> or <code>1h 30m</code>\n• <code>21:00</code> — at 21:00 the day before (about the next day\'s outages)',
+  'timers.intro': '⏰ Choose notification timers:\n\n(Get notified X minutes before an outage)\n\nAdd your own time with the «{button}» button or the <code>/timers add 90</code> command:\n{help}',
+  'timers.choose': '⏰ Choose notification timers:',
+  'timers.parseError': '❌ Could not recognize the time. Examples:\n\n{help}',
+  'timers.outOfRange': '❌ Time must be between {min} and {max}',
+  'timers.tooMany': '❌ You can add at most {max} timers',
+  'timers.lead': '{duration} before',
+  'timers.dayBefore': 'the day before at {time}',
+  'timers.added': '✅ Timer added: notification {timer}',
+  'timers.removed': '🗑 Timer removed: {timer}',
+  'timers.dayBeforeRemoved': '🗑 Day-before timer at {time} removed',
+  'timers.allSelected': '✅ All timers selected',
+  'timers.allCleared': '❌ All timers cleared',
+  'timers.cancelled': '❌ Timer selection cancelled',
+  'timers.selectAtLeastOne': '❌ Select at least one timer',
+  'timers.invalid': '❌ Invalid timer',
+  'timers.saved': '✅ Settings saved!\n\nUse the commands below:',
+  'timers.dayBeforeButton': '✅ 🌙 Day before {time}',
+  'timers.customButton': '➕ Custom time',
+  'timers.clearButton': '❌ Clear',
+  'timers.selectAllButton': '✅ All timers',
+
+  'schedule.noOutages': 'No outages scheduled',
+  'schedule.duration': ' – for {duration}',
+  'schedule.continuesUntil': ', continues until {time} the next day',
+  'schedule.approved': '✅ <i>Approved: {date}</i>',
+  'changes.new': '🆕 new',
+  'changes.cancelled': 'cancelled',
+  'changes.moved': '↔️ moved, was {was}',
+  'changes.extended': '⏫ extended, was {was}',
+  'changes.shortened': '⏬ shortened, was {was}',
+  'changes.split': '✂️ split, was {was}',
+  'changes.merged': '🔗 merged, was {was}',
+  'changes.netMore': '📈 <i>{duration} more without power</i>',
+  'changes.netLess': '📉 <i>{duration} less without power</i>',
+  'schedule.timeZoneNote': '🕐 <i>Times in {timeZone}</i>',
+  'schedule.noSchedule': 'No schedule data',
+  'schedule.todayNotPublished': 'Today\'s schedule has not been published yet',
+
+  'status.title': '📊 Current power status:',
+  'status.powerOff': '🔴 <b>Power is off</b> · back on at {at} {countdown}',
+  'status.powerOn': '🟢 <b>Power is on</b> · off at {at} {countdown}',
+  'status.noOutages': '🟢 <b>Power is on</b> · no outages scheduled',
+  'status.countdown': '(in {time})',
+
+  'live.title': '📌 <b>Power status</b>',
+  'live.noQueues': '❌ No queue selected. Use /queues',
+  'live.footer': '<i>Updated automatically. Only periods that have not ended yet are shown.</i>',
+  'live.disabled': '📌 Live status turned off',
+  'live.notEnabled': 'ℹ️ Live status was not on',
+  'live.sendFailed': '❌ Could not send the status message. Please try again.',
+  'chart.caption': '📊 <b>Outage schedule</b> · {queues}\n🟩 power on · 🟥 outage · ⬜️ not published · 🟦 now',
+  'chart.noSchedule': '📭 No schedules published for today or the coming days',
+  'chart.invalidQueue': '❌ Invalid queue: {queue}\n\nUsage: <code>/chart</code>, <code>/chart 3.1 4.2</code>, <code>/chart on</code> or <code>/chart off</code>',
+  'chart.enabled': '📊 Schedule change notifications will now include a chart image',
+  'chart.disabled': '📊 Chart images in notifications turned off',
+  'chart.sendFailed': '❌ Could not send the chart image. Please try again.',
+
+  'history.missingQueue': '❌ Give a queue, for example: <code>/history 3.1</code>',
+  'history.empty': '🕓 No saved schedule versions for queue {queue} yet',
+  'history.title': '🕓 <b>Schedule history — queue {queue}</b>',
+  'history.changes': '🔀 <b>Changes: version {from} → {to}</b>',
+  'history.invalidVersions': '❌ Invalid version numbers',
+  'history.hint': '<i>Compare versions: /history {queue} [from] [to]</i>',
+
+  'stats.title': '📈 <b>Outage statistics for {days} days</b>',
+  'stats.total': '🔴 Total without power: <b>{duration}</b>',
+  'stats.outages': '🔢 Outages: <b>{count}</b>',
+  'stats.longest': '⏱ Longest: <b>{duration}</b>',
+  'stats.average': '📊 Average per day: <b>{duration}</b>',
+  'stats.daysWithData': '📅 Days with data: {count}',
+  'stats.comparison': '🏁 <b>Queue comparison (average per day)</b>',
+  'stats.period': { one: '{count} day', other: '{count} days' },
+
+  'calendar.unavailable': '❌ Calendar is unavailable: the administrator has not set the public API address',
+  'calendar.title': '📆 <b>Outage calendar subscription</b>',
+  'calendar.instructions': 'Add the link in Google Calendar ("Other calendars" → "From URL") or Thunderbird:',
+  'calendar.queue': '⚡️ Queue <b>{queue}</b>',
+  'calendar.footer': '<i>The calendar updates automatically; changed outages are replaced, not duplicated.</i>',
+
+  'inline.today': 'Queue {queue} — today',
+  'inline.tomorrow': 'Queue {queue} — tomorrow',
+  'inline.full': 'Queue {queue} — full schedule',
+  'inline.offNow': '🔴 Off right now',
+  'inline.offNowTitle': '🔴 <b>Off right now</b> · as of {time}',
+  'inline.offNowItem': '⚡️ Queue <b>{queue}</b> · back at {time}',
+  'inline.offNowNone': '🟢 All queues have power right now',
+  'inline.offNowCount': { one: '{count} queue', other: '{count} queues' },
+
+  'settings.title': '⚙️ Bot settings:',
+  'settings.enableNotifications': '🔔 Turn on notifications',
+  'settings.disableNotifications': '🔕 Turn off notifications',
+  'settings.notificationsEnabled': '🔔 Notifications are on!',
+  'settings.notificationsDisabled': '🔕 Notifications are off!',
+  'settings.notificationsEnabledAlert': '✅ Notifications on',
+  'settings.notificationsDisabledAlert': '✅ Notifications off',
+  'settings.queuesButton': '⚙️ Queue settings',
+  'settings.timersButton': '⏱ Timer settings',
+  'settings.quietButton': '🌙 Quiet hours',
+  'settings.digestButton': '📰 Digest',
+  'settings.languageButton': '🌐 Language',
+
+  'quiet.text': '🌙 <b>Quiet hours</b>\n\nChoose the time and what to do with notifications during it:\n🔈 silent — send without sound\n🌅 morning — send in one message when quiet hours end\n🚫 don\'t send — skip\n\nCustom time: <code>/quiet 22:30 06:30</code>, turn off: <code>/quiet off</code>',
+  'quiet.invalidRange': '❌ Give the start and end as HH:MM, for example: /quiet 22:30 06:30',
+  'quiet.enabledButton': '✅ Quiet hours {from}–{to}',
+  'quiet.disabledButton': '⬜️ Quiet hours off',
+  'quiet.type.upcoming_outage': '⏰ Warnings',
+  'quiet.type.power_return': '💡 Power is back',
+  'quiet.type.schedule_change': '📋 Schedule changes',
+  'quiet.type.schedule_published': '🆕 New schedule day',
+  'quiet.action.silent': '🔈 silent',
+  'quiet.action.defer': '🌅 in the morning',
+  'quiet.action.drop': '🚫 don\'t send',
+
+  'timezone.text': '🕐 <b>Timezone</b>\n\nCurrent: <b>{current}</b>{scheduleHint}\nTime there now: <b>{now}</b>\n\nSchedules are published in <b>{scheduleTimeZone}</b>. If you live abroad and watch your family\'s queue, the bot can show times in your timezone. Quiet hours, the digest and day-before reminders then use it too.\n\nChange: <code>/timezone Europe/Warsaw</code>\nBack to the schedule timezone: <code>/timezone off</code>',
+  'timezone.scheduleHint': ' (schedule timezone)',
+  'changeFilter.title': '🎯 <b>Schedule change filter</b>',
+  'changeFilter.none': 'You are notified about every schedule change.',
+  'changeFilter.active': 'You are notified about a schedule change only if all of these hold:',
+  'changeFilter.ruleToday': '• the change affects today',
+  'changeFilter.ruleHours': '• the change is within the next {hours} h',
+  'changeFilter.ruleIncrease': '• time without power grows',
+  'changeFilter.ruleMinutes': '• at least {minutes} min changed',
+  'changeFilter.usage': 'Set up:\n<code>/filter today on</code> – only changes for today\n<code>/filter hours 6</code> – only changes within the next 6 hours\n<code>/filter increase on</code> – only if outages get longer\n<code>/filter min 30</code> – only if at least 30 min changed\n\nTurn a rule off: <code>/filter hours off</code>, all rules: <code>/filter off</code>',
+  'changeFilter.invalid': '❌ Could not recognize the rule. Hours: 1 to {maxHours}, minutes: 1 to {maxMinutes}.',
+  'timezone.invalid': '❌ Unknown timezone. Give an IANA name, for example: <code>/timezone Europe/Warsaw</code>',
+
+  'digest.text': '📰 <b>Daily digest</b>\n\nOnce a day the bot sends the plan for today and tomorrow for your queues: outage periods, total time without power and changes since the previous digest. The digest arrives even when notifications are off.\n\nCustom time: <code>/digest 06:45</code>, send now: <code>/digest now</code>, turn off: <code>/digest off</code>',
+  'digest.invalidTime': '❌ Give the time as HH:MM, for example: /digest 07:30',
+  'digest.enabledButton': '✅ Digest daily at {time}',
+  'digest.disabledButton': '⬜️ Digest off',
+  'digest.morningTitle': '🌅 <b>Morning digest</b>',
+  'digest.eveningTitle': '🌙 <b>Evening digest</b>',
+  'digest.noQueues': '❌ You are not subscribed to any queue. Use /queues',
+  'digest.offTime': '🔴 Without power {date}: <b>{duration}</b>',
+  'digest.changes': '🔄 <b>Changes since the previous digest: {count}</b>',
+
+  'notify.scheduleUpdate': '📢 <b>Outage schedule update</b>',
+  'notify.schedulePublished': '🆕 <b>Schedule for {date} published</b>',
+  'notify.upcomingTitle': '⏰ <b>Attention! Power outage</b>',
+  'notify.dayBeforeTitle': '🌙 <b>Outages tomorrow</b>',
+  'notify.powerReturnTitle': '✅ <b>Power is back!</b>',
+  'notify.location': '📍 Location: <b>{label}</b>',
+  'notify.queue': '⚡️ Queue: <b>{queue}</b>',
+  'notify.date': '📅 Date: <code>{date}</code>',
+  'notify.start': '🕐 Starts: <code>{time}</code>',
+  'notify.left': '⏳ Time left: <b>{duration}</b>',
+  'notify.time': '🕐 Time: <code>{time}</code>',
+  'notify.outageEnded': '💡 <i>The outage is over</i>',
+  'notify.deferredHeader': '🌅 <b>Notifications from quiet hours ({count})</b>',
+};
@@ -0,0 +1,261 @@
+/**
+ * Ukrainian message catalog (default language)
+ *
+ * Keys are grouped by screen. Values may contain {placeholders}; plural values are
+ * objects keyed by Intl.PluralRules categories (one, few, many, other) and take {count}.
+ */
+
+export default {
+  'language.name': '🇺🇦 Українська',
+  'language.title': '🌐 <b>Мова</b>\n\nПоточна: <b>{name}</b>\n\nВиберіть мову повідомлень бота. Змінити командою: <code>/language en</code>',
+  'language.changed': '✅ Мову змінено: {name}',
+  'language.unknown': '❌ Невідома мова. Доступні: {languages}',
+
+  'common.error': '❌ Сталася помилка. Спробуйте ще раз.',
+  'common.errorShort': '❌ Сталася помилка',
+  'common.unknownCommand': '❌ Невідома команда',
+  'common.notAdmin': '⛔️ Змінювати налаштування в цьому чаті можуть лише адміністратори',
+  'common.startFirst': '❌ Спочатку запустіть бота командою /start',
+  'common.selectQueueFirst': '❌ Спочатку виберіть вашу чергу за допомогою /queues',
+  'common.selectQueueFirstShort': '❌ Спочатку виберіть чергу',
+  'common.invalidQueue': '❌ Невірна черга',
+  'common.postInChannel': 'Опублікуйте в каналі: {command}',
+  'common.chooseCommand': '📱 Оберіть команду:',
+  'common.confirm': '✔️ Підтвердити',
+  'common.cancel': '↩️ Скасувати',
+  'common.back': '↩️ Назад',
+  'common.today': 'Сьогодні',
+  'common.noData': 'Немає даних',
+  'common.noDataAvailable': 'Немає доступних даних',
+
+  'menu.status': '📊 Поточний статус',
+  'menu.settings': '⚙️ Налаштування',
+  'menu.main': '🏠 Головне меню',
+
+  'duration.hours': '{count} год',
+  'duration.minutes': '{count} хв',
+  'duration.lessThan': 'менше {duration}',
+
+  'queue.name': 'Черга {queue}',
+  'queue.nameWithLabel': '{label} · черга {queue}',
+
+  'start.welcome': '👋 Ласкаво просимо до бота сповіщень про відключення світла!\n\nЦей бот допоможе вам отримувати сповіщення про графіки відключення електроенергії у вашому районі.\n\n',
+  'start.chooseRegion': 'Для початку виберіть ваш регіон:',
+  'start.chooseQueues': 'Для початку виберіть вашу чергу(и) електроживлення. Не знаєте свою чергу? Натисніть «{button}».',
+
+  'queues.prompt': '📍 Виберіть вашу чергу(и) електроживлення:\n\n(Ви можете вибрати кілька черг)',
+  'queues.choose': '📍 Виберіть вашу чергу(и) електроживлення:',
+  'queues.selectAll': '✅ Вибрати всі',
+  'queues.clearAll': '❌ Скасувати всі',
+  'queues.findButton': '🔎 Знайти чергу за адресою',
+  'queues.allSelected': '✅ Всі черги вибрані',
+  'queues.allCleared': '❌ Всі черги скасовані',
+  'queues.cancelled': '❌ Вибір черг скасовано',
+  'queues.selectAtLeastOne': '❌ Виберіть принаймні одну чергу',
+  'queues.saved': '✅ Черги збережені! Тепер виберіть таймери сповіщень:',
+
+  'region.current': '🗺 Поточний регіон: <b>{name}</b>\n\nВиберіть ваш регіон:',
+  'region.choose': '🗺 Виберіть ваш регіон:',
+  'region.selected': '✅ Регіон: {name}\n\n📍 Виберіть вашу чергу(и) електроживлення:',
+  'region.invalid': '❌ Невірний регіон',
+  'region.button': '🗺 Регіон',
+
+  'find.promptTitle': '🔎 Введіть адресу',
+  'find.prompt': '{title} у відповідь на це повідомлення (вулиця та номер будинку):\n\n{help}',
+  'find.example': 'вул. Шевченка 12',
+  'find.formatHelp': '• <code>вул. Шевченка 12</code>\n• <code>Shevchenka 12a</code>\n• <code>м. Калуш, Франка 5</code>',
+  'find.unavailable': '❌ Пошук за адресою для вашого регіону поки недоступний. Виберіть чергу вручну: /queues',
+  'find.notFound': '😕 Адресу не знайдено. Перевірте назву вулиці або виберіть чергу вручну: /queues\n\nПриклади:\n{help}',
+  'find.resultsTitle': '🔎 <b>Знайдені адреси</b>',
+  'find.result': '📍 {address} → {queueWord} {queues}',
+  'find.queueWord': { one: 'черга', few: 'черги', many: 'черги', other: 'черги' },
+  'find.houseHint': 'ℹ️ Різні будинки вулиці належать до різних черг — додайте номер будинку для точного результату.',
+  'find.missingAddress': '❌ Вкажіть адресу, наприклад: <code>/find {example}</code>',
+  'find.subscribeButton': '✅ Підписатися на чергу {queue}',
+  'find.subscribed': '✅ Черга {queue} додана! Ваші черги: {queues}\n\nТепер виберіть таймери сповіщень:',
+
+  'locations.promptTitle': '📍 Нова локація',
+  'locations.prompt': '{title}: напишіть назву і чергу або адресу у відповідь на це повідомлення:\n\n{help}',
+  'locations.example': 'Дім 3.1',
+  'locations.formatHelp': '• <code>Дім 3.1</code> — назва і черга\n• <code>Мама, вул. Шевченка 12</code> — назва і адреса (черга знайдеться сама)',
+  'locations.title': '📍 <b>Мої локації</b>',
+  'locations.empty': 'Дайте назви місцям, за якими стежите («Дім», «Офіс», «Мама»), і сповіщення та /status показуватимуть назву замість голого номера черги. Для кожної локації можна задати свої таймери або вимкнути сповіщення.',
+  'locations.item': '{icon} <b>{label}</b> — черга {queue}{address}',
+  'locations.queue': '⚡️ Черга: <b>{queue}</b>',
+  'locations.address': '🏠 Адреса: {address}',
+  'locations.timers': '⏰ Таймери: {timers}',
+  'locations.timersNone': 'немає',
+  'locations.timersInherited': ' (як у чаті)',
+  'locations.muted': '🔕 Сповіщення для цієї локації вимкнені',
+  'locations.unmuted': '🔔 Сповіщення увімкнені',
+  'locations.parseError': '❌ Не вдалося розпізнати локацію. Приклади:\n\n{help}',
+  'locations.ambiguousAddress': '❌ Не вдалося однозначно визначити чергу за адресою. Вкажіть чергу, наприклад: <code>{label} 3.1</code>',
+  'locations.tooMany': '❌ Можна додати не більше {max} локацій',
+  'locations.exists': '❌ Локація «{label}» вже існує',
+  'locations.added': '✅ Локацію додано',
+  'locations.notFound': '❌ Локацію не знайдено',
+  'locations.deleted': '🗑 Локацію видалено',
+  'locations.deletedWithQueue': '🗑 Локацію видалено, черга {queue} більше не відстежується',
+  'locations.deletedQueueKept': '🗑 Локацію видалено, черга {queue} і далі відстежується',
+  'locations.button': '📍 Мої локації',
+  'locations.addButton': '➕ Додати локацію',
+  'locations.mutedButton': '🔕 Сповіщення вимкнені',
+  'locations.unmutedButton': '🔔 Сповіщення увімкнені',
+  'locations.inheritButton': '↺ Таймери як у чаті',
+  'locations.deleteButton': '🗑 Видалити',
+  'locations.listButton': '↩️ До списку',
+
+  'timers.promptTitle': '⏰ Введіть свій час сповіщення',
+  'timers.prompt': '{title} у відповідь на це повідомлення:\n\n{help}',
+  'timers.placeholder': '45, 2 год, 21:00',
+  'timers.formatHelp': '• <code>45</code> — за 45 хв до відключення\n• <code>2 год</code> або <code>1 год 30 хв</code>\n• <code>21:00</code> — напередодні о 21:00 (про відключення наступного дня)',
+  'timers.intro': '⏰ Виберіть таймери сповіщень:\n\n(Отримуйте сповіщення за X хвилин до відключення)\n\nСвій час можна додати кнопкою «{button}» або командою <code>/timers add 90</code>:\n{help}',
+  'timers.choose': '⏰ Виберіть таймери сповіщень:',
+  'timers.parseError': '❌ Не вдалося розпізнати час. Приклади:\n\n{help}',
+  'timers.outOfRange': '❌ Час має бути від {min} до {max}',
+  'timers.tooMany': '❌ Можна додати не більше {max} таймерів',
+  'timers.lead': 'за {duration}',
+  'timers.dayBefore': 'напередодні о {time}',
+  'timers.added': '✅ Таймер додано: сповіщення {timer}',
+  'timers.removed': '🗑 Таймер видалено: {timer}',
+  'timers.dayBeforeRemoved': '🗑 Таймер напередодні о {time} видалено',
+  'timers.allSelected': '✅ Всі таймери вибрані',
+  'timers.allCleared': '❌ Всі таймери очищені',
+  'timers.cancelled': '❌ Вибір таймерів скасовано',
+  'timers.selectAtLeastOne': '❌ Виберіть принаймні один таймер',
+  'timers.invalid': '❌ Невірний таймер',
+  'timers.saved': '✅ Налаштування збережені!\n\nВикористовуйте команди нижче:',
+  'timers.dayBeforeButton': '✅ 🌙 Напередодні {time}',
+  'timers.customButton': '➕ Свій час',
+  'timers.clearButton': '❌ Очистити',
+  'timers.selectAllButton': '✅ Всі таймери',
+
+  'schedule.noOutages': 'Відключення не заплановані',
+  'schedule.duration': ' – на {duration}',
+  'schedule.continuesUntil': ', триває до {time} наступного дня',
+  'schedule.approved': '✅ <i>Затверджено: {date}</i>',
+  'changes.new': '🆕 нове',
+  'changes.cancelled': 'скасовано',
+  'changes.moved': '↔️ перенесено, було {was}',
+  'changes.extended': '⏫ подовжено, було {was}',
+  'changes.shortened': '⏬ скорочено, було {was}',
+  'changes.split': '✂️ розділено, було {was}',
+  'changes.merged': '🔗 об\'єднано, було {was}',
+  'changes.netMore': '📈 <i>Без світла на {duration} більше</i>',
+  'changes.netLess': '📉 <i>Без світла на {duration} менше</i>',
+  'schedule.timeZoneNote': '🕐 <i>Час за поясом {timeZone}</i>',
+  'schedule.noSchedule': 'Немає даних про графік',
+  'schedule.todayNotPublished': 'Графік на сьогодні ще не опубліковано',
+
+  'status.title': '📊 Поточний статус електроживлення:',
+  'status.powerOff': '🔴 <b>Світла немає</b> · увімкнення о {at} {countdown}',
+  'status.powerOn': '🟢 <b>Світло є</b> · вимкнення о {at} {countdown}',
+  'status.noOutages': '🟢 <b>Світло є</b> · відключень не заплановано',
+  'status.countdown': '(через {time})',
+
+  'live.title': '📌 <b>Статус електроживлення</b>',
+  'live.noQueues': '❌ Не вибрано жодної черги. Використовуйте /queues',
+  'live.footer': '<i>Оновлюється автоматично. Показано лише періоди, що ще не завершилися.</i>',
+  'live.disabled': '📌 Живий статус вимкнено',
+  'live.notEnabled': 'ℹ️ Живий статус не був увімкнений',
+  'live.sendFailed': '❌ Не вдалося надіслати повідомлення зі статусом. Спробуйте ще раз.',
+  'chart.caption': '📊 <b>Графік відключень</b> · {queues}\n🟩 світло є · 🟥 відключення · ⬜️ графік не опубліковано · 🟦 зараз',
+  'chart.noSchedule': '📭 Немає опублікованих графіків на сьогодні й наступні дні',
+  'chart.invalidQueue': '❌ Невірна черга: {queue}\n\nВикористання: <code>/chart</code>, <code>/chart 3.1 4.2</code>, <code>/chart on</code> або <code>/chart off</code>',
+  'chart.enabled': '📊 Тепер до сповіщень про зміну графіка додаватиметься зображення',
+  'chart.disabled': '📊 Зображення графіка у сповіщеннях вимкнено',
+  'chart.sendFailed': '❌ Не вдалося надіслати зображення графіка. Спробуйте ще раз.',
+
+  'history.missingQueue': '❌ Вкажіть чергу, наприклад: <code>/history 3.1</code>',
+  'history.empty': '🕓 Для черги {queue} ще немає збережених версій графіку',
+  'history.title': '🕓 <b>Історія графіку — черга {queue}</b>',
+  'history.changes': '🔀 <b>Зміни: версія {from} → {to}</b>',
+  'history.invalidVersions': '❌ Невірні номери версій',
+  'history.hint': '<i>Порівняти версії: /history {queue} [від] [до]</i>',
+
+  'stats.title': '📈 <b>Статистика відключень за {days} дн.</b>',
+  'stats.total': '🔴 Всього без світла: <b>{duration}</b>',
+  'stats.outages': '🔢 Відключень: <b>{count}</b>',
+  'stats.longest': '⏱ Найдовше: <b>{duration}</b>',
+  'stats.average': '📊 В середньому за день: <b>{duration}</b>',
+  'stats.daysWithData': '📅 Днів з даними: {count}',
+  'stats.comparison': '🏁 <b>Порівняння черг (в середньому за день)</b>',
+  'stats.period': { one: '{count} день', few: '{count} дні', many: '{count} днів', other: '{count} дня' },
+
+  'calendar.unavailable': '❌ Календар недоступний: адміністратор не налаштував публічну адресу API',
+  'calendar.title': '📆 <b>Підписка на календар відключень</b>',
+  'calendar.instructions': 'Додайте посилання в Google Calendar («Інші календарі» → «За URL») або Thunderbird:',
+  'calendar.queue': '⚡️ Черга <b>{queue}</b>',
+  'calendar.footer': '<i>Календар оновлюється автоматично, змінені відключення замінюються, а не дублюються.</i>',
+
+  'inline.today': 'Черга {queue} — сьогодні',
+  'inline.tomorrow': 'Черга {queue} — завтра',
+  'inline.full': 'Черга {queue} — весь графік',
+  'inline.offNow': '🔴 Зараз без світла',
+  'inline.offNowTitle': '🔴 <b>Зараз без світла</b> · станом на {time}',
+  'inline.offNowItem': '⚡️ Черга <b>{queue}</b> · увімкнення о {time}',
+  'inline.offNowNone': '🟢 Зараз світло є в усіх черг',
+  'inline.offNowCount': { one: '{count} черга', few: '{count} черги', many: '{count} черг', other: '{count} черги' },
+
+  'settings.title': '⚙️ Налаштування бота:',
+  'settings.enableNotifications': '🔔 Увімкнути сповіщення',
+  'settings.disableNotifications': '🔕 Вимкнути сповіщення',
+  'settings.notificationsEnabled': '🔔 Сповіщення увімкнені!',
+  'settings.notificationsDisabled': '🔕 Сповіщення вимкнені!',
+  'settings.notificationsEnabledAlert': '✅ Сповіщення увімкнені',
+  'settings.notificationsDisabledAlert': '✅ Сповіщення вимкнені',
+  'settings.queuesButton': '⚙️ Налаштування черг',
+  'settings.timersButton': '⏱ Налаштування таймерів',
+  'settings.quietButton': '🌙 Тихі години',
+  'settings.digestButton': '📰 Дайджест',
+  'settings.languageButton': '🌐 Мова',
+
+  'quiet.text': '🌙 <b>Тихі години</b>\n\nВиберіть час і що робити зі сповіщеннями в цей час:\n🔈 без звуку — надіслати без звукового сигналу\n🌅 зранку — надіслати одним повідомленням після закінчення тихих годин\n🚫 не надсилати — пропустити\n\nСвій час: <code>/quiet 22:30 06:30</code>, вимкнути: <code>/quiet off</code>',
+  'quiet.invalidRange': '❌ Вкажіть початок і кінець у форматі ГГ:ХХ, наприклад: /quiet 22:30 06:30',
+  'quiet.enabledButton': '✅ Тихі години {from}–{to}',
+  'quiet.disabledButton': '⬜️ Тихі години вимкнені',
+  'quiet.type.upcoming_outage': '⏰ Попередження',
+  'quiet.type.power_return': '💡 Світло повернулось',
+  'quiet.type.schedule_change': '📋 Зміни графіка',
+  'quiet.type.schedule_published': '🆕 Новий день у графіку',
+  'quiet.action.silent': '🔈 без звуку',
+  'quiet.action.defer': '🌅 зранку',
+  'quiet.action.drop': '🚫 не надсилати',
+
+  'timezone.text': '🕐 <b>Часовий пояс</b>\n\nПоточний: <b>{current}</b>{scheduleHint}\nЗараз там: <b>{now}</b>\n\nГрафіки публікуються за поясом <b>{scheduleTimeZone}</b>. Якщо ви за кордоном і стежите за чергою рідних, бот може показувати час за вашим поясом. Тихі години, дайджест і нагадування напередодні теж працюють за ним.\n\nЗмінити: <code>/timezone Europe/Warsaw</code>\nПовернути пояс графіків: <code>/timezone off</code>',
+  'timezone.scheduleHint': ' (пояс графіків)',
+  'changeFilter.title': '🎯 <b>Фільтр змін графіка</b>',
+  'changeFilter.none': 'Сповіщення надходять про будь-яку зміну графіка.',
+  'changeFilter.active': 'Сповіщення про зміну графіка надходять, лише якщо виконано всі умови:',
+  'changeFilter.ruleToday': '• зміна стосується сьогоднішнього дня',
+  'changeFilter.ruleHours': '• зміна в найближчі {hours} год',
+  'changeFilter.ruleIncrease': '• часу без світла стає більше',
+  'changeFilter.ruleMinutes': '• змінилося щонайменше {minutes} хв',
+  'changeFilter.usage': 'Налаштувати:\n<code>/filter today on</code> – лише зміни на сьогодні\n<code>/filter hours 6</code> – лише зміни в найближчі 6 годин\n<code>/filter increase on</code> – лише якщо відключень стає більше\n<code>/filter min 30</code> – лише якщо змінилося щонайменше 30 хв\n\nВимкнути умову: <code>/filter hours off</code>, усі умови: <code>/filter off</code>',
+  'changeFilter.invalid': '❌ Не вдалося розпізнати умову. Години: від 1 до {maxHours}, хвилини: від 1 до {maxMinutes}.',
+  'timezone.invalid': '❌ Невідомий часовий пояс. Вкажіть назву IANA, наприклад: <code>/timezone Europe/Warsaw</code>',
+
+  'digest.text': '📰 <b>Щоденний дайджест</b>\n\nРаз на день бот надсилає план на сьогодні і завтра для ваших черг: періоди відключень, загальний час без світла та зміни з попереднього дайджесту. Дайджест приходить, навіть якщо сповіщення вимкнені.\n\nСвій час: <code>/digest 06:45</code>, надіслати зараз: <code>/digest now</code>, вимкнути: <code>/digest off</code>',
+  'digest.invalidTime': '❌ Вкажіть час у форматі ГГ:ХХ, наприклад: /digest 07:30',
+  'digest.enabledButton': '✅ Дайджест щодня о {time}',
+  'digest.disabledButton': '⬜️ Дайджест вимкнений',
+  'digest.morningTitle': '🌅 <b>Ранковий дайджест</b>',
+  'digest.eveningTitle': '🌙 <b>Вечірній дайджест</b>',
+  'digest.noQueues': '❌ Ви не підписані на жодну чергу. Використовуйте /queues',
+  'digest.offTime': '🔴 Без світла {date}: <b>{duration}</b>',
+  'digest.changes': '🔄 <b>Змін з попереднього дайджесту: {count}</b>',
+
+  'notify.scheduleUpdate': '📢 <b>Оновлення графіку відключень</b>',
+  'notify.schedulePublished': '🆕 <b>Опубліковано графік на {date}</b>',
+  'notify.upcomingTitle': '⏰ <b>Увага! Відключення світла</b>',
+  'notify.dayBeforeTitle': '🌙 <b>Відключення завтра</b>',
+  'notify.powerReturnTitle': '✅ <b>Світло повернулось!</b>',
+  'notify.location': '📍 Локація: <b>{label}</b>',
+  'notify.queue': '⚡️ Черга: <b>{queue}</b>',
+  'notify.date': '📅 Дата: <code>{date}</code>',
+  'notify.start': '🕐 Початок: <code>{time}</code>',
+  'notify.left': '⏳ Залишилось: <b>{duration}</b>',
+  'notify.time': '🕐 Час: <code>{time}</code>',
+  'notify.outageEnded': '💡 <i>Відключення завершено</i>',
+  'notify.deferredHeader': '🌅 <b>Сповіщення за тихі години ({count})</b>',
+};
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { DEFAULT_REGION } from '../config/constants.js';
+
+/**
+ * AddressEntry Schema
+ * Imported address-to-queue dataset: houses of a street that belong to one queue
+ */
+const addressEntrySchema = new mongoose.Schema(
+  {
+    region: {
+      type: String,
+      default: DEFAULT_REGION,
+      description: 'Schedule provider region key',
+    },
+    settlement: {
+      type: String,
+      default: null,
+      description: 'City or village (null when the dataset covers one settlement)',
+    },
+    street: {
+      type: String,
+      required: true,
+      description: 'Street name as published (e.g., "вул. Шевченка")',
+    },
+    streetKey: {
+      type: String,
+      required: true,
+      description: 'Transliterated street name without street type, used for fuzzy search',
+    },
+    houses: {
+      type: [String],
+      default: [],
+      description: 'House numbers and ranges (e.g., "12А", "1-15"); empty means the whole street',
+    },
+    queue: {
+      type: String,
+      required: true,
+      description: 'Queue the houses belong to',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+addressEntrySchema.index({ region: 1, streetKey: 1 });
+
+export default mongoose.model('AddressEntry', addressEntrySchema);
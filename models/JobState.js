@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * JobState Schema
+ * Persists progress of periodic jobs across restarts
+ */
+const jobStateSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+      description: 'Job name',
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+      description: 'Time up to which the last successful run processed events',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('JobState', jobStateSchema);
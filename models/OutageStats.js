@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { DEFAULT_REGION } from '../config/constants.js';
+
+/**
+ * OutageStats Schema
+ * Daily rollup of scheduled outages per queue
+ */
+const outageStatsSchema = new mongoose.Schema(
+  {
+    region: {
+      type: String,
+      required: true,
+      default: DEFAULT_REGION,
+      description: 'Schedule provider region key',
+    },
+    queue: {
+      type: String,
+      required: true,
+      description: 'Electricity queue identifier',
+    },
+    eventDate: {
+      type: String,
+      required: true,
+      description: 'Day in DD.MM.YYYY format',
+    },
+    day: {
+      type: Date,
+      required: true,
+      description: 'Start of the day, for range queries',
+    },
+    totalMinutes: {
+      type: Number,
+      default: 0,
+      description: 'Total scheduled outage minutes',
+    },
+    outageCount: {
+      type: Number,
+      default: 0,
+      description: 'Number of outage periods',
+    },
+    longestMinutes: {
+      type: Number,
+      default: 0,
+      description: 'Longest single outage in minutes',
+    },
+  },
+  {
+    timestamps: {
+      createdAt: false,
+      updatedAt: 'updatedAt',
+    },
+  }
+);
+
+outageStatsSchema.index({ region: 1, queue: 1, eventDate: 1 }, { unique: true });
+outageStatsSchema.index({ region: 1, queue: 1, day: -1 });
+
+export default mongoose.model('OutageStats', outageStatsSchema);
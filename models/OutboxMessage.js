@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * OutboxMessage Schema
+ * Durable queue of Telegram notifications, delivered by the outbox worker with rate limits and retries
+ */
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    chatId: {
+      type: Number,
+      required: true,
+      description: 'Target chat ID',
+    },
+    kind: {
+      type: String,
+      enum: ['message', 'photo'],
+      default: 'message',
+      description: 'Telegram method: sendMessage or sendPhoto',
+    },
+    text: {
+      type: String,
+      default: '',
+      description: 'Message text or photo caption',
+    },
+    photo: {
+      type: Buffer,
+      default: null,
+      description: 'PNG image (photo only)',
+    },
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      description: 'Additional options for sendMessage/sendPhoto (parse_mode, disable_notification...)',
+    },
+    notificationType: {
+      type: String,
+      default: null,
+      description: 'Notification type from NOTIFICATION_TYPES (for logs)',
+    },
+    priority: {
+      type: Number,
+      default: 0,
+      description: 'Higher goes first: outage warnings and power returns ahead of bulk messages',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'expired'],
+      default: 'pending',
+      description: 'Delivery status',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      description: 'Number of failed delivery attempts (flood waits are not counted)',
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+      description: 'When the next attempt is due (pending only)',
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      description: 'Message is dropped if not delivered by then (e.g. a reminder after the outage started)',
+    },
+    lastError: {
+      type: String,
+      default: null,
+      description: 'Error description of the last failed attempt',
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+      description: 'When the message was delivered',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, priority: -1, createdAt: 1 });
+outboxMessageSchema.index({ status: 1, updatedAt: 1 });
+
+export default mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -1,18 +1,21 @@
 import mongoose from 'mongoose';
-import { VALID_QUEUES } from '../config/constants.js';
+import { DEFAULT_REGION } from '../config/constants.js';
 
 /**
  * ScheduleCache Schema
- * Stores cached electricity outage schedules for each queue
+ * Stores cached electricity outage schedules for each region and queue
  */
 const scheduleCacheSchema = new mongoose.Schema(
   {
+    region: {
+      type: String,
+      required: true,
+      default: DEFAULT_REGION,
+      description: 'Schedule provider region key',
+    },
     queue: {
       type: String,
       required: true,
-      unique: true,
-      index: true,
-      enum: VALID_QUEUES,
       description: 'Electricity queue identifier',
     },
     hash: {
@@ -23,7 +26,7 @@ const scheduleCacheSchema = new mongoose.Schema(
     rawSchedule: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
-      description: 'Raw schedule data from API',
+      description: 'Normalized schedule data from provider',
     },
   },
   {
@@ -34,4 +37,7 @@ const scheduleCacheSchema = new mongoose.Schema(
   }
 );
 
+// Same queue ID may exist in several regions
+scheduleCacheSchema.index({ region: 1, queue: 1 }, { unique: true });
+
 export default mongoose.model('ScheduleCache', scheduleCacheSchema);
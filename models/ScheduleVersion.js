@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { DEFAULT_REGION } from '../config/constants.js';
+
+/**
+ * ScheduleVersion Schema
+ * Archive of every distinct schedule version seen for a queue
+ */
+const scheduleVersionSchema = new mongoose.Schema(
+  {
+    region: {
+      type: String,
+      required: true,
+      default: DEFAULT_REGION,
+      description: 'Schedule provider region key',
+    },
+    queue: {
+      type: String,
+      required: true,
+      description: 'Electricity queue identifier',
+    },
+    hash: {
+      type: String,
+      required: true,
+      description: 'Hash of outage data (same as ScheduleCache.hash)',
+    },
+    schedule: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      description: 'Normalized schedule data at fetch time',
+    },
+    fetchedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      description: 'When this version was first fetched',
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Timeline lookups: newest versions of a queue first
+scheduleVersionSchema.index({ region: 1, queue: 1, fetchedAt: -1 });
+
+export default mongoose.model('ScheduleVersion', scheduleVersionSchema);
@@ -1,41 +1,201 @@
 import mongoose from 'mongoose';
-import { VALID_QUEUES, DEFAULT_TIMERS } from '../config/constants.js';
+import {
+  DEFAULT_REGION,
+  DEFAULT_TIMERS,
+  CHAT_TYPES,
+  QUIET_ACTIONS,
+  DEFAULT_QUIET_HOURS,
+  DIGEST,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+} from '../config/constants.js';
+
+const quietActionField = {
+  type: String,
+  enum: Object.values(QUIET_ACTIONS),
+  default: QUIET_ACTIONS.SILENT,
+};
 
 /**
  * User Schema
- * Stores user preferences and notification settings
+ * Stores subscription preferences and notification settings of a chat
+ * (private chat with a user, group, supergroup or channel)
  */
 const userSchema = new mongoose.Schema(
   {
-    telegramId: {
+    chatId: {
       type: Number,
       required: true,
       unique: true,
       index: true,
-      description: 'Telegram user ID',
+      description: 'Telegram chat ID notifications are sent to',
+    },
+    chatType: {
+      type: String,
+      enum: Object.values(CHAT_TYPES),
+      default: CHAT_TYPES.PRIVATE,
+      description: 'Telegram chat type',
+    },
+    title: {
+      type: String,
+      default: null,
+      description: 'Group or channel title',
+    },
+    telegramId: {
+      type: Number,
+      default: null,
+      description: 'Telegram user ID of whoever subscribed the chat',
     },
     username: {
       type: String,
       default: null,
-      description: 'Telegram username',
+      description: 'Telegram username (or channel username)',
+    },
+    region: {
+      type: String,
+      default: DEFAULT_REGION,
+      index: true,
+      description: 'Schedule provider region key',
     },
     queues: {
       type: [String],
       default: [],
-      enum: VALID_QUEUES,
-      description: 'Subscribed electricity queues',
+      description: 'Subscribed electricity queues (within region)',
     },
     timers: {
       type: [Number],
       default: DEFAULT_TIMERS,
       description: 'Notification timers in minutes',
     },
+    dayBeforeTimes: {
+      type: [String],
+      default: [],
+      description: 'Clock times (HH:MM) for reminders on the day before outages',
+    },
+    locations: {
+      type: [
+        {
+          label: { type: String, required: true },
+          queue: { type: String, required: true },
+          address: { type: String, default: null },
+          // Absent means the chat's timers are used
+          timers: { type: [Number], default: undefined },
+          muted: { type: Boolean, default: false },
+          // The queue was subscribed by adding this location (unsubscribed again when it is removed)
+          subscribedQueue: { type: Boolean, default: false },
+        },
+      ],
+      default: [],
+      description: 'Named places (e.g. "Дім", "Офіс") with their queue, per-location timers and mute',
+    },
+    timezone: {
+      type: String,
+      default: null,
+      description: 'IANA timezone for displaying times (null = schedule timezone)',
+    },
+    language: {
+      type: String,
+      enum: Object.values(LANGUAGES),
+      default: DEFAULT_LANGUAGE,
+      description: 'Interface language (set from Telegram language_code on /start, changed with /language)',
+    },
+    changeFilter: {
+      todayOnly: {
+        type: Boolean,
+        default: false,
+        description: 'Notify only about changes to the current day',
+      },
+      withinHours: {
+        type: Number,
+        default: null,
+        description: 'Notify only about changes within this many hours from now (null = any time)',
+      },
+      onlyIncreases: {
+        type: Boolean,
+        default: false,
+        description: 'Notify only when total outage time grows',
+      },
+      minMinutes: {
+        type: Number,
+        default: null,
+        description: 'Notify only when at least this many minutes changed (null = any change)',
+      },
+    },
+    scheduleChart: {
+      type: Boolean,
+      default: false,
+      description: 'Attach timeline chart image to schedule change notifications (/chart on)',
+    },
     notificationsEnabled: {
       type: Boolean,
       default: true,
       index: true,
       description: 'Whether notifications are enabled',
     },
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+        description: 'Whether quiet hours are active',
+      },
+      from: {
+        type: String,
+        default: DEFAULT_QUIET_HOURS.FROM,
+        description: 'Quiet hours start (HH:MM)',
+      },
+      to: {
+        type: String,
+        default: DEFAULT_QUIET_HOURS.TO,
+        description: 'Quiet hours end (HH:MM)',
+      },
+      actions: {
+        upcoming_outage: quietActionField,
+        power_return: quietActionField,
+        schedule_change: quietActionField,
+        schedule_published: quietActionField,
+      },
+    },
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false,
+        description: 'Whether the daily digest is sent',
+      },
+      time: {
+        type: String,
+        default: DIGEST.DEFAULT_TIME,
+        description: 'Daily digest time (HH:MM)',
+      },
+      lastSentAt: {
+        type: Date,
+        default: null,
+        description: 'When the last digest was sent',
+      },
+    },
+    liveStatus: {
+      messageId: {
+        type: Number,
+        default: null,
+        index: true,
+        description: 'ID of the pinned live status message (null if not enabled)',
+      },
+      text: {
+        type: String,
+        default: null,
+        description: 'Last rendered text of the live status message',
+      },
+    },
+    deferredNotifications: {
+      type: [
+        {
+          notificationType: { type: String, required: true },
+          message: { type: String, required: true },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+      description: 'Notifications held back during quiet hours',
+    },
     notifiedEvents: {
       type: [String],
       default: [],
@@ -48,6 +208,6 @@ const userSchema = new mongoose.Schema(
 );
 
 // Add compound index for efficient queries
-userSchema.index({ notificationsEnabled: 1, queues: 1 });
+userSchema.index({ notificationsEnabled: 1, region: 1, queues: 1 });
 
 export default mongoose.model('User', userSchema);
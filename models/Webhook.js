@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { DEFAULT_REGION, EVENT_TYPES } from '../config/constants.js';
+
+/**
+ * Webhook Schema
+ * Outbound webhook subscribers for schedule and outage events
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      description: 'Endpoint that receives POST requests',
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+      description: 'Shared secret for HMAC-SHA256 payload signatures',
+    },
+    description: {
+      type: String,
+      default: null,
+      description: 'Free-form label for admins',
+    },
+    region: {
+      type: String,
+      default: DEFAULT_REGION,
+      description: 'Schedule provider region key',
+    },
+    queues: {
+      type: [String],
+      default: [],
+      description: 'Subscribed queues (empty means all queues of the region)',
+    },
+    events: {
+      type: [String],
+      default: Object.values(EVENT_TYPES),
+      enum: Object.values(EVENT_TYPES),
+      description: 'Subscribed event types',
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+      description: 'Whether deliveries are sent',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ active: 1, region: 1, events: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
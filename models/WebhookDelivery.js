@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebhookDelivery Schema
+ * Delivery log and retry queue for outbound webhooks
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+      description: 'Target webhook',
+    },
+    event: {
+      type: String,
+      required: true,
+      description: 'Event type',
+    },
+    eventKey: {
+      type: String,
+      required: true,
+      description: 'Deduplication key of the event',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      description: 'JSON body sent to the webhook',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed'],
+      default: 'pending',
+      description: 'Delivery status',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      description: 'Number of delivery attempts made',
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+      description: 'When the next attempt is due (pending only)',
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+      description: 'HTTP status of the last attempt',
+    },
+    lastError: {
+      type: String,
+      default: null,
+      description: 'Error message of the last failed attempt',
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+      description: 'When the delivery succeeded',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Each event is delivered to a webhook at most once
+webhookDeliverySchema.index({ webhook: 1, eventKey: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
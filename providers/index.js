@@ -0,0 +1,125 @@
+/**
+ * Schedule provider registry
+ *
+ * A provider describes one oblenergo backend:
+ *   - id: region key stored on ScheduleCache and User (e.g., "if")
+ *   - name: human-readable name shown to users
+ *   - queues: list of queue IDs served by this provider
+ *   - fetchRaw(queue): fetch raw upstream response for a queue
+ *   - normalize(data): convert raw response into the day array format
+ *     [{ eventDate: "DD.MM.YYYY", queues: { [queue]: [{ from, to, shutdownHours, status }] } }]
+ */
+
+import ivanoFrankivskProvider from './ivanoFrankivsk.js';
+import { LOG_PREFIX, DEFAULT_REGION } from '../config/constants.js';
+
+const PROVIDERS = {
+  [ivanoFrankivskProvider.id]: ivanoFrankivskProvider,
+};
+
+/**
+ * Get provider by region key
+ * @param {string} [region=DEFAULT_REGION] - Region key
+ * @returns {Object|null} Provider or null if unknown
+ */
+export function getProvider(region = DEFAULT_REGION) {
+  return PROVIDERS[region] || null;
+}
+
+/**
+ * Get all registered providers
+ * @returns {Array} Array of providers
+ */
+export function getAllProviders() {
+  return Object.values(PROVIDERS);
+}
+
+/**
+ * Get all registered region keys
+ * @returns {string[]} Array of region keys
+ */
+export function getAllRegions() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Check if region key belongs to a registered provider
+ * @param {string} region - Region key
+ * @returns {boolean} True if region is known
+ */
+export function isValidRegion(region) {
+  return Boolean(PROVIDERS[region]);
+}
+
+/**
+ * Get queues served by a region's provider
+ * @param {string} [region=DEFAULT_REGION] - Region key
+ * @returns {string[]} Array of queue IDs
+ */
+export function getProviderQueues(region = DEFAULT_REGION) {
+  const provider = getProvider(region);
+  return provider ? [...provider.queues] : [];
+}
+
+/**
+ * Fetch schedule for a queue and normalize it into the day array format
+ * @param {string} queue - Queue identifier (e.g., "5.2")
+ * @param {string} [region=DEFAULT_REGION] - Region key
+ * @returns {Promise<Array|null>} Normalized schedule or null if request fails
+ */
+export async function fetchSchedule(queue, region = DEFAULT_REGION) {
+  const provider = getProvider(region);
+
+  if (!provider) {
+    console.error(`${LOG_PREFIX.API} ❌ Unknown region: ${region}`);
+    return null;
+  }
+
+  const data = await provider.fetchRaw(queue);
+  if (!data) {
+    return null;
+  }
+
+  const schedule = provider.normalize(data);
+  if (!schedule) {
+    console.warn(`${LOG_PREFIX.API} ⚠️ Unexpected response shape from ${region} for queue ${queue}`);
+    return null;
+  }
+
+  return schedule;
+}
+
+/**
+ * Fetch schedules for multiple queues of one region
+ * @param {string[]} queues - Array of queue identifiers
+ * @param {string} [region=DEFAULT_REGION] - Region key
+ * @returns {Promise<Object>} Object with queue as key and schedule as value
+ */
+export async function fetchMultipleSchedules(queues, region = DEFAULT_REGION) {
+  const results = {};
+
+  console.log(`${LOG_PREFIX.API} Fetching schedules for ${queues.length} queues in ${region}:`, queues);
+
+  // Fetch in parallel
+  const promises = queues.map((queue) =>
+    fetchSchedule(queue, region).then((schedule) => {
+      results[queue] = schedule;
+      console.log(`${LOG_PREFIX.API} Result for ${region}/${queue}:`, schedule ? 'success' : 'failed');
+    })
+  );
+
+  await Promise.all(promises);
+
+  console.log(`${LOG_PREFIX.API} All fetches completed`);
+  return results;
+}
+
+export default {
+  getProvider,
+  getAllProviders,
+  getAllRegions,
+  isValidRegion,
+  getProviderQueues,
+  fetchSchedule,
+  fetchMultipleSchedules,
+};
@@ -0,0 +1,65 @@
+/**
+ * Ivano-Frankivsk oblenergo schedule provider
+ * Source: https://be-svitlo.oe.if.ua
+ */
+
+import { requestJson } from '../utils/api.js';
+import { REGIONS, VALID_QUEUES } from '../config/constants.js';
+
+const API_BASE_URL = 'https://be-svitlo.oe.if.ua';
+
+/**
+ * Fetch raw schedule for a queue from the oblenergo API
+ * @param {string} queue - Queue identifier (e.g., "5.2")
+ * @returns {Promise<Object|null>} Raw response data or null if request fails
+ */
+async function fetchRaw(queue) {
+  return requestJson(`${API_BASE_URL}/schedule-by-queue`, { queue }, `queue ${queue}`);
+}
+
+/**
+ * Normalize API response into the day array format
+ * The API already returns [{ eventDate, queues: { [queue]: [...] } }],
+ * so we only drop malformed entries and keep the known fields
+ * @param {Array} data - Raw response data
+ * @returns {Array|null} Normalized day array or null if shape is unknown
+ */
+function normalize(data) {
+  if (!Array.isArray(data)) {
+    return null;
+  }
+
+  return data
+    .filter(day => day && typeof day === 'object' && day.queues)
+    .map(day => {
+      const normalizedDay = {
+        eventDate: day.eventDate,
+        queues: {},
+      };
+
+      if (day.scheduleApprovedSince) {
+        normalizedDay.scheduleApprovedSince = day.scheduleApprovedSince;
+      }
+
+      for (const [queueId, periods] of Object.entries(day.queues)) {
+        normalizedDay.queues[queueId] = Array.isArray(periods)
+          ? periods.map(period => ({
+            from: period.from,
+            to: period.to,
+            shutdownHours: period.shutdownHours,
+            status: period.status,
+          }))
+          : periods;
+      }
+
+      return normalizedDay;
+    });
+}
+
+export default {
+  id: REGIONS.IVANO_FRANKIVSK,
+  name: 'Івано-Франківськобленерго',
+  queues: VALID_QUEUES,
+  fetchRaw,
+  normalize,
+};
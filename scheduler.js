@@ -6,24 +6,21 @@
 import cron from 'node-cron';
 import { formatScheduleText, generateEventId } from './utils/helpers.js';
 import { compareSchedules, formatScheduleWithChanges } from './utils/scheduleComparison.js';
-import { LOG_PREFIX, TIMING } from './config/constants.js';
-import {
-  getTodayString,
-  getCurrentMinutes,
-  formatCurrentTime,
-  parseTimeToMinutes,
-  isRelevantForPowerReturn,
-  isEarlyMorning,
-} from './utils/dateUtils.js';
+import { LOG_PREFIX, TIMING, EVENT_TYPES, WEBHOOK, OUTBOX, JOBS, NOTIFICATION_TYPES, QUIET_ACTIONS } from './config/constants.js';
+import { formatCurrentTime, formatDateString, resolveTimeZone, getTimeZone } from './utils/dateUtils.js';
 import {
   getNotificationEnabledUsers,
-  getUserChangedQueues,
-  sendNotification,
+  getUserChangedTargets,
+  notifyUser,
+  sendDeferredNotifications,
+  isInQuietHours,
   markEventAsNotified,
   isEventNotified,
   cleanOldNotifications as cleanOldNotificationsService,
   createScheduleUpdateMessage,
+  createSchedulePublishedMessage,
   createUpcomingOutageMessage,
+  createDayBeforeMessage,
   createPowerReturnMessage,
 } from './services/notificationService.js';
 import {
@@ -31,10 +28,36 @@ import {
   getChangedQueues,
   getCachedSchedule,
   extractPeriodsForQueueAndDate,
-  extractStartTime,
-  extractEndTime,
   getAllQueues,
+  filterFutureDays,
+  getOutageBlocks,
+  toDisplayInterval,
+  normalizeChanges,
+  getNormalizedSchedule,
+  serializeInterval,
 } from './services/scheduleService.js';
+import { cleanOldVersions } from './services/historyService.js';
+import {
+  getJobLastRun,
+  setJobLastRun,
+  getReminderWindow,
+  getDueLeadReminders,
+  getDueDayBeforeReminders,
+} from './services/reminderService.js';
+import { rollupPendingStats } from './services/statsService.js';
+import { getDigestUsers, isDigestDue, sendDigest } from './services/digestService.js';
+import { getLiveStatusUsers, refreshLiveStatus } from './services/liveStatusService.js';
+import { renderScheduleChart, formatChartCaption } from './services/chartService.js';
+import { enqueuePhoto, deliverPendingMessages, cleanOldOutboxMessages } from './services/outboxService.js';
+import {
+  hasActiveWebhooks,
+  dispatchWebhookEvent,
+  retryPendingDeliveries,
+  cleanOldDeliveries,
+} from './services/webhookService.js';
+import { getAllRegions } from './providers/index.js';
+import { getNotificationTargets } from './utils/locations.js';
+import { isChangeRelevant } from './utils/changeFilter.js';
 
 /**
  * Initialize scheduler to update schedules and send notifications
@@ -51,7 +74,7 @@ export function initializeScheduler(bot) {
   cron.schedule(cronExpression, async () => {
     console.log(`${LOG_PREFIX.SCHEDULER} Running schedule update cycle...`);
     await updateAllSchedules(bot);
-  });
+  }, { timezone: getTimeZone() });
 
   // Run immediately on startup to populate cache
   setTimeout(() => {
@@ -63,27 +86,40 @@ export function initializeScheduler(bot) {
 }
 
 /**
- * Update all schedules for ALL queues and notify users only if schedule changed
+ * Update all schedules for ALL queues of ALL regions and notify users only if schedule changed
  * @param {Object} bot - Telegram bot instance
  */
 async function updateAllSchedules(bot) {
   const startTime = Date.now();
 
   try {
-    const allQueues = getAllQueues();
-    console.log(`${LOG_PREFIX.SCHEDULER} Starting update cycle for ALL ${allQueues.length} queues:`, allQueues);
-
-    // Process all queues
-    const results = await processMultipleQueues(allQueues);
+    for (const region of getAllRegions()) {
+      const allQueues = getAllQueues(region);
+      console.log(`${LOG_PREFIX.SCHEDULER} Starting update cycle for region ${region}, ALL ${allQueues.length} queues:`, allQueues);
+
+      // Process all queues
+      const results = await processMultipleQueues(allQueues, region);
+
+      // Get queues that changed (excluding first-time initializations)
+      const changedQueues = getChangedQueues(results);
+
+      if (changedQueues.length > 0) {
+        console.log(`${LOG_PREFIX.SCHEDULER} 📨 Notifying users about ${changedQueues.length} changed queues in ${region}:`, changedQueues);
+        await notifyUsersAboutChanges(bot, results, region);
+        await notifyWebhooksAboutChanges(results, region);
+      } else {
+        console.log(`${LOG_PREFIX.SCHEDULER} ✓ No schedule changes detected in ${region}`);
+      }
 
-    // Get queues that changed (excluding first-time initializations)
-    const changedQueues = getChangedQueues(results);
+      // Newly published days are announced separately from change notifications
+      if (results.some(r => r.newDates.length > 0)) {
+        await notifyAboutPublishedDays(bot, results, region);
+      }
 
-    if (changedQueues.length > 0) {
-      console.log(`${LOG_PREFIX.SCHEDULER} 📨 Notifying users about ${changedQueues.length} changed queues:`, changedQueues);
-      await notifyUsersAboutChanges(bot, results);
-    } else {
-      console.log(`${LOG_PREFIX.SCHEDULER} ✓ No schedule changes detected`);
+      // Pinned live status messages show the cached schedule, so refresh them right away
+      if (changedQueues.length > 0) {
+        await refreshLiveStatusMessages(bot, { region, queues: { $in: changedQueues } });
+      }
     }
 
     const duration = Date.now() - startTime;
@@ -93,32 +129,74 @@ async function updateAllSchedules(bot) {
   }
 }
 
+/**
+ * Remove newly published days from a changes object
+ * @param {Object} changes - Changes object from compareSchedules
+ * @param {string[]} newDates - Dates that appeared in this fetch
+ * @returns {Object} Changes of days that existed before
+ */
+function withoutPublishedDays(changes, newDates) {
+  return Object.fromEntries(Object.entries(changes).filter(([date]) => !newDates.includes(date)));
+}
+
+/**
+ * Queue the timeline chart of a changed queue after its change notification (/chart on)
+ * During quiet hours the chart goes out silently, or not at all if change notifications
+ * are deferred or dropped - a deferred text would otherwise arrive after its picture
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - User document
+ * @param {string} queue - Queue ID
+ * @param {Array} schedule - New raw schedule of the queue
+ */
+async function sendScheduleChangeChart(bot, user, queue, schedule) {
+  const timeZone = resolveTimeZone(user.timezone);
+  const quiet = isInQuietHours(user.quietHours, new Date(), timeZone);
+  const action = user.quietHours?.actions?.[NOTIFICATION_TYPES.SCHEDULE_CHANGE] || QUIET_ACTIONS.SILENT;
+
+  if (quiet && action !== QUIET_ACTIONS.SILENT) {
+    return;
+  }
+
+  const png = renderScheduleChart([{ queue, schedule }], { timeZone });
+
+  if (png) {
+    await enqueuePhoto(
+      user.chatId,
+      png,
+      formatChartCaption([queue], timeZone, user.language),
+      { parse_mode: 'HTML', ...(quiet ? { disable_notification: true } : {}) },
+      { notificationType: NOTIFICATION_TYPES.SCHEDULE_CHANGE }
+    );
+  }
+}
+
 /**
  * Notify users about schedule changes for specific queues
  * @param {Object} bot - Telegram bot instance
  * @param {Array} results - Array of processing results with oldSchedule
+ * @param {string} region - Region the results belong to
  */
-async function notifyUsersAboutChanges(bot, results) {
+async function notifyUsersAboutChanges(bot, results, region) {
   try {
     // Filter only changed queues
     const changedResults = results.filter(r => r.changed && !r.isFirstTime);
     const changedQueues = changedResults.map(r => r.queue);
     
-    const users = await getNotificationEnabledUsers();
+    const users = await getNotificationEnabledUsers({ region });
     console.log(`${LOG_PREFIX.SCHEDULER} Found ${users.length} users with notifications enabled`);
 
     let notificationsSent = 0;
 
     for (const user of users) {
-      const userChangedQueues = getUserChangedQueues(user, changedQueues);
+      const userChangedTargets = getUserChangedTargets(user, changedQueues);
 
-      if (userChangedQueues.length === 0) {
+      if (userChangedTargets.length === 0) {
         continue;
       }
 
-      console.log(`${LOG_PREFIX.SCHEDULER} User ${user.telegramId} subscribed to ${userChangedQueues.length} changed queues:`, userChangedQueues);
+      console.log(`${LOG_PREFIX.SCHEDULER} Chat ${user.chatId} subscribed to ${userChangedTargets.length} changed queues:`, userChangedTargets.map(target => target.queue));
 
-      for (const queue of userChangedQueues) {
+      for (const { queue, label } of userChangedTargets) {
         const result = changedResults.find(r => r.queue === queue);
         if (!result) continue;
 
@@ -133,27 +211,39 @@ async function notifyUsersAboutChanges(bot, results) {
         let scheduleText;
         if (oldSchedule && Array.isArray(oldSchedule)) {
           // We have old schedule to compare
-          const { filterFutureDays } = await import('./services/scheduleService.js');
           const oldFiltered = filterFutureDays(oldSchedule);
           const newFiltered = filterFutureDays(schedule);
-          const changes = compareSchedules(oldFiltered, newFiltered, queue);
-          scheduleText = formatScheduleWithChanges(schedule, queue, changes);
+          const changes = withoutPublishedDays(compareSchedules(oldFiltered, newFiltered, queue), result.newDates);
+
+          // Only new days appeared: they get their own "schedule published" message
+          if (Object.keys(changes).length === 0 && result.newDates.length > 0) {
+            continue;
+          }
+
+          // The chat asked to hear only about some changes (/filter)
+          if (!isChangeRelevant(changes, user.changeFilter, new Date(), resolveTimeZone(user.timezone))) {
+            console.log(`${LOG_PREFIX.SCHEDULER} 🎯 Change of queue ${queue} filtered out for chat ${user.chatId}`);
+            continue;
+          }
+
+          scheduleText = formatScheduleWithChanges(schedule, queue, changes, resolveTimeZone(user.timezone), label, user.language);
         } else {
           // No old schedule, use regular formatting
-          scheduleText = formatScheduleText(schedule, queue);
+          scheduleText = formatScheduleText(schedule, queue, resolveTimeZone(user.timezone), label, user.language);
         }
 
-        const message = createScheduleUpdateMessage(scheduleText);
+        const message = createScheduleUpdateMessage(scheduleText, user.language);
 
-        const success = await sendNotification(bot, user.telegramId, message, { parse_mode: 'HTML' });
+        const success = await notifyUser(bot, user, NOTIFICATION_TYPES.SCHEDULE_CHANGE, message, { parse_mode: 'HTML' });
 
         if (success) {
           notificationsSent++;
-          console.log(`${LOG_PREFIX.SCHEDULER} ✉️ Sent update notification to user ${user.telegramId} for queue ${queue}`);
-        }
+          console.log(`${LOG_PREFIX.SCHEDULER} ✉️ Sent update notification to chat ${user.chatId} for queue ${queue}`);
 
-        // Small delay between notifications
-        await delay(TIMING.NOTIFICATION_DELAY);
+          if (user.scheduleChart) {
+            await sendScheduleChangeChart(bot, user, queue, schedule);
+          }
+        }
       }
     }
 
@@ -164,84 +254,286 @@ async function notifyUsersAboutChanges(bot, results) {
 }
 
 /**
- * Send notification X minutes before an outage
- * @param {Object} bot - Telegram bot instance
+ * Dispatch schedule-changed webhook events for changed queues
+ * @param {Array} results - Array of processing results with oldSchedule
+ * @param {string} region - Region the results belong to
  */
-export async function checkAndNotifyUpcomingOutages(bot) {
+async function notifyWebhooksAboutChanges(results, region) {
   try {
-    const users = await getNotificationEnabledUsers();
-    console.log(`${LOG_PREFIX.SCHEDULER} Checking upcoming outages for ${users.length} users`);
+    const changedResults = results.filter(r => r.changed && !r.isFirstTime && r.schedule);
 
-    const now = new Date();
-    const todayStr = getTodayString();
-    const currentMinutes = getCurrentMinutes(now);
-    const currentTime = formatCurrentTime(now);
+    for (const result of changedResults) {
+      const changes = Array.isArray(result.oldSchedule)
+        ? withoutPublishedDays(compareSchedules(filterFutureDays(result.oldSchedule), filterFutureDays(result.schedule), result.queue), result.newDates)
+        : {};
 
-    console.log(`${LOG_PREFIX.SCHEDULER} Today is: ${todayStr}, current time: ${currentTime}`);
+      // Only new days appeared: covered by the schedule_published event
+      if (Object.keys(changes).length === 0 && result.newDates.length > 0) {
+        continue;
+      }
+
+      await dispatchWebhookEvent(
+        EVENT_TYPES.SCHEDULE_CHANGED,
+        `${EVENT_TYPES.SCHEDULE_CHANGED}_${region}_${result.queue}_${result.hash}`,
+        region,
+        result.queue,
+        {
+          hash: result.hash,
+          changes: normalizeChanges(changes),
+          days: getNormalizedSchedule(result.schedule, result.queue),
+        }
+      );
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in notifyWebhooksAboutChanges:`, error);
+  }
+}
+
+/**
+ * Notify users and webhooks about days that appeared in a queue's schedule
+ * Each chat gets one message per queue and day, showing only that day
+ * @param {Object} bot - Telegram bot instance
+ * @param {Array} results - Array of processing results with newDates
+ * @param {string} region - Region the results belong to
+ */
+async function notifyAboutPublishedDays(bot, results, region) {
+  try {
+    const publishedResults = results.filter(r => r.newDates.length > 0 && r.schedule);
+    const users = await getNotificationEnabledUsers({ region });
 
     let notificationsSent = 0;
 
-    for (const user of users) {
-      if (user.queues.length === 0 || user.timers.length === 0) {
-        continue;
+    for (const result of publishedResults) {
+      const { queue } = result;
+
+      for (const eventDate of result.newDates) {
+        const day = result.schedule.find(d => d?.eventDate === eventDate);
+        if (!day) {
+          continue;
+        }
+
+        console.log(`${LOG_PREFIX.SCHEDULER} 🆕 Schedule for ${eventDate} published for queue ${region}/${queue}`);
+
+        await dispatchWebhookEvent(
+          EVENT_TYPES.SCHEDULE_PUBLISHED,
+          `${EVENT_TYPES.SCHEDULE_PUBLISHED}_${region}_${queue}_${eventDate}`,
+          region,
+          queue,
+          { eventDate, periods: getNormalizedSchedule([day], queue)[0]?.periods || [] }
+        );
+
+        const eventId = `published_${queue}_${eventDate}`;
+
+        for (const user of users) {
+          const target = getNotificationTargets(user).find(t => t.queue === queue);
+
+          if (!target || isEventNotified(user, eventId)) {
+            continue;
+          }
+
+          const scheduleText = formatScheduleText([day], queue, resolveTimeZone(user.timezone), target.label, user.language);
+          const message = createSchedulePublishedMessage(eventDate, scheduleText, user.language);
+
+          const success = await notifyUser(bot, user, NOTIFICATION_TYPES.SCHEDULE_PUBLISHED, message, { parse_mode: 'HTML' });
+
+          if (success) {
+            await markEventAsNotified(user, eventId);
+            notificationsSent++;
+          }
+        }
       }
+    }
 
-      for (const queue of user.queues) {
-        const schedule = await getCachedSchedule(queue);
+    console.log(`${LOG_PREFIX.SCHEDULER} ✅ Sent ${notificationsSent} schedule published notifications`);
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in notifyAboutPublishedDays:`, error);
+  }
+}
 
+/**
+ * Dispatch outage start and power return webhook events
+ * Events are sent once per webhook for outages that started or ended within the last
+ * WEBHOOK.EVENT_WINDOW_MINUTES; back-to-back and overlapping periods are treated as one outage
+ */
+export async function checkAndDispatchOutageEvents() {
+  try {
+    if (!(await hasActiveWebhooks())) {
+      return;
+    }
+
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - WEBHOOK.EVENT_WINDOW_MINUTES * 60 * 1000);
+    const inWindow = (date) => date >= windowStart && date <= now;
+
+    for (const region of getAllRegions()) {
+      for (const queue of getAllQueues(region)) {
+        const schedule = await getCachedSchedule(queue, region);
         if (!schedule) {
           continue;
         }
 
-        // Extract today's periods
-        const periods = extractPeriodsForQueueAndDate(schedule, queue, todayStr);
+        for (const block of getOutageBlocks(schedule, queue)) {
+          if (inWindow(block.start)) {
+            await dispatchWebhookEvent(
+              EVENT_TYPES.OUTAGE_START,
+              `${EVENT_TYPES.OUTAGE_START}_${region}_${generateEventId(queue, block.from, block.eventDate)}`,
+              region,
+              queue,
+              serializeInterval(block)
+            );
+          }
 
-        if (periods.length === 0) {
-          console.log(`${LOG_PREFIX.SCHEDULER} No outages scheduled for TODAY (${todayStr}) in queue ${queue}`);
-          continue;
+          if (inWindow(block.end)) {
+            await dispatchWebhookEvent(
+              EVENT_TYPES.POWER_RETURN,
+              `${EVENT_TYPES.POWER_RETURN}_${region}_${generateEventId(queue, block.to, block.eventDate)}`,
+              region,
+              queue,
+              serializeInterval(block)
+            );
+          }
         }
+      }
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in checkAndDispatchOutageEvents:`, error);
+  }
+}
+
+/**
+ * Send queued webhook deliveries and retry failed ones that are due
+ */
+export async function retryWebhookDeliveries() {
+  try {
+    await retryPendingDeliveries();
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in retryWebhookDeliveries:`, error);
+  }
+}
+
+/**
+ * Deliver queued notifications from the outbox
+ * @param {Object} bot - Telegram bot instance
+ */
+export async function deliverOutboxMessages(bot) {
+  try {
+    const delivered = await deliverPendingMessages(bot);
+
+    if (delivered > 0) {
+      console.log(`${LOG_PREFIX.SCHEDULER} 📤 Delivered ${delivered} queued notifications`);
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in deliverOutboxMessages:`, error);
+  }
+}
+
+// Guards against overlapping reminder runs when a cycle takes longer than the cron tick
+let upcomingCheckInProgress = false;
+
+/**
+ * Send notification X minutes before an outage and day-before reminders
+ * Each run handles reminders that became due since the last successful run (persisted),
+ * so every timer fires once even after delayed ticks or restarts. A run in which a reminder
+ * could not be queued does not count as successful; already sent ones are skipped on the retry
+ * @param {Object} bot - Telegram bot instance
+ */
+export async function checkAndNotifyUpcomingOutages(bot) {
+  if (upcomingCheckInProgress) {
+    console.log(`${LOG_PREFIX.SCHEDULER} Previous upcoming outage check still running, skipping`);
+    return;
+  }
+
+  upcomingCheckInProgress = true;
+
+  try {
+    const users = await getNotificationEnabledUsers();
+    console.log(`${LOG_PREFIX.SCHEDULER} Checking upcoming outages for ${users.length} users`);
 
-        // Check each period
-        for (const period of periods) {
-          const startTime = extractStartTime(period);
+    const now = new Date();
+    const window = getReminderWindow(await getJobLastRun(JOBS.UPCOMING_OUTAGES), now);
+
+    console.log(`${LOG_PREFIX.SCHEDULER} Reminder window: ${formatCurrentTime(window.from)} - ${formatCurrentTime(window.to)}`);
+
+    let notificationsSent = 0;
+    let failures = 0;
 
-          if (!startTime) {
+    for (const user of users) {
+      const dayBeforeTimes = user.dayBeforeTimes || [];
+      const timeZone = resolveTimeZone(user.timezone);
+
+      try {
+        for (const { queue, label, timers } of getNotificationTargets(user)) {
+          if (timers.length === 0 && dayBeforeTimes.length === 0) {
             continue;
           }
 
-          const periodMinutes = parseTimeToMinutes(startTime);
-          if (periodMinutes === null) {
+          const schedule = await getCachedSchedule(queue, user.region);
+
+          if (!schedule) {
             continue;
           }
 
-          const diffMinutes = periodMinutes - currentMinutes;
-
-          console.log(`${LOG_PREFIX.SCHEDULER} Queue ${queue}, start: ${startTime}, current: ${currentTime}, diff: ${diffMinutes}min`);
+          // Reminders are sent for continuous outages, not for periods continuing a running one
+          const intervals = getOutageBlocks(schedule, queue).filter(interval => interval.start > now);
 
-          // Check if difference matches any of user's timers
-          if (user.timers.includes(diffMinutes)) {
-            const eventId = generateEventId(queue, startTime, period.eventDate);
+          for (const reminder of getDueLeadReminders(intervals, timers, queue, window)) {
+            const pendingIds = reminder.eventIds.filter(eventId => !isEventNotified(user, eventId));
 
-            if (isEventNotified(user, eventId)) {
-              console.log(`${LOG_PREFIX.SCHEDULER} Already notified about ${eventId}`);
+            if (pendingIds.length === 0) {
+              console.log(`${LOG_PREFIX.SCHEDULER} Already notified about ${reminder.eventIds.join(', ')}`);
               continue;
             }
 
-            const dateInfo = period.eventDate || '';
-            const message = createUpcomingOutageMessage(queue, startTime, diffMinutes, dateInfo);
+            const { interval } = reminder;
+            const shown = toDisplayInterval(interval, timeZone);
+            const message = createUpcomingOutageMessage(queue, shown.from, reminder.minutesLeft, shown.eventDate, label, user.language);
+
+            // A reminder that could not go out before the outage started is no longer useful
+            const success = await notifyUser(bot, user, NOTIFICATION_TYPES.UPCOMING_OUTAGE, message, { parse_mode: 'HTML' }, { expiresAt: interval.start });
+
+            if (success) {
+              // Collapsed overdue timers are handled by this single message
+              for (const eventId of pendingIds) {
+                await markEventAsNotified(user, eventId);
+              }
+              notificationsSent++;
+              console.log(`${LOG_PREFIX.SCHEDULER} ⏰ Sent upcoming outage notification to chat ${user.chatId} for queue ${queue} at ${interval.from} (${reminder.timer}min timer, ${reminder.minutesLeft}min left)`);
+            } else {
+              failures++;
+            }
+          }
+
+          for (const reminder of getDueDayBeforeReminders(intervals, dayBeforeTimes, queue, window, timeZone)) {
+            if (isEventNotified(user, reminder.eventId)) {
+              continue;
+            }
 
-            const success = await sendNotification(bot, user.telegramId, message, { parse_mode: 'HTML' });
+            const shownIntervals = reminder.intervals.map(interval => toDisplayInterval(interval, timeZone));
+            const message = createDayBeforeMessage(queue, reminder.eventDate, shownIntervals, label, user.language);
+            const success = await notifyUser(bot, user, NOTIFICATION_TYPES.UPCOMING_OUTAGE, message, { parse_mode: 'HTML' }, { expiresAt: reminder.intervals[0]?.start ?? null });
 
             if (success) {
-              await markEventAsNotified(user, eventId);
+              await markEventAsNotified(user, reminder.eventId);
               notificationsSent++;
-              console.log(`${LOG_PREFIX.SCHEDULER} ⏰ Sent upcoming outage notification to user ${user.telegramId} for queue ${queue} at ${startTime} (${diffMinutes}min before)`);
+              console.log(`${LOG_PREFIX.SCHEDULER} 🌙 Sent day-before notification to chat ${user.chatId} for queue ${queue} (${reminder.time})`);
+            } else {
+              failures++;
             }
           }
         }
+      } catch (error) {
+        failures++;
+        console.error(`${LOG_PREFIX.SCHEDULER} Error checking upcoming outages for chat ${user.chatId}:`, error.message);
       }
     }
 
+    // Reminders that failed to queue are retried by the next run over the same window
+    if (failures === 0) {
+      await setJobLastRun(JOBS.UPCOMING_OUTAGES, now);
+    } else {
+      console.warn(`${LOG_PREFIX.SCHEDULER} ⚠️ ${failures} reminders failed, keeping the reminder window for the next run`);
+    }
+
     if (notificationsSent > 0) {
       console.log(`${LOG_PREFIX.SCHEDULER} ✅ Sent ${notificationsSent} upcoming outage notifications`);
     } else {
@@ -249,11 +541,15 @@ export async function checkAndNotifyUpcomingOutages(bot) {
     }
   } catch (error) {
     console.error(`${LOG_PREFIX.SCHEDULER} Error in checkAndNotifyUpcomingOutages:`, error);
+  } finally {
+    upcomingCheckInProgress = false;
   }
 }
 
 /**
  * Check and notify when power returns (outage ends)
+ * Only the end of a continuous outage counts: a period followed by a touching or overlapping
+ * one (also after midnight) is not a power return
  * @param {Object} bot - Telegram bot instance
  */
 export async function checkAndNotifyPowerReturns(bot) {
@@ -262,148 +558,154 @@ export async function checkAndNotifyPowerReturns(bot) {
     console.log(`${LOG_PREFIX.SCHEDULER} Checking power returns for ${users.length} users`);
 
     const now = new Date();
-    const todayStr = getTodayString();
-    const currentMinutes = getCurrentMinutes(now);
-    const currentHour = now.getHours();
+    const windowStart = new Date(now.getTime() - TIMING.POWER_RETURN_CHECK_WINDOW * 60000);
 
     let notificationsSent = 0;
 
     for (const user of users) {
-      if (user.queues.length === 0) {
-        continue;
-      }
-
-      for (const queue of user.queues) {
-        const schedule = await getCachedSchedule(queue);
+      for (const { queue, label } of getNotificationTargets(user)) {
+        const schedule = await getCachedSchedule(queue, user.region);
 
         if (!schedule) {
           continue;
         }
 
-        const allPeriodsToCheck = [];
-
-        // Extract relevant periods (today and possibly yesterday for midnight transitions)
-        if (Array.isArray(schedule)) {
-          for (const daySchedule of schedule) {
-            if (daySchedule?.queues?.[queue]) {
-              const eventDate = daySchedule.eventDate || '';
+        for (const block of getOutageBlocks(schedule, queue)) {
+          if (block.end < windowStart || block.end > now) {
+            continue;
+          }
 
-              if (!isRelevantForPowerReturn(eventDate, todayStr, currentHour)) {
-                console.log(`${LOG_PREFIX.SCHEDULER} Skipping power return check for ${eventDate}`);
-                continue;
-              }
+          const eventId = `power_return_${generateEventId(queue, block.to, formatDateString(block.end))}`;
 
-              const periods = daySchedule.queues[queue];
-              if (Array.isArray(periods)) {
-                periods.forEach(period => {
-                  allPeriodsToCheck.push({
-                    ...period,
-                    eventDate: eventDate,
-                  });
-                });
-              }
-            }
+          if (isEventNotified(user, eventId)) {
+            continue;
           }
-        } else if (schedule?.data) {
-          // Old format support
-          allPeriodsToCheck.push(...schedule.data.map(p => ({ ...p, eventDate: todayStr })));
-        }
 
-        if (allPeriodsToCheck.length === 0) {
-          continue;
-        }
+          const timeZone = resolveTimeZone(user.timezone);
+          const message = createPowerReturnMessage(queue, formatCurrentTime(block.end, timeZone), formatDateString(block.end, timeZone), label, user.language);
 
-        // Check each period
-        for (const period of allPeriodsToCheck) {
-          const endTime = extractEndTime(period);
+          const success = await notifyUser(bot, user, NOTIFICATION_TYPES.POWER_RETURN, message, { parse_mode: 'HTML' });
 
-          if (!endTime) {
-            continue;
+          if (success) {
+            await markEventAsNotified(user, eventId);
+            notificationsSent++;
+            console.log(`${LOG_PREFIX.SCHEDULER} 💡 Sent power return notification to chat ${user.chatId} for queue ${queue} at ${block.to} (outage since ${block.from} ${block.eventDate})`);
           }
+        }
+      }
+    }
 
-          const endMinutes = parseTimeToMinutes(endTime);
-          if (endMinutes === null) {
-            continue;
-          }
+    if (notificationsSent > 0) {
+      console.log(`${LOG_PREFIX.SCHEDULER} ✅ Sent ${notificationsSent} power return notifications`);
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in checkAndNotifyPowerReturns:`, error);
+  }
+}
 
-          let shouldNotify = false;
+/**
+ * Send notifications deferred during quiet hours once a user's quiet hours are over
+ * @param {Object} bot - Telegram bot instance
+ */
+export async function flushDeferredNotifications(bot) {
+  try {
+    const users = await getNotificationEnabledUsers({ 'deferredNotifications.0': { $exists: true } });
+    let flushed = 0;
 
-          // Handle midnight transitions
-          if (isEarlyMorning(endMinutes, 60)) {
-            const diffMinutes = currentMinutes - endMinutes;
+    for (const user of users) {
+      if (isInQuietHours(user.quietHours, new Date(), resolveTimeZone(user.timezone))) {
+        continue;
+      }
 
-            if (diffMinutes >= 0 && diffMinutes <= TIMING.POWER_RETURN_CHECK_WINDOW) {
-              shouldNotify = true;
-              console.log(`${LOG_PREFIX.SCHEDULER} Midnight transition detected: end=${endTime}, current=${formatCurrentTime(now)}, diff=${diffMinutes}min`);
-            }
-          } else {
-            const diffMinutes = currentMinutes - endMinutes;
+      if (await sendDeferredNotifications(bot, user)) {
+        flushed++;
+        console.log(`${LOG_PREFIX.SCHEDULER} 🌅 Sent ${user.deferredNotifications.length} deferred notifications to chat ${user.chatId}`);
+      }
+    }
 
-            if (diffMinutes >= 0 && diffMinutes <= TIMING.POWER_RETURN_CHECK_WINDOW) {
-              shouldNotify = true;
-            }
-          }
+    if (flushed > 0) {
+      console.log(`${LOG_PREFIX.SCHEDULER} ✅ Flushed deferred notifications for ${flushed} chats`);
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in flushDeferredNotifications:`, error);
+  }
+}
 
-          if (shouldNotify) {
-            // Check if another outage starts at the same time (no actual power return)
-            const hasOverlappingOutage = allPeriodsToCheck.some(otherPeriod => {
-              const otherStartTime = extractStartTime(otherPeriod);
-              if (!otherStartTime) return false;
-              
-              // Check if another period starts exactly when this one ends
-              return otherStartTime === endTime && otherPeriod !== period;
-            });
-
-            if (hasOverlappingOutage) {
-              console.log(`${LOG_PREFIX.SCHEDULER} ⚠️ Skipping power return notification - another outage starts at ${endTime}`);
-              continue;
-            }
+/**
+ * Send daily digests that are due
+ * @param {Object} bot - Telegram bot instance
+ */
+export async function sendDailyDigests(bot) {
+  try {
+    const now = new Date();
+    const users = (await getDigestUsers()).filter(user => isDigestDue(user.digest, now, resolveTimeZone(user.timezone)));
 
-            const eventId = `power_return_${generateEventId(queue, endTime, period.eventDate)}`;
+    let sent = 0;
 
-            if (isEventNotified(user, eventId)) {
-              continue;
-            }
+    for (const user of users) {
+      if (await sendDigest(bot, user, now)) {
+        sent++;
+        console.log(`${LOG_PREFIX.SCHEDULER} 📰 Sent daily digest to chat ${user.chatId}`);
+      }
+    }
 
-            const dateInfo = period.eventDate || '';
-            const message = createPowerReturnMessage(queue, endTime, dateInfo);
+    if (sent > 0) {
+      console.log(`${LOG_PREFIX.SCHEDULER} ✅ Sent ${sent} daily digests`);
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in sendDailyDigests:`, error);
+  }
+}
 
-            const success = await sendNotification(bot, user.telegramId, message, { parse_mode: 'HTML' });
+/**
+ * Edit pinned live status messages whose content changed
+ * Runs every minute to follow periods starting and ending, and after schedule updates
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} [filter={}] - Additional user filter (e.g. chats of changed queues)
+ */
+export async function refreshLiveStatusMessages(bot, filter = {}) {
+  try {
+    const now = new Date();
+    const users = await getLiveStatusUsers(filter);
+    let updated = 0;
 
-            if (success) {
-              await markEventAsNotified(user, eventId);
-              notificationsSent++;
-              console.log(`${LOG_PREFIX.SCHEDULER} 💡 Sent power return notification to user ${user.telegramId} for queue ${queue} at ${endTime}`);
-            }
-          }
-        }
+    for (const user of users) {
+      if (await refreshLiveStatus(bot, user, now)) {
+        updated++;
       }
     }
 
-    if (notificationsSent > 0) {
-      console.log(`${LOG_PREFIX.SCHEDULER} ✅ Sent ${notificationsSent} power return notifications`);
+    if (updated > 0) {
+      console.log(`${LOG_PREFIX.SCHEDULER} 📌 Updated ${updated} live status messages`);
     }
   } catch (error) {
-    console.error(`${LOG_PREFIX.SCHEDULER} Error in checkAndNotifyPowerReturns:`, error);
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in refreshLiveStatusMessages:`, error);
   }
 }
 
 /**
- * Clean old notified events periodically (keep only last 48 hours)
+ * Clean old notified events periodically (keep only last 48 hours),
+ * schedule versions older than history retention and old webhook deliveries
  */
 export async function cleanOldNotifications() {
   try {
     await cleanOldNotificationsService(TIMING.NOTIFICATION_RETENTION_HOURS);
+    await cleanOldVersions(TIMING.HISTORY_RETENTION_DAYS);
+    await cleanOldDeliveries(WEBHOOK.DELIVERY_RETENTION_DAYS);
+    await cleanOldOutboxMessages(OUTBOX.RETENTION_DAYS);
   } catch (error) {
     console.error(`${LOG_PREFIX.SCHEDULER} Error in cleanOldNotifications:`, error);
   }
 }
 
 /**
- * Delay utility
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>}
+ * Roll up today's outage statistics and any days missed since the last rollup
  */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export async function rollupOutageStats() {
+  try {
+    await rollupPendingStats();
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error in rollupOutageStats:`, error);
+  }
 }
+
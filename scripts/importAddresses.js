@@ -0,0 +1,57 @@
+/**
+ * Import address-to-queue dataset used by /find
+ *
+ * Usage:
+ *   npm run addresses:import -- <file.csv|file.json> [--region if] [--replace]
+ *
+ * CSV needs a header with "street" and "queue" columns; "houses" (numbers and ranges
+ * separated by ";", empty for the whole street) and "settlement" are optional:
+ *   settlement,street,houses,queue
+ *   ,вул. Шевченка,1-15;17А,3.1
+ * JSON is an array of { settlement, street, houses: ["1-15", "17А"], queue }.
+ *
+ * --replace deletes the region's previously imported entries first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { importAddresses } from '../services/addressService.js';
+import { parseAddressCsv } from '../utils/address.js';
+import { isValidRegion } from '../providers/index.js';
+import { DEFAULT_REGION } from '../config/constants.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/power-outage-bot';
+
+const args = process.argv.slice(2);
+const file = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--region');
+const regionIndex = args.indexOf('--region');
+const region = regionIndex >= 0 ? args[regionIndex + 1] : DEFAULT_REGION;
+const replace = args.includes('--replace');
+
+if (!file) {
+  console.error('[Import] Usage: npm run addresses:import -- <file.csv|file.json> [--region if] [--replace]');
+  process.exit(1);
+}
+
+if (!isValidRegion(region)) {
+  console.error(`[Import] Unknown region: ${region}`);
+  process.exit(1);
+}
+
+const text = fs.readFileSync(file, 'utf8');
+const rows = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseAddressCsv(text);
+
+await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+const result = await importAddresses(rows, region, { replace });
+await mongoose.disconnect();
+
+if (!result) {
+  process.exit(1);
+}
+
+console.log(`[Import] ✅ ${result.imported} entries imported, ${result.skipped} rows skipped (missing street or unknown queue)`);
@@ -0,0 +1,49 @@
+/**
+ * Local webhook receiver for testing outbound webhooks
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=<secret> node scripts/webhookReceiver.js
+ * then register http://localhost:4000/ as a webhook URL via the admin API.
+ *
+ * Set WEBHOOK_RECEIVER_STATUS=500 to simulate a failing endpoint and watch retries.
+ */
+
+import http from 'http';
+import { verifySignature } from '../services/webhookService.js';
+import { WEBHOOK } from '../config/constants.js';
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT || '4000');
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const RESPONSE_STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS || '200');
+
+const server = http.createServer((req, res) => {
+  let body = '';
+
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = req.headers[WEBHOOK.SIGNATURE_HEADER.toLowerCase()];
+    const valid = SECRET ? verifySignature(SECRET, timestamp, body, signature) : null;
+
+    console.log('\n[Receiver] ========================================');
+    console.log(`[Receiver] ${req.method} ${req.url}`);
+    console.log(`[Receiver] Event: ${req.headers['x-webhook-event']}, delivery: ${req.headers['x-webhook-delivery']}`);
+    console.log(`[Receiver] Signature: ${valid === null ? 'not checked (WEBHOOK_SECRET not set)' : valid ? '✅ valid' : '❌ INVALID'}`);
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    res.writeHead(valid === false ? 401 : RESPONSE_STATUS, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[Receiver] Listening on http://localhost:${PORT}/ (responding with ${RESPONSE_STATUS})`);
+});
@@ -0,0 +1,156 @@
+/**
+ * Address service
+ * Imports the address-to-queue dataset and resolves free-form addresses to queues
+ */
+
+import AddressEntry from '../models/AddressEntry.js';
+import { isValidQueue } from '../utils/helpers.js';
+import {
+  normalizeStreetName,
+  parseAddressQuery,
+  getHouseMatch,
+  getStreetSimilarity,
+} from '../utils/address.js';
+import { LOG_PREFIX, ADDRESS_SEARCH, HOUSE_MATCH, DEFAULT_REGION } from '../config/constants.js';
+
+/**
+ * Import address dataset rows for a region
+ * Rows with an unknown queue or without a street are skipped
+ * @param {Array} rows - Rows { settlement, street, houses, queue } (houses may be an array or a ";"-separated string)
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @param {Object} [options={}] - { replace: true } deletes the region's existing entries first
+ * @returns {Promise<Object|null>} { imported, skipped } or null on database error
+ */
+export async function importAddresses(rows, region = DEFAULT_REGION, options = {}) {
+  const entries = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const street = String(row?.street || '').trim();
+    const queue = String(row?.queue || '').trim();
+    const streetKey = normalizeStreetName(street);
+
+    if (!streetKey || !isValidQueue(queue, region)) {
+      skipped++;
+      continue;
+    }
+
+    const houses = Array.isArray(row.houses) ? row.houses : String(row.houses || '').split(';');
+
+    entries.push({
+      region,
+      settlement: row.settlement ? String(row.settlement).trim() : null,
+      street,
+      streetKey,
+      houses: houses.map(house => String(house).trim()).filter(Boolean),
+      queue,
+    });
+  }
+
+  try {
+    if (options.replace) {
+      const result = await AddressEntry.deleteMany({ region });
+      console.log(`${LOG_PREFIX.DATABASE} Deleted ${result.deletedCount} address entries of region ${region}`);
+    }
+
+    for (let i = 0; i < entries.length; i += ADDRESS_SEARCH.IMPORT_BATCH_SIZE) {
+      await AddressEntry.insertMany(entries.slice(i, i + ADDRESS_SEARCH.IMPORT_BATCH_SIZE));
+    }
+
+    console.log(`${LOG_PREFIX.DATABASE} Imported ${entries.length} address entries for region ${region} (${skipped} skipped)`);
+    return { imported: entries.length, skipped };
+  } catch (error) {
+    console.error(`${LOG_PREFIX.DATABASE} Error importing addresses for region ${region}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check if an address dataset was imported for a region
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @returns {Promise<boolean>} True if at least one entry exists
+ */
+export async function hasAddressData(region = DEFAULT_REGION) {
+  try {
+    return Boolean(await AddressEntry.exists({ region }));
+  } catch (error) {
+    console.error(`${LOG_PREFIX.DATABASE} Error checking address data:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Find queues of a free-form address
+ * Streets are matched fuzzily by search key; when a house number is given, only entries
+ * covering that house are returned
+ * @param {string} input - Address typed by the user (e.g., "Шевченка 12")
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @returns {Promise<Array>} Matches sorted by similarity: { settlement, street, house, queues, score }
+ */
+export async function findQueuesByAddress(input, region = DEFAULT_REGION) {
+  const query = parseAddressQuery(input);
+  if (!query) {
+    return [];
+  }
+
+  try {
+    const queryKey = normalizeStreetName(query.street);
+    const settlementKey = query.settlement ? normalizeStreetName(query.settlement) : null;
+
+    const streetKeys = (await AddressEntry.distinct('streetKey', { region }))
+      .map(streetKey => ({ streetKey, score: getStreetSimilarity(queryKey, streetKey) }))
+      .filter(candidate => candidate.score >= ADDRESS_SEARCH.MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, ADDRESS_SEARCH.MAX_RESULTS * 2);
+
+    if (streetKeys.length === 0) {
+      return [];
+    }
+
+    const scores = new Map(streetKeys.map(candidate => [candidate.streetKey, candidate.score]));
+    const entries = await AddressEntry.find({ region, streetKey: { $in: [...scores.keys()] } });
+    const matches = new Map();
+
+    for (const entry of entries) {
+      if (settlementKey && entry.settlement && getStreetSimilarity(settlementKey, normalizeStreetName(entry.settlement)) < ADDRESS_SEARCH.MIN_SIMILARITY) {
+        continue;
+      }
+
+      const precision = query.house ? getHouseMatch(entry.houses, query.house) : HOUSE_MATCH.RANGE;
+      if (precision === HOUSE_MATCH.NONE) {
+        continue;
+      }
+
+      const key = `${entry.settlement || ''}|${entry.street}`;
+      const match = matches.get(key);
+
+      // A house listed explicitly overrides ranges of the same street that also cover its number
+      if (!match || precision > match.precision) {
+        matches.set(key, {
+          settlement: entry.settlement,
+          street: entry.street,
+          house: query.house,
+          queues: [entry.queue],
+          score: scores.get(entry.streetKey),
+          precision,
+        });
+      } else if (precision === match.precision && !match.queues.includes(entry.queue)) {
+        match.queues.push(entry.queue);
+      }
+    }
+
+    return [...matches.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, ADDRESS_SEARCH.MAX_RESULTS)
+      .map(({ precision, ...match }) => ({ ...match, queues: match.queues.sort() }));
+  } catch (error) {
+    console.error(`${LOG_PREFIX.DATABASE} Error searching address "${input}":`, error.message);
+    return [];
+  }
+}
+
+export default {
+  importAddresses,
+  hasAddressData,
+  findQueuesByAddress,
+};
@@ -0,0 +1,253 @@
+/**
+ * Schedule chart service
+ * Renders outage schedules as a PNG timeline: one 24-hour bar per queue and day, queues
+ * stacked for comparison. Pure JavaScript (see utils/png.js), no browser or GPU needed
+ */
+
+import { getOutageBlocks } from './scheduleService.js';
+import { createImage, fillRect, encodePng } from '../utils/png.js';
+import { formatDateString, parseDateString, toZonedDate, getTimeZone, formatTimeZoneNote } from '../utils/dateUtils.js';
+import { t } from '../utils/i18n.js';
+import { LOG_PREFIX, CHART, DEFAULT_LANGUAGE } from '../config/constants.js';
+
+const COLORS = {
+  BACKGROUND: [255, 255, 255],
+  TEXT: [33, 33, 33],
+  POWER_ON: [67, 160, 71],
+  POWER_OFF: [229, 57, 53],
+  NO_DATA: [224, 224, 224],
+  GRID: [255, 255, 255],
+  NOW: [21, 101, 192],
+};
+
+const LAYOUT = {
+  WIDTH: 760,
+  PADDING: 16,
+  LABEL_WIDTH: 72,
+  FONT_SCALE: 2,
+  HEADER_HEIGHT: 22,
+  BAR_HEIGHT: 22,
+  ROW_GAP: 6,
+  SECTION_GAP: 18,
+  HOUR_LABEL_STEP: 3,
+};
+
+// 5x7 bitmap font; labels on the image are dates, hours and queue IDs only
+const GLYPHS = {
+  0: ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  1: ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  2: ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  3: ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+  4: ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  5: ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  6: ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+  7: ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  8: ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  9: ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+  '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+  ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+  '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Get width of a text drawn with the bitmap font
+ * @param {string} text - Text
+ * @param {number} scale - Pixel size of one font dot
+ * @returns {number} Width in pixels
+ */
+function getTextWidth(text, scale) {
+  return text.length > 0 ? (text.length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+}
+
+/**
+ * Draw text with the bitmap font; characters without a glyph are left blank
+ * @param {Object} image - Image from createImage
+ * @param {string} text - Text
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number[]} color - Text color
+ * @param {number} scale - Pixel size of one font dot
+ */
+function drawText(image, text, x, y, color, scale) {
+  [...text].forEach((char, index) => {
+    const glyph = GLYPHS[char];
+    if (!glyph) {
+      return;
+    }
+
+    const left = x + index * (GLYPH_WIDTH + 1) * scale;
+    glyph.forEach((row, rowIndex) => {
+      [...row].forEach((dot, colIndex) => {
+        if (dot === '#') {
+          fillRect(image, left + colIndex * scale, y + rowIndex * scale, scale, scale, color);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Pick dates to draw: published days from today on, shared by all queues
+ * @param {Array} entries - Array of { queue, schedule }
+ * @param {Date} now - Current time
+ * @returns {string[]} Sorted dates "DD.MM.YYYY"
+ */
+function getChartDates(entries, now) {
+  const today = parseDateString(formatDateString(now));
+  const dates = new Set();
+
+  for (const { queue, schedule } of entries) {
+    for (const day of Array.isArray(schedule) ? schedule : []) {
+      if (day?.eventDate && day.queues?.[queue] !== undefined && parseDateString(day.eventDate) >= today) {
+        dates.add(day.eventDate);
+      }
+    }
+  }
+
+  return [...dates]
+    .sort((a, b) => parseDateString(a) - parseDateString(b))
+    .slice(0, CHART.MAX_DAYS);
+}
+
+/**
+ * Draw one 24-hour bar
+ * @param {Object} image - Image from createImage
+ * @param {Object} bar - { x, y, width, dayStart, dayEnd, published, blocks, hourMarks }
+ */
+function drawDayBar(image, { x, y, width, dayStart, dayEnd, published, blocks, hourMarks }) {
+  const toX = (date) => x + ((date - dayStart) / (dayEnd - dayStart)) * width;
+
+  fillRect(image, x, y, width, LAYOUT.BAR_HEIGHT, published ? COLORS.POWER_ON : COLORS.NO_DATA);
+
+  // Outages crossing midnight are clipped to the day, so they also show on a day not yet published
+  for (const block of blocks) {
+    const start = Math.max(block.start, dayStart);
+    const end = Math.min(block.end, dayEnd);
+
+    if (start < end) {
+      fillRect(image, toX(start), y, toX(end) - toX(start), LAYOUT.BAR_HEIGHT, COLORS.POWER_OFF);
+    }
+  }
+
+  // Thin gaps split the bar into hours
+  for (const mark of hourMarks.slice(1, -1)) {
+    fillRect(image, toX(mark), y, 1, LAYOUT.BAR_HEIGHT, COLORS.GRID);
+  }
+}
+
+/**
+ * Render schedules of one or more queues as a PNG timeline chart
+ * @param {Array} entries - Array of { queue, schedule } (raw schedule arrays)
+ * @param {Object} [options] - Rendering options
+ * @param {Date} [options.now=new Date()] - Current time, marked on today's bars
+ * @param {string} [options.timeZone=getTimeZone()] - Timezone the hours are drawn in
+ * @returns {Buffer|null} PNG file contents or null if there is nothing to draw
+ */
+export function renderScheduleChart(entries, { now = new Date(), timeZone = getTimeZone() } = {}) {
+  const queues = entries.slice(0, CHART.MAX_QUEUES);
+  const dates = getChartDates(queues, now);
+
+  if (dates.length === 0) {
+    return null;
+  }
+
+  const scale = LAYOUT.FONT_SCALE;
+  const chartLeft = LAYOUT.PADDING + LAYOUT.LABEL_WIDTH;
+  const chartWidth = LAYOUT.WIDTH - chartLeft - LAYOUT.PADDING;
+  const rowHeight = LAYOUT.BAR_HEIGHT + LAYOUT.ROW_GAP;
+  const sectionHeight = LAYOUT.HEADER_HEIGHT + queues.length * rowHeight;
+  const height = LAYOUT.PADDING * 2 + dates.length * sectionHeight + (dates.length - 1) * LAYOUT.SECTION_GAP;
+
+  const image = createImage(LAYOUT.WIDTH, height, COLORS.BACKGROUND);
+  const blocksByQueue = queues.map(({ queue, schedule }) => getOutageBlocks(schedule, queue));
+  const maxLabelLength = Math.floor((LAYOUT.LABEL_WIDTH + scale) / ((GLYPH_WIDTH + 1) * scale));
+
+  dates.forEach((date, dayIndex) => {
+    const top = LAYOUT.PADDING + dayIndex * (sectionHeight + LAYOUT.SECTION_GAP);
+    const dayStart = toZonedDate(date, 0, timeZone);
+    const dayEnd = toZonedDate(date, 24 * 60, timeZone);
+    const hourMarks = Array.from({ length: 25 }, (_, hour) => toZonedDate(date, hour * 60, timeZone));
+    const toX = (moment) => chartLeft + ((moment - dayStart) / (dayEnd - dayStart)) * chartWidth;
+
+    // Header: "DD.MM" on the left, hour labels above the bars
+    drawText(image, date.slice(0, 5), LAYOUT.PADDING, top, COLORS.TEXT, scale);
+
+    for (let hour = 0; hour <= 24; hour += LAYOUT.HOUR_LABEL_STEP) {
+      const label = String(hour).padStart(2, '0');
+      const labelWidth = getTextWidth(label, scale);
+      const x = Math.min(Math.max(toX(hourMarks[hour]) - labelWidth / 2, chartLeft), LAYOUT.WIDTH - LAYOUT.PADDING - labelWidth);
+      drawText(image, label, Math.round(x), top, COLORS.TEXT, scale);
+    }
+
+    queues.forEach(({ queue, schedule }, queueIndex) => {
+      const y = top + LAYOUT.HEADER_HEIGHT + queueIndex * rowHeight;
+      const published = Array.isArray(schedule) && schedule.some(day => day?.eventDate === date && day.queues?.[queue] !== undefined);
+
+      drawText(image, String(queue).slice(0, maxLabelLength), LAYOUT.PADDING, y + (LAYOUT.BAR_HEIGHT - GLYPH_HEIGHT * scale) / 2, COLORS.TEXT, scale);
+      drawDayBar(image, {
+        x: chartLeft,
+        y,
+        width: chartWidth,
+        dayStart,
+        dayEnd,
+        published,
+        blocks: blocksByQueue[queueIndex],
+        hourMarks,
+      });
+    });
+
+    if (now >= dayStart && now < dayEnd) {
+      const barsTop = top + LAYOUT.HEADER_HEIGHT;
+      const barsHeight = queues.length * rowHeight - LAYOUT.ROW_GAP;
+      fillRect(image, toX(now) - 1, barsTop - 4, 3, barsHeight + 8, COLORS.NOW);
+    }
+  });
+
+  return encodePng(image);
+}
+
+/**
+ * Format caption of a chart photo: queues, color legend and timezone note
+ * @param {string[]} queues - Queue IDs on the chart
+ * @param {string} [timeZone=getTimeZone()] - Timezone the chart was drawn in
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} HTML caption
+ */
+export function formatChartCaption(queues, timeZone = getTimeZone(), language = DEFAULT_LANGUAGE) {
+  return `${t(language, 'chart.caption', { queues: queues.join(', ') })}\n\n${formatTimeZoneNote(timeZone, language)}`.trim();
+}
+
+/**
+ * Send a rendered chart as a photo
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Buffer} png - Image from renderScheduleChart
+ * @param {string[]} queues - Queue IDs on the chart, listed in the caption
+ * @param {Object} [options] - Caption and send options
+ * @param {string} [options.timeZone=getTimeZone()] - Timezone the chart was drawn in
+ * @param {string} [options.language=DEFAULT_LANGUAGE] - Interface language of the caption
+ * @param {Object} [options.sendOptions={}] - Additional options for sendPhoto
+ * @returns {Promise<boolean>} True if sent
+ */
+export async function sendScheduleChart(bot, chatId, png, queues, { timeZone = getTimeZone(), language = DEFAULT_LANGUAGE, sendOptions = {} } = {}) {
+  try {
+    await bot.sendPhoto(
+      chatId,
+      png,
+      { caption: formatChartCaption(queues, timeZone, language), parse_mode: 'HTML', ...sendOptions },
+      { filename: 'schedule.png', contentType: 'image/png' }
+    );
+    return true;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Failed to send schedule chart to ${chatId}:`, error.message);
+    return false;
+  }
+}
+
+export default {
+  renderScheduleChart,
+  formatChartCaption,
+  sendScheduleChart,
+};
@@ -0,0 +1,200 @@
+/**
+ * Daily digest service
+ * Builds an opt-in daily summary of today's and tomorrow's outages for each subscribed queue
+ */
+
+import User from '../models/User.js';
+import { getCachedSchedule } from './scheduleService.js';
+import { computeDayStats } from './statsService.js';
+import { getChangesSince } from './historyService.js';
+import { combineMessages } from './notificationService.js';
+import { enqueueMessage } from './outboxService.js';
+import { formatScheduleText } from '../utils/helpers.js';
+import { formatDuration } from '../utils/scheduleComparison.js';
+import {
+  formatDateString,
+  getTomorrowString,
+  parseDateString,
+  parseTimeToMinutes,
+  toZonedDate,
+  getZonedParts,
+  getTimeZone,
+  resolveTimeZone,
+} from '../utils/dateUtils.js';
+import { formatQueueName, getQueueLabel } from '../utils/locations.js';
+import { t } from '../utils/i18n.js';
+import { LOG_PREFIX, DIGEST } from '../config/constants.js';
+
+/**
+ * Get the time today's digest of a user is due at
+ * @param {Object} digest - User digest settings
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Timezone the digest time is set in
+ * @returns {Date|null} Due time or null if digest time is invalid
+ */
+function getDigestDueAt(digest, now, timeZone) {
+  const minutes = parseTimeToMinutes(digest.time);
+  if (minutes === null) {
+    return null;
+  }
+
+  return toZonedDate(formatDateString(now, timeZone), minutes, timeZone);
+}
+
+/**
+ * Check if a user's digest should be sent now
+ * A digest delayed by more than DIGEST.CATCHUP_MINUTES is skipped for the day
+ * @param {Object} digest - User digest settings
+ * @param {Date} [now=new Date()] - Current time
+ * @param {string} [timeZone=getTimeZone()] - Timezone the digest time is set in
+ * @returns {boolean} True if due
+ */
+export function isDigestDue(digest, now = new Date(), timeZone = getTimeZone()) {
+  if (!digest?.enabled) {
+    return false;
+  }
+
+  const dueAt = getDigestDueAt(digest, now, timeZone);
+  if (!dueAt || now < dueAt || now - dueAt > DIGEST.CATCHUP_MINUTES * 60000) {
+    return false;
+  }
+
+  return !digest.lastSentAt || digest.lastSentAt < dueAt;
+}
+
+/**
+ * Format schedule changes as short lines per day
+ * @param {Object} changes - Changes object from compareSchedules
+ * @returns {string} Formatted changes
+ */
+export function formatChangesSummary(changes) {
+  const formatPeriod = period => period.shutdownHours || `${period.from}-${period.to}`;
+
+  return Object.keys(changes)
+    .sort((a, b) => parseDateString(a) - parseDateString(b))
+    .map(date => {
+      const parts = [
+        ...changes[date].added.map(period => `➕ <code>${formatPeriod(period)}</code>`),
+        ...changes[date].removed.map(period => `➖ <s>${formatPeriod(period)}</s>`),
+      ];
+      return `   📅 ${date}: ${parts.join(', ')}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Build digest block for one queue
+ * @param {string} queue - Queue ID
+ * @param {string} region - Provider region key
+ * @param {string[]} dates - Dates to include ("DD.MM.YYYY")
+ * @param {Date|null} since - Previous digest time (for changes)
+ * @param {string} timeZone - Display timezone
+ * @param {string|null} label - Location label of the queue
+ * @param {string} language - Interface language
+ * @returns {Promise<string>} Formatted block
+ */
+async function buildQueueDigest(queue, region, dates, since, timeZone, label, language) {
+  const schedule = await getCachedSchedule(queue, region);
+  const days = Array.isArray(schedule)
+    ? schedule.filter(day => dates.includes(day?.eventDate) && day.queues?.[queue] !== undefined)
+    : [];
+
+  if (days.length === 0) {
+    return `⚡️ <b>${formatQueueName(queue, label, language)}</b>\n\n   ${t(language, 'schedule.noSchedule')}`;
+  }
+
+  let text = formatScheduleText(days, queue, timeZone, label, language);
+
+  text += '\n\n';
+  for (const day of days) {
+    const { totalMinutes } = computeDayStats(schedule, queue, day.eventDate);
+    const duration = formatDuration(totalMinutes, language) || t(language, 'duration.minutes', { count: 0 });
+    text += `${t(language, 'digest.offTime', { date: day.eventDate, duration })}\n`;
+  }
+
+  if (since) {
+    const result = await getChangesSince(queue, region, since);
+
+    if (result) {
+      text += `\n${t(language, 'digest.changes', { count: result.count })}\n`;
+
+      const summary = result.changes ? formatChangesSummary(result.changes) : '';
+      if (summary) {
+        text += `${summary}\n`;
+      }
+    }
+  }
+
+  return text.trim();
+}
+
+/**
+ * Build digest messages for a user
+ * @param {Object} user - User document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<string[]>} Messages within Telegram length limit
+ */
+export async function buildDigestMessages(user, now = new Date()) {
+  const timeZone = resolveTimeZone(user.timezone);
+  const dates = [formatDateString(now), getTomorrowString(now)];
+  const title = t(user.language, getZonedParts(now, timeZone).hour >= DIGEST.EVENING_FROM_HOUR ? 'digest.eveningTitle' : 'digest.morningTitle');
+
+  if (user.queues.length === 0) {
+    return [`${title}\n\n${t(user.language, 'digest.noQueues')}`];
+  }
+
+  const blocks = [];
+  for (const queue of user.queues) {
+    blocks.push(await buildQueueDigest(queue, user.region, dates, user.digest?.lastSentAt, timeZone, getQueueLabel(user, queue), user.language));
+  }
+
+  return combineMessages(blocks, `${title}\n\n`);
+}
+
+/**
+ * Queue digest for a user and remember when it was sent
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - User document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<boolean>} True if queued
+ */
+export async function sendDigest(bot, user, now = new Date()) {
+  try {
+    const messages = await buildDigestMessages(user, now);
+
+    for (const message of messages) {
+      const success = await enqueueMessage(user.chatId, message, { parse_mode: 'HTML' });
+      if (!success) {
+        return false;
+      }
+    }
+
+    await User.updateOne({ _id: user._id }, { 'digest.lastSentAt': now });
+    return true;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error sending digest to ${user.chatId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get users with digest enabled
+ * Digest is independent of real-time notifications, so it is sent even when those are off
+ * @returns {Promise<Array>} Array of user documents
+ */
+export async function getDigestUsers() {
+  try {
+    return await User.find({ 'digest.enabled': true });
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error fetching digest users:`, error);
+    return [];
+  }
+}
+
+export default {
+  isDigestDue,
+  formatChangesSummary,
+  buildDigestMessages,
+  sendDigest,
+  getDigestUsers,
+};
@@ -0,0 +1,249 @@
+/**
+ * Schedule history service
+ * Archives every distinct schedule version and diffs versions against each other
+ */
+
+import ScheduleVersion from '../models/ScheduleVersion.js';
+import { compareSchedules, formatScheduleWithChanges } from '../utils/scheduleComparison.js';
+import { parseDateString } from '../utils/dateUtils.js';
+import { LOG_PREFIX, TIMING, DEFAULT_REGION, DEFAULT_LANGUAGE } from '../config/constants.js';
+
+/**
+ * Store a new schedule version unless it matches the latest stored one
+ * @param {string} region - Provider region key
+ * @param {string} queue - Queue ID
+ * @param {string} hash - Hash of outage data
+ * @param {Array} schedule - Normalized schedule
+ * @param {Date} [fetchedAt=new Date()] - Fetch time
+ * @returns {Promise<Object|null>} Created version or null if not stored
+ */
+export async function recordScheduleVersion(region, queue, hash, schedule, fetchedAt = new Date()) {
+  try {
+    const latest = await ScheduleVersion.findOne({ region, queue }).sort({ fetchedAt: -1 });
+
+    if (latest && latest.hash === hash) {
+      return null;
+    }
+
+    const version = await ScheduleVersion.create({ region, queue, hash, schedule, fetchedAt });
+    console.log(`${LOG_PREFIX.SCHEDULER} 🗂 Archived version ${hash.substring(0, 8)}... for queue ${region}/${queue}`);
+    return version;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error archiving version for ${region}/${queue}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Seed history with the currently cached schedule if the queue has no versions yet
+ * Keeps the version that was cached before history archiving was enabled
+ * @param {Object} cacheEntry - ScheduleCache document
+ * @returns {Promise<Object|null>} Created version or null if not stored
+ */
+export async function seedScheduleHistory(cacheEntry) {
+  if (!cacheEntry?.rawSchedule || !cacheEntry.hash) {
+    return null;
+  }
+
+  const { region, queue } = cacheEntry;
+
+  try {
+    const count = await ScheduleVersion.countDocuments({ region, queue });
+    if (count > 0) {
+      return null;
+    }
+
+    return await recordScheduleVersion(region, queue, cacheEntry.hash, cacheEntry.rawSchedule, cacheEntry.updatedAt || new Date());
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error seeding history for ${region}/${queue}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get versions of a queue, newest first
+ * @param {string} queue - Queue ID
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @param {number} [limit=TIMING.HISTORY_LIST_LIMIT] - Max versions to return
+ * @returns {Promise<Array>} Array of version documents (without schedule payload)
+ */
+export async function getScheduleVersions(queue, region = DEFAULT_REGION, limit = TIMING.HISTORY_LIST_LIMIT) {
+  try {
+    return await ScheduleVersion.find({ region, queue })
+      .sort({ fetchedAt: -1 })
+      .limit(limit)
+      .select('-schedule');
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error fetching versions for ${region}/${queue}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a single version by ID, scoped to a queue
+ * @param {string} id - Version document ID
+ * @param {string} queue - Queue ID
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @returns {Promise<Object|null>} Version document or null
+ */
+export async function getScheduleVersion(id, queue, region = DEFAULT_REGION) {
+  try {
+    return await ScheduleVersion.findOne({ _id: id, region, queue });
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error fetching version ${id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Compare two stored versions
+ * Days that had already passed by the time of the newer version are ignored,
+ * otherwise they would show up as removed outages
+ * @param {Object} fromVersion - Older version document
+ * @param {Object} toVersion - Newer version document
+ * @param {string} queue - Queue ID
+ * @returns {Object} Changes object from compareSchedules
+ */
+export function diffVersions(fromVersion, toVersion, queue) {
+  const toSchedule = Array.isArray(toVersion.schedule) ? toVersion.schedule : [];
+  const toDates = toSchedule.map(day => parseDateString(day.eventDate)).filter(Boolean);
+  const firstDate = toDates.length > 0 ? Math.min(...toDates) : null;
+
+  const fromSchedule = (Array.isArray(fromVersion.schedule) ? fromVersion.schedule : [])
+    .filter(day => {
+      const date = parseDateString(day.eventDate);
+      return !date || firstDate === null || date >= firstDate;
+    });
+
+  return compareSchedules(fromSchedule, toSchedule, queue);
+}
+
+/**
+ * Render diff between two versions as schedule text with changes highlighted
+ * @param {Object} fromVersion - Older version document
+ * @param {Object} toVersion - Newer version document
+ * @param {string} queue - Queue ID
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Formatted schedule text
+ */
+export function formatVersionDiff(fromVersion, toVersion, queue, language = DEFAULT_LANGUAGE) {
+  const changes = diffVersions(fromVersion, toVersion, queue);
+  return formatScheduleWithChanges(toVersion.schedule, queue, changes, null, null, language);
+}
+
+/**
+ * Get recent changes of a queue as diffs between consecutive versions, newest first
+ * @param {string} queue - Queue ID
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @param {number} [limit=TIMING.HISTORY_LIST_LIMIT] - Max number of changes
+ * @returns {Promise<Array>} Array of { from, to, changes }
+ */
+export async function getRecentChanges(queue, region = DEFAULT_REGION, limit = TIMING.HISTORY_LIST_LIMIT) {
+  try {
+    const versions = await ScheduleVersion.find({ region, queue })
+      .sort({ fetchedAt: -1 })
+      .limit(limit + 1);
+
+    const result = [];
+
+    for (let i = 0; i < versions.length - 1; i++) {
+      const toVersion = versions[i];
+      const fromVersion = versions[i + 1];
+
+      result.push({
+        from: { id: fromVersion._id, hash: fromVersion.hash, fetchedAt: fromVersion.fetchedAt },
+        to: { id: toVersion._id, hash: toVersion.hash, fetchedAt: toVersion.fetchedAt },
+        changes: diffVersions(fromVersion, toVersion, queue),
+      });
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error fetching changes for ${region}/${queue}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get changes of a queue since a point in time
+ * Compares the version that was current at that time with the latest version
+ * @param {string} queue - Queue ID
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @param {Date} since - Point in time
+ * @returns {Promise<Object|null>} { count, changes } or null if no new versions;
+ *   changes is null when no version from before `since` is archived
+ */
+export async function getChangesSince(queue, region = DEFAULT_REGION, since) {
+  try {
+    const count = await ScheduleVersion.countDocuments({ region, queue, fetchedAt: { $gt: since } });
+    if (count === 0) {
+      return null;
+    }
+
+    const [latest, base] = await Promise.all([
+      ScheduleVersion.findOne({ region, queue }).sort({ fetchedAt: -1 }),
+      ScheduleVersion.findOne({ region, queue, fetchedAt: { $lte: since } }).sort({ fetchedAt: -1 }),
+    ]);
+
+    return { count, changes: base ? diffVersions(base, latest, queue) : null };
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error fetching changes since ${since} for ${region}/${queue}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the version of a queue that was current at a given time
+ * @param {string} queue - Queue ID
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @param {Date} at - Point in time
+ * @returns {Promise<Object|null>} Latest version fetched before `at` or null
+ */
+export async function getVersionAt(queue, region = DEFAULT_REGION, at) {
+  try {
+    return await ScheduleVersion.findOne({ region, queue, fetchedAt: { $lt: at } }).sort({ fetchedAt: -1 });
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error fetching version at ${at} for ${region}/${queue}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete versions older than retention period
+ * The latest version of each queue is kept however old it is: it is the schedule in effect
+ * @param {number} [daysToKeep=TIMING.HISTORY_RETENTION_DAYS] - How many days of history to keep
+ * @returns {Promise<number>} Number of deleted versions
+ */
+export async function cleanOldVersions(daysToKeep = TIMING.HISTORY_RETENTION_DAYS) {
+  try {
+    const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+    const latest = await ScheduleVersion.aggregate([
+      { $sort: { region: 1, queue: 1, fetchedAt: -1 } },
+      { $group: { _id: { region: '$region', queue: '$queue' }, versionId: { $first: '$_id' } } },
+    ]);
+
+    const result = await ScheduleVersion.deleteMany({
+      fetchedAt: { $lt: cutoffDate },
+      _id: { $nin: latest.map(group => group.versionId) },
+    });
+
+    console.log(`${LOG_PREFIX.SCHEDULER} Deleted ${result.deletedCount} old schedule versions`);
+    return result.deletedCount;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error cleaning old versions:`, error.message);
+    return 0;
+  }
+}
+
+export default {
+  recordScheduleVersion,
+  seedScheduleHistory,
+  getScheduleVersions,
+  getScheduleVersion,
+  diffVersions,
+  formatVersionDiff,
+  getRecentChanges,
+  getChangesSince,
+  getVersionAt,
+  cleanOldVersions,
+};
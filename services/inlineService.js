@@ -0,0 +1,180 @@
+/**
+ * Inline mode service
+ * Builds answers to "@bot <queue>" inline queries, so a queue's schedule can be shared in any chat
+ */
+
+import ScheduleCache from '../models/ScheduleCache.js';
+import { getPowerStatus, mergeDayPeriods } from './scheduleService.js';
+import { formatScheduleText, isValidQueue } from '../utils/helpers.js';
+import { formatDateString, addDaysToDateString, formatCurrentTime, convertPeriodTime, sortScheduleByDate, formatTimeZoneNote } from '../utils/dateUtils.js';
+import { t } from '../utils/i18n.js';
+import { DEFAULT_REGION, DEFAULT_LANGUAGE, INLINE } from '../config/constants.js';
+
+// Built schedule results by region, queue, schedule hash, language, timezone and date
+const resultCache = new Map();
+
+/**
+ * Remember built results, dropping the oldest entries over the limit
+ * @param {string} key - Cache key
+ * @param {Array} results - Inline query results
+ */
+function cacheResults(key, results) {
+  resultCache.set(key, results);
+
+  while (resultCache.size > INLINE.MAX_CACHED_RESULTS) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+}
+
+/**
+ * Create an inline article result that posts an HTML message
+ * @param {string} id - Result ID (unique within one answer)
+ * @param {string} title - Result title
+ * @param {string} description - Short text under the title
+ * @param {string} messageText - Message posted when the result is chosen
+ * @returns {Object} InlineQueryResultArticle
+ */
+function createArticle(id, title, description, messageText) {
+  return {
+    type: 'article',
+    id,
+    title,
+    description,
+    input_message_content: {
+      message_text: messageText,
+      parse_mode: 'HTML',
+    },
+  };
+}
+
+/**
+ * Summarize a day's outages in one line for a result description
+ * @param {Object} day - Schedule day
+ * @param {string} queue - Queue ID
+ * @param {string} timeZone - Display timezone
+ * @param {string} language - Interface language
+ * @returns {string} "08:00-12:00, 16:00-20:00" or "no outages" text
+ */
+function formatDaySummary(day, queue, timeZone, language) {
+  const periods = mergeDayPeriods(day.queues[queue]);
+
+  if (periods.length === 0) {
+    return t(language, 'schedule.noOutages');
+  }
+
+  return periods
+    .map(period => convertPeriodTime(day.eventDate, period.shutdownHours || `${period.from}-${period.to}`, timeZone))
+    .join(', ');
+}
+
+/**
+ * Build today, tomorrow and full schedule results for a queue
+ * Results are cached by schedule hash, so they are built again only after the schedule changes
+ * @param {string} queue - Queue ID
+ * @param {string} region - Provider region key
+ * @param {string} timeZone - Display timezone
+ * @param {string} language - Interface language
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Inline query results (empty if the queue has no cached schedule)
+ */
+async function buildQueueResults(queue, region, timeZone, language, now) {
+  const cache = await ScheduleCache.findOne({ region, queue });
+
+  if (!Array.isArray(cache?.rawSchedule)) {
+    return [];
+  }
+
+  const today = formatDateString(now);
+  const key = [region, queue, cache.hash, language, timeZone, today].join('|');
+
+  if (resultCache.has(key)) {
+    return resultCache.get(key);
+  }
+
+  const days = sortScheduleByDate(cache.rawSchedule).filter(day => day?.queues?.[queue] !== undefined);
+  const results = [];
+
+  for (const [date, titleKey, id] of [
+    [today, 'inline.today', 'today'],
+    [addDaysToDateString(today, 1), 'inline.tomorrow', 'tomorrow'],
+  ]) {
+    const day = days.find(d => d.eventDate === date);
+
+    if (day) {
+      results.push(createArticle(
+        `${id}_${queue}`,
+        t(language, titleKey, { queue }),
+        `${date}: ${formatDaySummary(day, queue, timeZone, language)}`,
+        formatScheduleText([day], queue, timeZone, null, language)
+      ));
+    }
+  }
+
+  if (days.length > 0) {
+    results.push(createArticle(
+      `full_${queue}`,
+      t(language, 'inline.full', { queue }),
+      days.map(day => day.eventDate).join(', '),
+      formatScheduleText(cache.rawSchedule, queue, timeZone, null, language)
+    ));
+  }
+
+  cacheResults(key, results);
+  return results;
+}
+
+/**
+ * Build "off right now" summary of all queues of a region
+ * Depends on the current time, so it is not cached here (Telegram caches the whole answer briefly)
+ * @param {string} region - Provider region key
+ * @param {string} timeZone - Display timezone
+ * @param {string} language - Interface language
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Inline query result
+ */
+async function buildOffNowResult(region, timeZone, language, now) {
+  const caches = await ScheduleCache.find({ region });
+
+  const offQueues = caches
+    .filter(cache => Array.isArray(cache.rawSchedule))
+    .map(cache => ({ queue: cache.queue, status: getPowerStatus(cache.rawSchedule, cache.queue, now) }))
+    .filter(({ status }) => status.powerOff)
+    .sort((a, b) => a.queue.localeCompare(b.queue, undefined, { numeric: true }));
+
+  let text = `${t(language, 'inline.offNowTitle', { time: formatCurrentTime(now, timeZone) })}\n━━━━━━━━━━━━━━━━\n\n`;
+  text += formatTimeZoneNote(timeZone, language);
+
+  if (offQueues.length === 0) {
+    text += t(language, 'inline.offNowNone');
+  } else {
+    text += offQueues
+      .map(({ queue, status }) => t(language, 'inline.offNowItem', { queue, time: formatCurrentTime(status.currentOutage.end, timeZone) }))
+      .join('\n');
+  }
+
+  const description = offQueues.length === 0
+    ? t(language, 'inline.offNowNone')
+    : `${t(language, 'inline.offNowCount', { count: offQueues.length })}: ${offQueues.map(({ queue }) => queue).join(', ')}`;
+
+  return createArticle('off_now', t(language, 'inline.offNow'), description, text);
+}
+
+/**
+ * Build answer to an inline query
+ * A queue ID ("3.1") gives its today, tomorrow and full schedule; the "off right now"
+ * summary of all queues is always offered last
+ * @param {string} queryText - Text typed after the bot's username
+ * @param {Object} [options] - Region, display timezone and language of the person asking
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Array>} Inline query results
+ */
+export async function buildInlineResults(queryText, { region = DEFAULT_REGION, timeZone, language = DEFAULT_LANGUAGE } = {}, now = new Date()) {
+  const queue = String(queryText || '').trim();
+  const queueResults = isValidQueue(queue, region) ? await buildQueueResults(queue, region, timeZone, language, now) : [];
+
+  return [...queueResults, await buildOffNowResult(region, timeZone, language, now)];
+}
+
+export default {
+  buildInlineResults,
+};
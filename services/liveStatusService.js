@@ -0,0 +1,268 @@
+/**
+ * Live status service
+ * Maintains one pinned message per chat that is edited in place with the current power status,
+ * countdown to the next change and today's remaining periods
+ */
+
+import User from '../models/User.js';
+import {
+  getCachedSchedule,
+  getPowerStatus,
+  getOutageBlocks,
+  mergeDayPeriods,
+  extractStartTime,
+} from './scheduleService.js';
+import { formatScheduleText, formatPowerStatus } from '../utils/helpers.js';
+import { formatDateString, resolveTimeZone } from '../utils/dateUtils.js';
+import { formatQueueName, getQueueLabel } from '../utils/locations.js';
+import { t } from '../utils/i18n.js';
+import { LOG_PREFIX, LIVE_STATUS } from '../config/constants.js';
+
+/**
+ * Get Telegram error description from a node-telegram-bot-api error
+ * @param {Error} error - Request error
+ * @returns {string} Error description
+ */
+function getErrorDescription(error) {
+  return error?.response?.body?.description || error?.message || '';
+}
+
+/**
+ * Check if an edit failed because the message no longer exists
+ * @param {Error} error - Request error
+ * @returns {boolean} True if message was deleted
+ */
+function isMessageGone(error) {
+  return /message to edit not found|message can't be edited|MESSAGE_ID_INVALID/i.test(getErrorDescription(error));
+}
+
+/**
+ * Check if the bot can no longer post to the chat (blocked, kicked or chat deleted)
+ * @param {Error} error - Request error
+ * @returns {boolean} True if chat is unreachable
+ */
+function isChatGone(error) {
+  return error?.response?.statusCode === 403 || /chat not found/i.test(getErrorDescription(error));
+}
+
+/**
+ * Build today's schedule day of a queue with only periods that have not ended yet
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @param {Date} now - Current time
+ * @returns {Object|null} Day object for formatScheduleText or null if today is not published
+ */
+function getRemainingDay(schedule, queue, now) {
+  const today = formatDateString(now);
+  const day = schedule.find(d => d?.eventDate === today && d.queues?.[queue] !== undefined);
+
+  if (!day) {
+    return null;
+  }
+
+  const remainingStarts = new Set(
+    getOutageBlocks([day], queue)
+      .filter(block => block.end > now)
+      .map(block => block.from)
+  );
+
+  return {
+    ...day,
+    queues: {
+      [queue]: mergeDayPeriods(day.queues[queue]).filter(period => remainingStarts.has(extractStartTime(period))),
+    },
+  };
+}
+
+/**
+ * Build live status block for one queue
+ * @param {string} queue - Queue ID
+ * @param {string} region - Provider region key
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Display timezone
+ * @param {string|null} label - Location label of the queue
+ * @param {string} language - Interface language
+ * @returns {Promise<string>} Formatted block
+ */
+async function buildQueueLiveStatus(queue, region, now, timeZone, label, language) {
+  const schedule = await getCachedSchedule(queue, region);
+
+  if (!Array.isArray(schedule)) {
+    return `⚡️ <b>${formatQueueName(queue, label, language)}</b>\n\n   ${t(language, 'schedule.noSchedule')}`;
+  }
+
+  const day = getRemainingDay(schedule, queue, now);
+  const status = getPowerStatus(schedule, queue, now);
+  const statusLine = formatPowerStatus(status, now, LIVE_STATUS.COUNTDOWN_STEP_MINUTES, timeZone, language);
+
+  if (!day) {
+    return `⚡️ <b>${formatQueueName(queue, label, language)}</b>\n\n${statusLine}\n\n   ${t(language, 'schedule.todayNotPublished')}`;
+  }
+
+  return `${formatScheduleText([day], queue, timeZone, label, language)}\n\n${statusLine}`;
+}
+
+/**
+ * Build live status message text for a chat
+ * Contains no render time, so an unchanged status produces identical text and is not edited
+ * @param {Object} user - User document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<string>} Message text
+ */
+export async function buildLiveStatusText(user, now = new Date()) {
+  const title = t(user.language, 'live.title');
+
+  if (user.queues.length === 0) {
+    return `${title}\n\n${t(user.language, 'live.noQueues')}`;
+  }
+
+  const blocks = [];
+  for (const queue of user.queues) {
+    blocks.push(await buildQueueLiveStatus(queue, user.region, now, resolveTimeZone(user.timezone), getQueueLabel(user, queue), user.language));
+  }
+
+  return `${title}\n\n${blocks.join('\n\n')}\n\n${t(user.language, 'live.footer')}`;
+}
+
+/**
+ * Send a new live status message, pin it and remember its ID
+ * Pinning is best effort: in groups the bot may lack the right to pin
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - User document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<boolean>} True if message was sent
+ */
+export async function startLiveStatus(bot, user, now = new Date()) {
+  try {
+    const text = await buildLiveStatusText(user, now);
+    const message = await bot.sendMessage(user.chatId, text, { parse_mode: 'HTML' });
+
+    try {
+      await bot.pinChatMessage(user.chatId, message.message_id, { disable_notification: true });
+    } catch (error) {
+      console.warn(`${LOG_PREFIX.NOTIFICATION} Could not pin live status in chat ${user.chatId}:`, getErrorDescription(error));
+    }
+
+    const previousMessageId = user.liveStatus?.messageId;
+    await User.updateOne({ _id: user._id }, { 'liveStatus.messageId': message.message_id, 'liveStatus.text': text });
+
+    if (previousMessageId && previousMessageId !== message.message_id) {
+      await unpinMessage(bot, user.chatId, previousMessageId);
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error starting live status in chat ${user.chatId}:`, getErrorDescription(error));
+    return false;
+  }
+}
+
+/**
+ * Unpin a message, ignoring errors (message may already be deleted or unpinned)
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Message ID
+ */
+async function unpinMessage(bot, chatId, messageId) {
+  try {
+    await bot.unpinChatMessage(chatId, { message_id: messageId });
+  } catch (error) {
+    console.warn(`${LOG_PREFIX.NOTIFICATION} Could not unpin message ${messageId} in chat ${chatId}:`, getErrorDescription(error));
+  }
+}
+
+/**
+ * Stop updating the live status message and unpin it
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True if live status was enabled
+ */
+export async function stopLiveStatus(bot, user) {
+  const messageId = user.liveStatus?.messageId;
+
+  try {
+    await User.updateOne({ _id: user._id }, { 'liveStatus.messageId': null, 'liveStatus.text': null });
+
+    if (messageId) {
+      await unpinMessage(bot, user.chatId, messageId);
+    }
+
+    return Boolean(messageId);
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error stopping live status in chat ${user.chatId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Edit a chat's live status message if its content changed
+ * A deleted message is replaced by a new pinned one; if the bot can no longer post
+ * to the chat, live status is switched off
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - User document with liveStatus.messageId set
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<boolean>} True if message was edited or recreated
+ */
+export async function refreshLiveStatus(bot, user, now = new Date()) {
+  try {
+    const text = await buildLiveStatusText(user, now);
+
+    if (text === user.liveStatus.text) {
+      return false;
+    }
+
+    try {
+      await bot.editMessageText(text, {
+        chat_id: user.chatId,
+        message_id: user.liveStatus.messageId,
+        parse_mode: 'HTML',
+      });
+    } catch (error) {
+      if (/message is not modified/i.test(getErrorDescription(error))) {
+        await User.updateOne({ _id: user._id }, { 'liveStatus.text': text });
+        return false;
+      }
+
+      if (isMessageGone(error)) {
+        console.log(`${LOG_PREFIX.NOTIFICATION} Live status message in chat ${user.chatId} was deleted, sending a new one`);
+        return await startLiveStatus(bot, user, now);
+      }
+
+      if (isChatGone(error)) {
+        console.log(`${LOG_PREFIX.NOTIFICATION} Chat ${user.chatId} is unreachable, disabling live status`);
+        await User.updateOne({ _id: user._id }, { 'liveStatus.messageId': null, 'liveStatus.text': null });
+        return false;
+      }
+
+      throw error;
+    }
+
+    await User.updateOne({ _id: user._id }, { 'liveStatus.text': text });
+    return true;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error refreshing live status in chat ${user.chatId}:`, getErrorDescription(error));
+    return false;
+  }
+}
+
+/**
+ * Get users with a live status message
+ * @param {Object} [filter={}] - Additional query filter (e.g. { region })
+ * @returns {Promise<Array>} Array of user documents
+ */
+export async function getLiveStatusUsers(filter = {}) {
+  try {
+    return await User.find({ 'liveStatus.messageId': { $ne: null }, ...filter });
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error fetching live status users:`, error);
+    return [];
+  }
+}
+
+export default {
+  buildLiveStatusText,
+  startLiveStatus,
+  stopLiveStatus,
+  refreshLiveStatus,
+  getLiveStatusUsers,
+};
@@ -3,55 +3,169 @@
  */
 
 import User from '../models/User.js';
-import { LOG_PREFIX, TIMING } from '../config/constants.js';
+import { LOG_PREFIX, QUIET_ACTIONS, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { formatLeadTime } from '../utils/timers.js';
+import { t } from '../utils/i18n.js';
+import { getNotificationTargets } from '../utils/locations.js';
+import { enqueueMessage } from './outboxService.js';
+import { getCurrentMinutes, parseTimeToMinutes, getTimeZone, resolveTimeZone } from '../utils/dateUtils.js';
+
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+const MESSAGE_SEPARATOR = '\n\n〰️〰️〰️〰️〰️\n\n';
 
 /**
- * Send notification to a single user with error handling
+ * Check if quiet hours of a user are in effect
+ * Ranges crossing midnight (e.g. 23:00-07:00) are supported
+ * @param {Object} quietHours - User quietHours settings
+ * @param {Date} [date=new Date()] - Time to check
+ * @param {string} [timeZone=getTimeZone()] - Timezone the quiet hours are set in
+ * @returns {boolean} True if notifications should be quiet
+ */
+export function isInQuietHours(quietHours, date = new Date(), timeZone = getTimeZone()) {
+  if (!quietHours?.enabled) {
+    return false;
+  }
+
+  const from = parseTimeToMinutes(quietHours.from);
+  const to = parseTimeToMinutes(quietHours.to);
+  if (from === null || to === null || from === to) {
+    return false;
+  }
+
+  const current = getCurrentMinutes(date, timeZone);
+
+  return from < to
+    ? current >= from && current < to
+    : current >= from || current < to;
+}
+
+/**
+ * Send notification to a user, honoring quiet hours
+ * Messages are queued in the outbox and delivered by its worker. During quiet hours the user's
+ * action for the notification type decides whether the message is sent without sound,
+ * deferred until quiet hours end, or dropped
  * @param {Object} bot - Telegram bot instance
- * @param {number} telegramId - User's Telegram ID
+ * @param {Object} user - User document
+ * @param {string} type - Notification type from NOTIFICATION_TYPES
  * @param {string} message - Message to send
  * @param {Object} [options={}] - Additional options for sendMessage
- * @returns {Promise<boolean>} True if sent successfully
+ * @param {Object} [delivery] - Outbox options
+ * @param {Date|null} [delivery.expiresAt=null] - Drop the message if it cannot be delivered by then
+ * @returns {Promise<boolean>} True if the notification was handled (queued, deferred or dropped)
+ */
+export async function notifyUser(bot, user, type, message, options = {}, { expiresAt = null } = {}) {
+  if (!isInQuietHours(user.quietHours, new Date(), resolveTimeZone(user.timezone))) {
+    return enqueueMessage(user.chatId, message, options, { notificationType: type, expiresAt });
+  }
+
+  const action = user.quietHours.actions?.[type] || QUIET_ACTIONS.SILENT;
+
+  if (action === QUIET_ACTIONS.DROP) {
+    console.log(`${LOG_PREFIX.NOTIFICATION} 🌙 Dropped ${type} notification for chat ${user.chatId} (quiet hours)`);
+    return true;
+  }
+
+  if (action === QUIET_ACTIONS.DEFER) {
+    try {
+      user.deferredNotifications.push({ notificationType: type, message });
+      await user.save();
+      console.log(`${LOG_PREFIX.NOTIFICATION} 🌙 Deferred ${type} notification for chat ${user.chatId} (quiet hours)`);
+      return true;
+    } catch (error) {
+      console.error(`${LOG_PREFIX.NOTIFICATION} Failed to defer notification for ${user.chatId}:`, error.message);
+      return false;
+    }
+  }
+
+  return enqueueMessage(user.chatId, message, { ...options, disable_notification: true }, { notificationType: type, expiresAt });
+}
+
+/**
+ * Group messages into as few Telegram messages as possible
+ * @param {string[]} messages - Messages to combine
+ * @param {string} header - Header of the first message
+ * @param {string} [separator=MESSAGE_SEPARATOR] - Separator between messages
+ * @returns {string[]} Messages within Telegram length limit
+ */
+export function combineMessages(messages, header, separator = MESSAGE_SEPARATOR) {
+  const combined = [];
+  let current = header;
+
+  for (const message of messages) {
+    const next = current === header ? current + message : current + separator + message;
+
+    if (next.length > TELEGRAM_MESSAGE_LIMIT && current !== header) {
+      combined.push(current);
+      current = message;
+    } else {
+      current = next;
+    }
+  }
+
+  combined.push(current);
+  return combined;
+}
+
+/**
+ * Send notifications deferred during quiet hours as one morning message
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - User document with deferredNotifications
+ * @returns {Promise<boolean>} True if queued and cleared
  */
-export async function sendNotification(bot, telegramId, message, options = {}) {
+export async function sendDeferredNotifications(bot, user) {
+  const deferred = user.deferredNotifications || [];
+  if (deferred.length === 0) {
+    return true;
+  }
+
+  const header = `${t(user.language, 'notify.deferredHeader', { count: deferred.length })}\n\n`;
+  const messages = combineMessages(deferred.map(item => item.message), header);
+
+  for (const message of messages) {
+    const success = await enqueueMessage(user.chatId, message, { parse_mode: 'HTML' });
+    if (!success) {
+      return false;
+    }
+  }
+
   try {
-    await bot.sendMessage(telegramId, message, options);
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { deferredNotifications: { _id: { $in: deferred.map(item => item._id) } } } }
+    );
     return true;
   } catch (error) {
-    console.error(`${LOG_PREFIX.NOTIFICATION} Failed to send message to ${telegramId}:`, error.message);
+    console.error(`${LOG_PREFIX.NOTIFICATION} Failed to clear deferred notifications for ${user.chatId}:`, error.message);
     return false;
   }
 }
 
 /**
- * Send notifications to multiple users with rate limiting
- * @param {Object} bot - Telegram bot instance
- * @param {Array} notifications - Array of {telegramId, message, options} objects
- * @returns {Promise<Object>} Result with sent and failed counts
+ * Queue notifications to multiple users
+ * The outbox worker delivers them within Telegram's rate limits; delivery results are
+ * recorded on the OutboxMessage documents
+ * @param {Array} notifications - Array of {chatId, message, options} objects
+ * @returns {Promise<Object>} Result with queued and failed counts
  */
-export async function sendBatchNotifications(bot, notifications) {
-  let sent = 0;
+export async function queueBatchNotifications(notifications) {
+  let queued = 0;
   let failed = 0;
 
   for (const notification of notifications) {
-    const success = await sendNotification(
-      bot,
-      notification.telegramId,
+    const success = await enqueueMessage(
+      notification.chatId,
       notification.message,
       notification.options || {}
     );
 
     if (success) {
-      sent++;
+      queued++;
     } else {
       failed++;
     }
-
-    // Rate limiting - delay between messages
-    await delay(TIMING.NOTIFICATION_DELAY);
   }
 
-  return { sent, failed };
+  return { queued, failed };
 }
 
 /**
@@ -132,31 +246,55 @@ export function filterUsersByQueues(users, queues) {
 }
 
 /**
- * Get user's subscribed queues from a list of changed queues
+ * Get user's notification targets among changed queues
+ * Queues whose locations are all muted are left out
  * @param {Object} user - User document
  * @param {Array} changedQueues - Array of changed queue IDs
- * @returns {Array} User's queues that are in changedQueues
+ * @returns {Array} Targets from getNotificationTargets ({ queue, label, timers }) whose queue changed
  */
-export function getUserChangedQueues(user, changedQueues) {
-  return user.queues.filter(q => changedQueues.includes(q));
+export function getUserChangedTargets(user, changedQueues) {
+  return getNotificationTargets(user).filter(target => changedQueues.includes(target.queue));
 }
 
 /**
- * Delay utility for rate limiting
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>}
+ * Create notification message for schedule update
+ * @param {string} scheduleText - Formatted schedule text
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Notification message
  */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function createScheduleUpdateMessage(scheduleText, language = DEFAULT_LANGUAGE) {
+  return `${t(language, 'notify.scheduleUpdate')}\n\n${scheduleText}`;
 }
 
 /**
- * Create notification message for schedule update
- * @param {string} scheduleText - Formatted schedule text
+ * Create notification message for a newly published day
+ * @param {string} eventDate - Published date "DD.MM.YYYY"
+ * @param {string} scheduleText - Formatted schedule of that day
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {string} Notification message
  */
-export function createScheduleUpdateMessage(scheduleText) {
-  return `📢 <b>Оновлення графіку відключень</b>\n\n${scheduleText}`;
+export function createSchedulePublishedMessage(eventDate, scheduleText, language = DEFAULT_LANGUAGE) {
+  return `${t(language, 'notify.schedulePublished', { date: eventDate.substring(0, 5) })}\n\n${scheduleText}`;
+}
+
+/**
+ * Format location line shown above the queue in notifications
+ * @param {string|null} label - Location label
+ * @param {string} language - Interface language
+ * @returns {string} Line with trailing newline or empty string
+ */
+function formatLocationLine(label, language) {
+  return label ? `${t(language, 'notify.location', { label })}\n` : '';
+}
+
+/**
+ * Format optional date line shown under the queue in notifications
+ * @param {string} dateInfo - Date or empty string
+ * @param {string} language - Interface language
+ * @returns {string} Line with leading newline or empty string
+ */
+function formatDateLine(dateInfo, language) {
+  return dateInfo ? `\n${t(language, 'notify.date', { date: dateInfo })}` : '';
 }
 
 /**
@@ -165,11 +303,26 @@ export function createScheduleUpdateMessage(scheduleText) {
  * @param {string} startTime - Start time
  * @param {number} minutesBefore - Minutes before outage
  * @param {string} [dateInfo=''] - Optional date information
+ * @param {string|null} [label=null] - Location label of the queue
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Notification message
+ */
+export function createUpcomingOutageMessage(queue, startTime, minutesBefore, dateInfo = '', label = null, language = DEFAULT_LANGUAGE) {
+  return `${t(language, 'notify.upcomingTitle')}\n━━━━━━━━━━━━━━━━\n\n${formatLocationLine(label, language)}${t(language, 'notify.queue', { queue })}${formatDateLine(dateInfo, language)}\n${t(language, 'notify.start', { time: startTime })}\n${t(language, 'notify.left', { duration: formatLeadTime(minutesBefore, language) })}`;
+}
+
+/**
+ * Create day-before reminder with next day's outages
+ * @param {string} queue - Queue ID
+ * @param {string} eventDate - Next day's date "DD.MM.YYYY"
+ * @param {Array} intervals - Outage intervals of that day ({ from, to })
+ * @param {string|null} [label=null] - Location label of the queue
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {string} Notification message
  */
-export function createUpcomingOutageMessage(queue, startTime, minutesBefore, dateInfo = '') {
-  const dateLine = dateInfo ? `\n📅 Дата: <code>${dateInfo}</code>` : '';
-  return `⏰ <b>Увага! Відключення світла</b>\n━━━━━━━━━━━━━━━━\n\n⚡️ Черга: <b>${queue}</b>${dateLine}\n🕐 Початок: <code>${startTime}</code>\n⏳ Залишилось: <b>${minutesBefore} хв</b>`;
+export function createDayBeforeMessage(queue, eventDate, intervals, label = null, language = DEFAULT_LANGUAGE) {
+  const lines = intervals.map(interval => `🔴 <code>${interval.from}-${interval.to}</code>`).join('\n');
+  return `${t(language, 'notify.dayBeforeTitle')}\n━━━━━━━━━━━━━━━━\n\n${formatLocationLine(label, language)}${t(language, 'notify.queue', { queue })}${formatDateLine(eventDate, language)}\n\n${lines}`;
 }
 
 /**
@@ -177,23 +330,29 @@ export function createUpcomingOutageMessage(queue, startTime, minutesBefore, dat
  * @param {string} queue - Queue ID
  * @param {string} endTime - End time
  * @param {string} [dateInfo=''] - Optional date information
+ * @param {string|null} [label=null] - Location label of the queue
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {string} Notification message
  */
-export function createPowerReturnMessage(queue, endTime, dateInfo = '') {
-  const dateLine = dateInfo ? `\n📅 Дата: <code>${dateInfo}</code>` : '';
-  return `✅ <b>Світло повернулось!</b>\n━━━━━━━━━━━━━━━━\n\n⚡️ Черга: <b>${queue}</b>${dateLine}\n🕐 Час: <code>${endTime}</code>\n💡 <i>Відключення завершено</i>`;
+export function createPowerReturnMessage(queue, endTime, dateInfo = '', label = null, language = DEFAULT_LANGUAGE) {
+  return `${t(language, 'notify.powerReturnTitle')}\n━━━━━━━━━━━━━━━━\n\n${formatLocationLine(label, language)}${t(language, 'notify.queue', { queue })}${formatDateLine(dateInfo, language)}\n${t(language, 'notify.time', { time: endTime })}\n${t(language, 'notify.outageEnded')}`;
 }
 
 export default {
-  sendNotification,
-  sendBatchNotifications,
+  isInQuietHours,
+  notifyUser,
+  combineMessages,
+  sendDeferredNotifications,
+  queueBatchNotifications,
   markEventAsNotified,
   isEventNotified,
   cleanOldNotifications,
   getNotificationEnabledUsers,
   filterUsersByQueues,
-  getUserChangedQueues,
+  getUserChangedTargets,
   createScheduleUpdateMessage,
+  createSchedulePublishedMessage,
   createUpcomingOutageMessage,
+  createDayBeforeMessage,
   createPowerReturnMessage,
 };
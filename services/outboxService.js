@@ -0,0 +1,333 @@
+/**
+ * Notification outbox service
+ * Producers store messages in the OutboxMessage collection; the worker delivers them within
+ * Telegram's rate limits, waits out flood limits (429 retry_after), retries transient errors
+ * with backoff and marks permanent failures. Messages survive restarts; one whose send
+ * succeeded right before a crash may be delivered twice
+ */
+
+import OutboxMessage from '../models/OutboxMessage.js';
+import User from '../models/User.js';
+import { LOG_PREFIX, OUTBOX, NOTIFICATION_TYPES } from '../config/constants.js';
+
+// Time-critical notifications, delivered ahead of bulk schedule changes and digests
+const URGENT_TYPES = [NOTIFICATION_TYPES.UPCOMING_OUTAGE, NOTIFICATION_TYPES.POWER_RETURN];
+
+// Guards against overlapping worker runs when a run takes longer than the tick
+let deliveryInProgress = false;
+
+// Set from retry_after of a 429 response; nothing is sent until then
+let pausedUntil = 0;
+
+// Last send time by chat and send times within the last second, for rate limiting
+const lastSentByChat = new Map();
+const recentSends = [];
+
+/**
+ * Store a message in the outbox
+ * @param {Object} fields - OutboxMessage fields
+ * @returns {Promise<boolean>} True if stored
+ */
+async function enqueue(fields) {
+  try {
+    await OutboxMessage.create({ ...fields, priority: URGENT_TYPES.includes(fields.notificationType) ? 1 : 0 });
+    return true;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Failed to queue ${fields.kind} for ${fields.chatId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Queue a text message for delivery
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} text - Message text
+ * @param {Object} [options={}] - Additional options for sendMessage
+ * @param {Object} [meta] - Outbox options
+ * @param {string|null} [meta.notificationType=null] - Notification type (for logs)
+ * @param {Date|null} [meta.expiresAt=null] - Drop the message if it cannot be delivered by then
+ * @returns {Promise<boolean>} True if queued
+ */
+export async function enqueueMessage(chatId, text, options = {}, { notificationType = null, expiresAt = null } = {}) {
+  return enqueue({ chatId, kind: 'message', text, options, notificationType, expiresAt });
+}
+
+/**
+ * Queue a PNG photo for delivery
+ * @param {number} chatId - Telegram chat ID
+ * @param {Buffer} photo - PNG image
+ * @param {string} caption - Photo caption
+ * @param {Object} [options={}] - Additional options for sendPhoto
+ * @param {Object} [meta] - Outbox options (see enqueueMessage)
+ * @returns {Promise<boolean>} True if queued
+ */
+export async function enqueuePhoto(chatId, photo, caption, options = {}, { notificationType = null, expiresAt = null } = {}) {
+  return enqueue({ chatId, kind: 'photo', photo, text: caption, options, notificationType, expiresAt });
+}
+
+/**
+ * Get HTTP-like error code of a node-telegram-bot-api error
+ * @param {Error} error - Request error
+ * @returns {number|null} Telegram error code, null for network errors
+ */
+function getErrorCode(error) {
+  return error?.response?.body?.error_code ?? error?.response?.statusCode ?? null;
+}
+
+/**
+ * Check if retrying a failed send cannot help
+ * 400 (bad request, chat not found) and 403 (bot blocked or kicked) will fail again;
+ * network errors and 5xx are transient
+ * @param {number|null} code - Telegram error code
+ * @returns {boolean} True if the message should be marked failed
+ */
+function isPermanentError(code) {
+  return code === 400 || code === 403;
+}
+
+/**
+ * Get retry delay after a failed attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return OUTBOX.RETRY_BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Wait until another message fits into the global per-second limit
+ */
+async function waitForGlobalSlot() {
+  for (;;) {
+    while (recentSends.length > 0 && Date.now() - recentSends[0] >= 1000) {
+      recentSends.shift();
+    }
+
+    if (recentSends.length < OUTBOX.GLOBAL_RATE_PER_SECOND) {
+      return;
+    }
+
+    await delay(1000 - (Date.now() - recentSends[0]));
+  }
+}
+
+/**
+ * Stop notifying a chat the bot can no longer write to (blocked, kicked or removed)
+ * Same as a "left"/"kicked" my_chat_member update; the chat's other queued messages are failed too
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} reason - Telegram error description
+ * @returns {Promise<void>}
+ */
+async function disableChat(chatId, reason) {
+  try {
+    await User.findOneAndUpdate(
+      { chatId },
+      { notificationsEnabled: false, 'digest.enabled': false, 'liveStatus.messageId': null, 'liveStatus.text': null }
+    );
+    await OutboxMessage.updateMany(
+      { chatId, status: 'pending' },
+      { $set: { status: 'failed', lastError: reason } }
+    );
+    console.log(`${LOG_PREFIX.NOTIFICATION} 🚫 Notifications disabled for chat ${chatId}: ${reason}`);
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Failed to disable chat ${chatId}:`, error.message);
+  }
+}
+
+/**
+ * Make one delivery attempt and update the message
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} message - OutboxMessage document
+ * @returns {Promise<boolean>} True if delivered
+ */
+async function attemptMessage(bot, message) {
+  const now = Date.now();
+  lastSentByChat.set(message.chatId, now);
+  recentSends.push(now);
+
+  try {
+    if (message.kind === 'photo') {
+      await bot.sendPhoto(
+        message.chatId,
+        message.photo,
+        { caption: message.text, ...message.options },
+        { filename: 'schedule.png', contentType: 'image/png' }
+      );
+    } else {
+      await bot.sendMessage(message.chatId, message.text, message.options);
+    }
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.lastError = null;
+    await message.save();
+    return true;
+  } catch (error) {
+    const code = getErrorCode(error);
+    const parameters = error?.response?.body?.parameters;
+    message.lastError = error?.response?.body?.description || error.message;
+
+    if (code === 429) {
+      pausedUntil = Date.now() + (parameters?.retry_after || 1) * 1000;
+      message.nextAttemptAt = new Date(pausedUntil);
+      console.warn(`${LOG_PREFIX.NOTIFICATION} ⏳ Flood limit hit, pausing outbox for ${parameters?.retry_after || 1}s`);
+    } else if (parameters?.migrate_to_chat_id) {
+      // Group was upgraded to a supergroup: resend to the new chat ID right away
+      console.log(`${LOG_PREFIX.NOTIFICATION} Chat ${message.chatId} migrated to ${parameters.migrate_to_chat_id}, redirecting message`);
+      message.chatId = parameters.migrate_to_chat_id;
+    } else {
+      message.attempts++;
+
+      if (isPermanentError(code) || message.attempts >= OUTBOX.MAX_ATTEMPTS) {
+        message.status = 'failed';
+        console.error(`${LOG_PREFIX.NOTIFICATION} ❌ Giving up on ${message.kind} to ${message.chatId}: ${message.lastError}`);
+      } else {
+        message.nextAttemptAt = new Date(Date.now() + getRetryDelay(message.attempts));
+        console.warn(`${LOG_PREFIX.NOTIFICATION} ⚠️ Sending ${message.kind} to ${message.chatId} failed (${message.lastError}), retry at ${message.nextAttemptAt.toISOString()}`);
+      }
+    }
+
+    await message.save();
+
+    if (code === 403) {
+      await disableChat(message.chatId, message.lastError);
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Mark pending messages that were not delivered in time as expired
+ * @returns {Promise<void>}
+ */
+async function expireOverdueMessages() {
+  const result = await OutboxMessage.updateMany(
+    { status: 'pending', expiresAt: { $ne: null, $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`${LOG_PREFIX.NOTIFICATION} Dropped ${result.modifiedCount} expired outbox messages`);
+  }
+}
+
+/**
+ * Pick the next due message of each chat
+ * A chat's next message is its most urgent one, oldest first. Chats that got a message within
+ * OUTBOX.CHAT_INTERVAL_MS are left out, so a burst to a few chats does not hold back the rest
+ * @returns {Promise<Array>} OutboxMessage documents, most urgent and oldest first
+ */
+async function findNextMessagePerChat() {
+  const busyChats = [...lastSentByChat.keys()];
+
+  const heads = await OutboxMessage.aggregate([
+    { $match: { status: 'pending', nextAttemptAt: { $lte: new Date() }, chatId: { $nin: busyChats } } },
+    { $project: { chatId: 1, priority: 1, createdAt: 1 } },
+    { $sort: { priority: -1, createdAt: 1 } },
+    { $group: { _id: '$chatId', messageId: { $first: '$_id' }, priority: { $first: '$priority' }, createdAt: { $first: '$createdAt' } } },
+    { $sort: { priority: -1, createdAt: 1 } },
+    { $limit: OUTBOX.BATCH_SIZE },
+  ]);
+
+  const ids = heads.map(head => String(head.messageId));
+  const messages = await OutboxMessage.find({ _id: { $in: ids } });
+
+  return messages.sort((a, b) => ids.indexOf(String(a._id)) - ids.indexOf(String(b._id)));
+}
+
+/**
+ * Deliver queued messages that are due
+ * Each run sends at most one message per chat (the next run is a second later, which keeps
+ * the per-chat limit), urgent notifications first; the global limit is kept across chats
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<number>} Number of messages delivered
+ */
+export async function deliverPendingMessages(bot) {
+  if (deliveryInProgress || Date.now() < pausedUntil) {
+    return 0;
+  }
+
+  deliveryInProgress = true;
+  let delivered = 0;
+
+  try {
+    for (const [chatId, sentAt] of lastSentByChat) {
+      if (Date.now() - sentAt >= OUTBOX.CHAT_INTERVAL_MS) {
+        lastSentByChat.delete(chatId);
+      }
+    }
+
+    await expireOverdueMessages();
+    const messages = await findNextMessagePerChat();
+
+    for (const message of messages) {
+      await waitForGlobalSlot();
+
+      if (await attemptMessage(bot, message)) {
+        delivered++;
+      }
+
+      if (Date.now() < pausedUntil) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error delivering outbox messages:`, error.message);
+  } finally {
+    deliveryInProgress = false;
+  }
+
+  return delivered;
+}
+
+/**
+ * Count messages waiting for delivery
+ * @returns {Promise<number>} Number of pending messages
+ */
+export async function countPendingMessages() {
+  try {
+    return await OutboxMessage.countDocuments({ status: 'pending' });
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error counting outbox messages:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Delete delivered, failed and expired messages older than retention period
+ * @param {number} [daysToKeep=OUTBOX.RETENTION_DAYS] - How many days to keep
+ * @returns {Promise<number>} Number of deleted messages
+ */
+export async function cleanOldOutboxMessages(daysToKeep = OUTBOX.RETENTION_DAYS) {
+  try {
+    const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+    const result = await OutboxMessage.deleteMany({
+      status: { $ne: 'pending' },
+      updatedAt: { $lt: cutoffDate },
+    });
+
+    console.log(`${LOG_PREFIX.NOTIFICATION} Deleted ${result.deletedCount} old outbox messages`);
+    return result.deletedCount;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.NOTIFICATION} Error cleaning outbox:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Delay utility
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  enqueueMessage,
+  enqueuePhoto,
+  deliverPendingMessages,
+  countPendingMessages,
+  cleanOldOutboxMessages,
+};
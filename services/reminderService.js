@@ -0,0 +1,155 @@
+/**
+ * Reminder service
+ * Computes which outage reminders became due since the last successful run,
+ * so reminders are not lost on slow cycles, delayed cron ticks or restarts
+ */
+
+import JobState from '../models/JobState.js';
+import { generateEventId } from '../utils/helpers.js';
+import { parseDateString, parseTimeToMinutes, toZonedDate, addDaysToDateString, getTimeZone } from '../utils/dateUtils.js';
+import { LOG_PREFIX, TIMING } from '../config/constants.js';
+
+/**
+ * Get time up to which a job processed events in its last successful run
+ * @param {string} job - Job name from JOBS
+ * @returns {Promise<Date|null>} Last run time or null if never run
+ */
+export async function getJobLastRun(job) {
+  try {
+    const state = await JobState.findOne({ job });
+    return state?.lastRunAt || null;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error reading state of job ${job}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist time up to which a job processed events
+ * @param {string} job - Job name from JOBS
+ * @param {Date} lastRunAt - Processed-up-to time
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function setJobLastRun(job, lastRunAt) {
+  try {
+    await JobState.findOneAndUpdate({ job }, { job, lastRunAt }, { upsert: true });
+    return true;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.SCHEDULER} Error saving state of job ${job}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the time window a reminder run is responsible for
+ * Starts at the last successful run, but never further back than the catch-up limit
+ * @param {Date|null} lastRunAt - End of the previous run's window
+ * @param {Date} now - Current time
+ * @returns {Object} { from: Date, to: Date } (from exclusive, to inclusive)
+ */
+export function getReminderWindow(lastRunAt, now) {
+  const catchUpLimit = new Date(now.getTime() - TIMING.REMINDER_CATCHUP_MINUTES * 60000);
+  const firstRunStart = new Date(now.getTime() - TIMING.REMINDER_CHECK_WINDOW * 60000);
+
+  let from = lastRunAt ? new Date(lastRunAt) : firstRunStart;
+  if (from < catchUpLimit) {
+    from = catchUpLimit;
+  }
+  if (from > now) {
+    from = firstRunStart;
+  }
+
+  return { from, to: now };
+}
+
+/**
+ * Get lead-time reminders due in a window
+ * When several timers of the same outage are due at once (e.g. after downtime),
+ * only the one closest to the outage is sent; the others are marked as handled
+ * @param {Array} intervals - Outage blocks from getOutageBlocks
+ * @param {number[]} timers - Lead times in minutes
+ * @param {string} queue - Queue ID
+ * @param {Object} window - { from, to } from getReminderWindow
+ * @returns {Array} Array of { interval, timer, minutesLeft, eventIds } - eventIds covers all due timers
+ */
+export function getDueLeadReminders(intervals, timers, queue, window) {
+  const due = [];
+
+  for (const interval of intervals) {
+    // Outage already started: reminders for it are stale
+    if (interval.start <= window.to) {
+      continue;
+    }
+
+    const dueTimers = timers.filter(timer => {
+      const fireAt = interval.start.getTime() - timer * 60000;
+      return fireAt > window.from.getTime() && fireAt <= window.to.getTime();
+    });
+
+    if (dueTimers.length === 0) {
+      continue;
+    }
+
+    const baseId = generateEventId(queue, interval.from, interval.eventDate);
+
+    due.push({
+      interval,
+      timer: Math.min(...dueTimers),
+      minutesLeft: Math.round((interval.start - window.to) / 60000),
+      eventIds: dueTimers.map(timer => `${baseId}_${timer}`),
+    });
+  }
+
+  return due;
+}
+
+/**
+ * Get day-before reminders due in a window
+ * A reminder is stale once the first outage of its day has started
+ * @param {Array} intervals - Outage blocks from getOutageBlocks
+ * @param {string[]} times - Day-before clock times "HH:MM"
+ * @param {string} queue - Queue ID
+ * @param {Object} window - { from, to } from getReminderWindow
+ * @param {string} [timeZone=getTimeZone()] - Timezone the reminder times are set in
+ * @returns {Array} Array of { eventDate, time, intervals, eventId }
+ */
+export function getDueDayBeforeReminders(intervals, times, queue, window, timeZone = getTimeZone()) {
+  const due = [];
+  const byDate = new Map();
+
+  for (const interval of intervals) {
+    if (!byDate.has(interval.eventDate)) {
+      byDate.set(interval.eventDate, []);
+    }
+    byDate.get(interval.eventDate).push(interval);
+  }
+
+  for (const [eventDate, dayIntervals] of byDate) {
+    if (!parseDateString(eventDate) || dayIntervals[0].start <= window.to) {
+      continue;
+    }
+
+    for (const time of times) {
+      const minutes = parseTimeToMinutes(time);
+      if (minutes === null) {
+        continue;
+      }
+
+      const fireAt = toZonedDate(addDaysToDateString(eventDate, -1), minutes, timeZone);
+
+      if (fireAt > window.from && fireAt <= window.to) {
+        due.push({ eventDate, time, intervals: dayIntervals, eventId: `${queue}_daybefore_${time}_${eventDate}` });
+      }
+    }
+  }
+
+  return due;
+}
+
+export default {
+  getJobLastRun,
+  setJobLastRun,
+  getReminderWindow,
+  getDueLeadReminders,
+  getDueDayBeforeReminders,
+};
@@ -4,10 +4,21 @@
  */
 
 import ScheduleCache from '../models/ScheduleCache.js';
-import { fetchSchedule } from '../utils/api.js';
+import { fetchSchedule, getProviderQueues } from '../providers/index.js';
 import { hashSchedule } from '../utils/helpers.js';
-import { isTodayOrFuture, getTodayString, sortScheduleByDate } from '../utils/dateUtils.js';
-import { LOG_PREFIX, TIMING, VALID_QUEUES } from '../config/constants.js';
+import { recordScheduleVersion, seedScheduleHistory } from './historyService.js';
+import {
+  isTodayOrFuture,
+  getTodayString,
+  sortScheduleByDate,
+  parseDateString,
+  parseTimeToMinutes,
+  toZonedDate,
+  formatDateString,
+  formatCurrentTime,
+} from '../utils/dateUtils.js';
+import { calculateDuration } from '../utils/scheduleComparison.js';
+import { LOG_PREFIX, TIMING, DEFAULT_REGION, OUTAGE_STATUS } from '../config/constants.js';
 
 /**
  * Extract only outage data from schedule (excluding metadata)
@@ -88,38 +99,58 @@ export function filterFutureDays(schedule) {
   return filtered;
 }
 
+/**
+ * Find days present for a queue in the new schedule but not in the old one
+ * @param {Array} oldSchedule - Previously cached schedule
+ * @param {Array} newSchedule - Newly fetched schedule
+ * @param {string} queue - Queue ID
+ * @returns {string[]} Dates ("DD.MM.YYYY") that appeared
+ */
+export function findNewDates(oldSchedule, newSchedule, queue) {
+  const datesOf = (schedule) => (Array.isArray(schedule) ? schedule : [])
+    .filter(day => day?.eventDate && day.queues?.[queue] !== undefined)
+    .map(day => day.eventDate);
+
+  const oldDates = new Set(datesOf(oldSchedule));
+  return datesOf(newSchedule).filter(date => !oldDates.has(date));
+}
+
 /**
  * Process a single queue schedule
  * @param {string} queue - Queue ID
- * @returns {Promise<Object>} Result object with queue, schedule, hash, changed flag, and oldSchedule
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @returns {Promise<Object>} Result object with region, queue, schedule, hash, changed flag, oldSchedule
+ *   and newDates (days that appeared for the queue since the previous fetch)
  */
-export async function processQueueSchedule(queue) {
+export async function processQueueSchedule(queue, region = DEFAULT_REGION) {
   const result = {
+    region,
     queue,
     schedule: null,
     oldSchedule: null,
     hash: null,
     changed: false,
     isFirstTime: false,
+    newDates: [],
     error: null,
   };
 
   try {
-    console.log(`${LOG_PREFIX.SCHEDULER} Fetching schedule for queue ${queue}...`);
-    const newSchedule = await fetchSchedule(queue);
+    console.log(`${LOG_PREFIX.SCHEDULER} Fetching schedule for queue ${region}/${queue}...`);
+    const newSchedule = await fetchSchedule(queue, region);
 
     if (!newSchedule) {
-      console.warn(`${LOG_PREFIX.SCHEDULER} ❌ Failed to fetch schedule for queue ${queue}`);
+      console.warn(`${LOG_PREFIX.SCHEDULER} ❌ Failed to fetch schedule for queue ${region}/${queue}`);
       result.error = 'Failed to fetch';
       return result;
     }
 
-    console.log(`${LOG_PREFIX.SCHEDULER} ✅ Fetched schedule for queue ${queue}`);
+    console.log(`${LOG_PREFIX.SCHEDULER} ✅ Fetched schedule for queue ${region}/${queue}`);
 
     const filteredSchedule = filterFutureDays(newSchedule);
 
     if (Array.isArray(filteredSchedule) && filteredSchedule.length === 0) {
-      console.warn(`${LOG_PREFIX.SCHEDULER} ⚠️ No future days in schedule for queue ${queue}!`);
+      console.warn(`${LOG_PREFIX.SCHEDULER} ⚠️ No future days in schedule for queue ${region}/${queue}!`);
       result.error = 'No future days';
       return result;
     }
@@ -129,21 +160,26 @@ export async function processQueueSchedule(queue) {
 
     console.log(`${LOG_PREFIX.SCHEDULER} Computing hash from outage data only`);
 
-    const cacheEntry = await ScheduleCache.findOne({ queue });
+    const cacheEntry = await ScheduleCache.findOne({ region, queue });
+
+    // First fetch has nothing to compare with, so no day counts as newly published
+    if (cacheEntry?.rawSchedule) {
+      result.newDates = findNewDates(cacheEntry.rawSchedule, filteredSchedule, queue);
+    }
 
     // Compare hashes correctly by filtering old cache too
     if (cacheEntry && cacheEntry.rawSchedule) {
-      // Filter old cached schedule with current date to avoid false positives at midnight
+      // Both versions are compared from today on, so a day rolling over at midnight is not a change
       const oldFilteredSchedule = filterFutureDays(cacheEntry.rawSchedule);
       const oldOutageDataOnly = extractOutageDataOnly(oldFilteredSchedule);
       const oldHash = hashSchedule(oldOutageDataOnly);
 
       if (oldHash === newHash) {
-        console.log(`${LOG_PREFIX.SCHEDULER} ✓ No changes for queue ${queue} (hash match after filtering)`);
+        console.log(`${LOG_PREFIX.SCHEDULER} ✓ No changes for queue ${region}/${queue} (hash match after filtering)`);
 
         // Update rawSchedule and hash with new data
         await ScheduleCache.findOneAndUpdate(
-          { queue },
+          { region, queue },
           { rawSchedule: newSchedule, hash: newHash, updatedAt: new Date() }
         );
 
@@ -161,41 +197,29 @@ export async function processQueueSchedule(queue) {
     // Save old schedule for comparison
     const oldRawSchedule = cacheEntry?.rawSchedule || null;
 
-    // Check if we're in midnight window (00:00 - 00:20) to avoid false positives
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
-    const isMidnightWindow = currentHour === 0 && currentMinute < 20;
-
-    console.log(`${LOG_PREFIX.SCHEDULER} 📢 Schedule ${isFirstTime ? 'initialized' : 'CHANGED'} for queue ${queue}`);
+    console.log(`${LOG_PREFIX.SCHEDULER} 📢 Schedule ${isFirstTime ? 'initialized' : 'CHANGED'} for queue ${region}/${queue}`);
     console.log(`${LOG_PREFIX.SCHEDULER} Hash: ${oldHash}... → ${newHashShort}...`);
 
     const updatedCache = await ScheduleCache.findOneAndUpdate(
-      { queue },
-      { queue, hash: newHash, rawSchedule: newSchedule, updatedAt: new Date() },
+      { region, queue },
+      { region, queue, hash: newHash, rawSchedule: newSchedule, updatedAt: new Date() },
       { upsert: true, new: true }
     );
 
-    console.log(`${LOG_PREFIX.SCHEDULER} Cache updated for queue ${queue}`);
+    console.log(`${LOG_PREFIX.SCHEDULER} Cache updated for queue ${region}/${queue}`);
 
-    // If we're in midnight window, don't mark as changed to avoid false notifications
-    if (isMidnightWindow && !isFirstTime) {
-      console.log(`${LOG_PREFIX.SCHEDULER} ⏰ Midnight window detected - suppressing change notification`);
-      result.schedule = newSchedule;
-      result.oldSchedule = oldRawSchedule;
-      result.hash = newHash;
-      result.changed = false;
-      result.isFirstTime = false;
-    } else {
-      result.schedule = newSchedule;
-      result.oldSchedule = oldRawSchedule;
-      result.hash = newHash;
-      result.changed = !isFirstTime;
-      result.isFirstTime = isFirstTime;
-    }
+    // Archive version so it is not lost when the next one arrives
+    await seedScheduleHistory(cacheEntry);
+    await recordScheduleVersion(region, queue, newHash, newSchedule);
+
+    result.schedule = newSchedule;
+    result.oldSchedule = oldRawSchedule;
+    result.hash = newHash;
+    result.changed = !isFirstTime;
+    result.isFirstTime = isFirstTime;
 
   } catch (error) {
-    console.error(`${LOG_PREFIX.SCHEDULER} Error processing queue ${queue}:`, error.message);
+    console.error(`${LOG_PREFIX.SCHEDULER} Error processing queue ${region}/${queue}:`, error.message);
     result.error = error.message;
   }
 
@@ -205,13 +229,14 @@ export async function processQueueSchedule(queue) {
 /**
  * Process multiple queues with delay between requests
  * @param {Array} queues - Array of queue IDs
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
  * @returns {Promise<Array>} Array of results
  */
-export async function processMultipleQueues(queues) {
+export async function processMultipleQueues(queues, region = DEFAULT_REGION) {
   const results = [];
 
   for (const queue of queues) {
-    const result = await processQueueSchedule(queue);
+    const result = await processQueueSchedule(queue, region);
     results.push(result);
 
     // Delay between API requests to avoid rate limiting
@@ -235,14 +260,15 @@ export function getChangedQueues(results) {
 /**
  * Get cached schedule for a queue
  * @param {string} queue - Queue ID
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
  * @returns {Promise<Object|null>} Cached schedule or null
  */
-export async function getCachedSchedule(queue) {
+export async function getCachedSchedule(queue, region = DEFAULT_REGION) {
   try {
-    const cache = await ScheduleCache.findOne({ queue });
+    const cache = await ScheduleCache.findOne({ region, queue });
     return cache?.rawSchedule || null;
   } catch (error) {
-    console.error(`${LOG_PREFIX.SCHEDULER} Error fetching cached schedule for ${queue}:`, error);
+    console.error(`${LOG_PREFIX.SCHEDULER} Error fetching cached schedule for ${region}/${queue}:`, error);
     return null;
   }
 }
@@ -319,6 +345,257 @@ export function extractEndTime(period) {
   return null;
 }
 
+/**
+ * Normalize period into from/to form
+ * @param {Object} period - Period object (from/to or shutdownHours)
+ * @returns {Object} { from, to, durationMinutes, status }
+ */
+export function normalizePeriod(period) {
+  const from = extractStartTime(period);
+  const to = extractEndTime(period);
+
+  return {
+    from,
+    to,
+    durationMinutes: from && to ? calculateDuration(from, to) : null,
+    status: period.status ?? null,
+  };
+}
+
+/**
+ * Merge touching and overlapping outage periods of one day
+ * Periods are sorted by start time; periods that were not merged are returned unchanged,
+ * merged ones as { from, to, status }. A period ending at or before its start runs past midnight
+ * @param {Array} periods - Periods of a queue for one day
+ * @returns {Array} Periods with back-to-back outages combined
+ */
+export function mergeDayPeriods(periods) {
+  if (!Array.isArray(periods)) {
+    return [];
+  }
+
+  const blocks = [];
+  const other = [];
+
+  for (const period of periods) {
+    const from = extractStartTime(period);
+    const to = extractEndTime(period);
+    const start = parseTimeToMinutes(from);
+    const end = parseTimeToMinutes(to, true);
+
+    if (period.status === OUTAGE_STATUS.NO_OUTAGE || start === null || end === null) {
+      other.push({ period, start: start ?? Infinity });
+      continue;
+    }
+
+    blocks.push({ period, from, to, start, end: end <= start ? end + 24 * 60 : end, merged: false });
+  }
+
+  blocks.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const block of blocks) {
+    const last = merged[merged.length - 1];
+
+    if (last && block.start <= last.end) {
+      if (block.end > last.end) {
+        last.end = block.end;
+        last.to = block.to;
+      }
+      last.merged = true;
+      continue;
+    }
+
+    merged.push({ ...block });
+  }
+
+  return [
+    ...merged.map(block => ({
+      period: block.merged ? { from: block.from, to: block.to, status: OUTAGE_STATUS.SCHEDULED } : block.period,
+      start: block.start,
+    })),
+    ...other,
+  ]
+    .sort((a, b) => a.start - b.start)
+    .map(item => item.period);
+}
+
+/**
+ * Convert compareSchedules output to normalized from/to periods
+ * @param {Object} changes - Changes object by date
+ * @returns {Object} Changes with normalized periods, classified details and net outage minutes
+ */
+export function normalizeChanges(changes) {
+  const result = {};
+
+  for (const [date, { added, removed, details = [], netMinutes = 0 }] of Object.entries(changes)) {
+    result[date] = {
+      added: added.map(normalizePeriod),
+      removed: removed.map(normalizePeriod),
+      details: details.map(({ type, before, after }) => ({
+        type,
+        before: before.map(normalizePeriod),
+        after: after.map(normalizePeriod),
+      })),
+      netMinutes,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Get schedule of a queue as days with normalized periods, sorted by date
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @returns {Array} Array of { eventDate, periods }
+ */
+export function getNormalizedSchedule(schedule, queue) {
+  if (!Array.isArray(schedule)) {
+    return [];
+  }
+
+  return sortScheduleByDate(schedule)
+    .filter(day => day?.eventDate && day.queues?.[queue] !== undefined)
+    .map(day => ({
+      eventDate: day.eventDate,
+      periods: Array.isArray(day.queues[queue]) ? day.queues[queue].map(normalizePeriod) : [],
+    }));
+}
+
+/**
+ * Build absolute outage intervals for a queue from all days in schedule
+ * Periods ending at or before their start are treated as crossing midnight
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @returns {Array} Sorted array of { start: Date, end: Date, from, to, eventDate }
+ */
+export function buildOutageIntervals(schedule, queue) {
+  const intervals = [];
+
+  for (const day of getNormalizedSchedule(schedule, queue)) {
+    if (!parseDateString(day.eventDate)) {
+      continue;
+    }
+
+    for (const period of day.periods) {
+      if (period.status === OUTAGE_STATUS.NO_OUTAGE) {
+        continue;
+      }
+
+      const fromMinutes = parseTimeToMinutes(period.from);
+      const toMinutes = parseTimeToMinutes(period.to, true);
+      if (fromMinutes === null || toMinutes === null) {
+        continue;
+      }
+
+      // Wall-clock times of the schedule's timezone, so DST days get their real length
+      const start = toZonedDate(day.eventDate, fromMinutes);
+      const end = toZonedDate(day.eventDate, toMinutes <= fromMinutes ? toMinutes + 24 * 60 : toMinutes);
+
+      intervals.push({ start, end, from: period.from, to: period.to, eventDate: day.eventDate });
+    }
+  }
+
+  return intervals.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Serialize outage interval for API and webhook payloads
+ * @param {Object|null} interval - Interval from buildOutageIntervals
+ * @returns {Object|null} { eventDate, from, to, start, end }
+ */
+export function serializeInterval(interval) {
+  if (!interval) {
+    return null;
+  }
+
+  return {
+    eventDate: interval.eventDate,
+    from: interval.from,
+    to: interval.to,
+    start: interval.start.toISOString(),
+    end: interval.end.toISOString(),
+  };
+}
+
+/**
+ * Merge touching and overlapping outage intervals into continuous blocks
+ * A block keeps the date and start time of its first interval and the end time of its last one,
+ * so an outage running 22:00-00:00 and 00:00-02:00 becomes one 22:00-02:00 block
+ * @param {Array} intervals - Sorted intervals from buildOutageIntervals
+ * @returns {Array} Sorted array of { start, end, from, to, eventDate }
+ */
+export function mergeOutageIntervals(intervals) {
+  const blocks = [];
+
+  for (const interval of intervals) {
+    const last = blocks[blocks.length - 1];
+
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) {
+        last.end = interval.end;
+        last.to = interval.to;
+      }
+      continue;
+    }
+
+    blocks.push({ ...interval });
+  }
+
+  return blocks;
+}
+
+/**
+ * Build continuous outage blocks of a queue from all days in schedule
+ * This is the timeline reminders, power-return messages and statuses reason over
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @returns {Array} Sorted array of { start: Date, end: Date, from, to, eventDate }
+ */
+export function getOutageBlocks(schedule, queue) {
+  return mergeOutageIntervals(buildOutageIntervals(schedule, queue));
+}
+
+/**
+ * Convert an outage interval to times and date of a display timezone
+ * @param {Object} interval - Interval or block with start and end
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} Interval with from, to and eventDate as seen in the timezone
+ */
+export function toDisplayInterval(interval, timeZone) {
+  return {
+    ...interval,
+    from: formatCurrentTime(interval.start, timeZone),
+    to: formatCurrentTime(interval.end, timeZone),
+    eventDate: formatDateString(interval.start, timeZone),
+  };
+}
+
+/**
+ * Get current power status of a queue
+ * Works on continuous outage blocks, so back-to-back periods and periods crossing midnight
+ * are reported as one outage
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} { powerOff, currentOutage, nextOutage, nextChangeAt, minutesUntilChange }
+ */
+export function getPowerStatus(schedule, queue, now = new Date()) {
+  const blocks = getOutageBlocks(schedule, queue);
+  const current = blocks.find(b => b.start <= now && now < b.end) || null;
+  const next = blocks.find(b => b.start > now) || null;
+  const nextChangeAt = current ? current.end : next?.start || null;
+
+  return {
+    powerOff: Boolean(current),
+    currentOutage: current,
+    nextOutage: next,
+    nextChangeAt,
+    minutesUntilChange: nextChangeAt ? Math.ceil((nextChangeAt - now) / 60000) : null,
+  };
+}
+
 /**
  * Delay utility
  * @param {number} ms - Milliseconds to delay
@@ -329,16 +606,18 @@ function delay(ms) {
 }
 
 /**
- * Get all valid queues
+ * Get all valid queues of a region
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
  * @returns {Array} Array of all valid queue IDs
  */
-export function getAllQueues() {
-  return [...VALID_QUEUES];
+export function getAllQueues(region = DEFAULT_REGION) {
+  return getProviderQueues(region);
 }
 
 export default {
   extractOutageDataOnly,
   filterFutureDays,
+  findNewDates,
   processQueueSchedule,
   processMultipleQueues,
   getChangedQueues,
@@ -346,5 +625,15 @@ export default {
   extractPeriodsForQueueAndDate,
   extractStartTime,
   extractEndTime,
+  normalizePeriod,
+  mergeDayPeriods,
+  normalizeChanges,
+  getNormalizedSchedule,
+  buildOutageIntervals,
+  mergeOutageIntervals,
+  getOutageBlocks,
+  toDisplayInterval,
+  serializeInterval,
+  getPowerStatus,
   getAllQueues,
 };
@@ -0,0 +1,242 @@
+/**
+ * Outage statistics service
+ * Daily rollup of scheduled outage durations and per-queue summaries
+ */
+
+import OutageStats from '../models/OutageStats.js';
+import {
+  getCachedSchedule,
+  extractPeriodsForQueueAndDate,
+  extractStartTime,
+  extractEndTime,
+  mergeDayPeriods,
+  getAllQueues,
+} from './scheduleService.js';
+import { getVersionAt } from './historyService.js';
+import { getJobLastRun, setJobLastRun } from './reminderService.js';
+import { getAllRegions } from '../providers/index.js';
+import { calculateDuration, formatDuration } from '../utils/scheduleComparison.js';
+import { getTodayString, parseDateString, addDaysToDateString, formatDateString } from '../utils/dateUtils.js';
+import { formatQueueName } from '../utils/locations.js';
+import { t } from '../utils/i18n.js';
+import { LOG_PREFIX, TIMING, JOBS, OUTAGE_STATUS, DEFAULT_REGION, DEFAULT_LANGUAGE } from '../config/constants.js';
+
+/**
+ * Check if schedule contains a given day for a queue
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @param {string} eventDate - Date string "DD.MM.YYYY"
+ * @returns {boolean} True if day is present
+ */
+function hasDay(schedule, queue, eventDate) {
+  return Array.isArray(schedule) &&
+    schedule.some(day => day?.eventDate === eventDate && day.queues?.[queue] !== undefined);
+}
+
+/**
+ * Compute outage totals for one queue and day
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @param {string} eventDate - Date string "DD.MM.YYYY"
+ * @returns {Object} { totalMinutes, outageCount, longestMinutes }
+ */
+export function computeDayStats(schedule, queue, eventDate) {
+  const stats = { totalMinutes: 0, outageCount: 0, longestMinutes: 0 };
+  // Back-to-back periods count as one outage, overlapping minutes only once
+  const periods = mergeDayPeriods(extractPeriodsForQueueAndDate(schedule, queue, eventDate));
+
+  for (const period of periods) {
+    if (period.status === OUTAGE_STATUS.NO_OUTAGE) {
+      continue;
+    }
+
+    const startTime = extractStartTime(period);
+    const endTime = extractEndTime(period);
+    if (!startTime || !endTime) {
+      continue;
+    }
+
+    const minutes = calculateDuration(startTime, endTime);
+    stats.totalMinutes += minutes;
+    stats.outageCount++;
+    stats.longestMinutes = Math.max(stats.longestMinutes, minutes);
+  }
+
+  return stats;
+}
+
+/**
+ * Get the schedule a day's stats are computed from
+ * A past day uses the last version archived before the day ended (the cache may no longer
+ * have it); today, or a day missing from history, uses the cached schedule
+ * @param {string} queue - Queue ID
+ * @param {string} region - Provider region key
+ * @param {string} eventDate - Date string "DD.MM.YYYY"
+ * @returns {Promise<Array|null>} Schedule array
+ */
+async function getDaySchedule(queue, region, eventDate) {
+  if (eventDate !== getTodayString()) {
+    const version = await getVersionAt(queue, region, parseDateString(addDaysToDateString(eventDate, 1)));
+
+    if (hasDay(version?.schedule, queue, eventDate)) {
+      return version.schedule;
+    }
+  }
+
+  return getCachedSchedule(queue, region);
+}
+
+/**
+ * Persist daily stats for all regions and queues
+ * @param {string} [eventDate=getTodayString()] - Day to roll up
+ * @returns {Promise<number>} Number of queues rolled up
+ */
+export async function rollupDailyStats(eventDate = getTodayString()) {
+  let rolledUp = 0;
+  const day = parseDateString(eventDate);
+
+  for (const region of getAllRegions()) {
+    for (const queue of getAllQueues(region)) {
+      try {
+        const schedule = await getDaySchedule(queue, region, eventDate);
+
+        if (!hasDay(schedule, queue, eventDate)) {
+          continue;
+        }
+
+        const stats = computeDayStats(schedule, queue, eventDate);
+
+        await OutageStats.findOneAndUpdate(
+          { region, queue, eventDate },
+          { region, queue, eventDate, day, ...stats },
+          { upsert: true }
+        );
+
+        rolledUp++;
+      } catch (error) {
+        console.error(`${LOG_PREFIX.SCHEDULER} Error rolling up stats for ${region}/${queue}:`, error.message);
+      }
+    }
+  }
+
+  console.log(`${LOG_PREFIX.SCHEDULER} 📈 Rolled up outage stats for ${rolledUp} queues (${eventDate})`);
+  return rolledUp;
+}
+
+/**
+ * Roll up today and every day since the last finished rollup
+ * Days missed because of downtime are caught up (up to TIMING.STATS_CATCHUP_DAYS back), and
+ * yesterday is always redone, so changes published after the evening rollup are counted
+ * @returns {Promise<number>} Number of days rolled up
+ */
+export async function rollupPendingStats() {
+  const today = getTodayString();
+  const lastRun = await getJobLastRun(JOBS.STATS_ROLLUP);
+  const earliest = parseDateString(addDaysToDateString(today, -TIMING.STATS_CATCHUP_DAYS));
+
+  let eventDate = lastRun ? addDaysToDateString(formatDateString(lastRun), 1) : addDaysToDateString(today, -1);
+  if (parseDateString(eventDate) < earliest) {
+    eventDate = formatDateString(earliest);
+  }
+
+  let days = 0;
+  while (parseDateString(eventDate) <= parseDateString(today)) {
+    await rollupDailyStats(eventDate);
+    eventDate = addDaysToDateString(eventDate, 1);
+    days++;
+  }
+
+  // Days before today are final now; today is redone on the next run
+  await setJobLastRun(JOBS.STATS_ROLLUP, parseDateString(addDaysToDateString(today, -1)));
+  return days;
+}
+
+/**
+ * Summarize stats of a queue over the last N days (including today)
+ * @param {string} queue - Queue ID
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
+ * @param {number} [days=7] - Number of days
+ * @returns {Promise<Object>} { queue, days, daysWithData, totalMinutes, outageCount, longestMinutes, averageMinutes }
+ */
+export async function getQueueStats(queue, region = DEFAULT_REGION, days = 7) {
+  const since = parseDateString(addDaysToDateString(getTodayString(), -(days - 1)));
+
+  const records = await OutageStats.find({ region, queue, day: { $gte: since } });
+
+  const summary = {
+    queue,
+    days,
+    daysWithData: records.length,
+    totalMinutes: 0,
+    outageCount: 0,
+    longestMinutes: 0,
+    averageMinutes: 0,
+  };
+
+  for (const record of records) {
+    summary.totalMinutes += record.totalMinutes;
+    summary.outageCount += record.outageCount;
+    summary.longestMinutes = Math.max(summary.longestMinutes, record.longestMinutes);
+  }
+
+  if (records.length > 0) {
+    summary.averageMinutes = Math.round(summary.totalMinutes / records.length);
+  }
+
+  return summary;
+}
+
+/**
+ * Format stats summaries for user display
+ * @param {Array} summaries - Array of getQueueStats results
+ * @param {number} days - Period length in days
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Formatted stats text
+ */
+export function formatStatsText(summaries, days, language = DEFAULT_LANGUAGE) {
+  const duration = minutes => formatDuration(minutes, language) || t(language, 'duration.minutes', { count: 0 });
+
+  let text = `${t(language, 'stats.title', { days })}\n`;
+  text += `━━━━━━━━━━━━━━━━\n\n`;
+
+  for (const summary of summaries) {
+    text += `⚡️ <b>${formatQueueName(summary.queue, null, language)}</b>\n`;
+
+    if (summary.daysWithData === 0) {
+      text += `   ${t(language, 'common.noData')}\n\n`;
+      continue;
+    }
+
+    text += `   ${t(language, 'stats.total', { duration: duration(summary.totalMinutes) })}\n`;
+    text += `   ${t(language, 'stats.outages', { count: summary.outageCount })}\n`;
+    text += `   ${t(language, 'stats.longest', { duration: duration(summary.longestMinutes) })}\n`;
+    text += `   ${t(language, 'stats.average', { duration: duration(summary.averageMinutes) })}\n`;
+    text += `   ${t(language, 'stats.daysWithData', { count: summary.daysWithData })}\n\n`;
+  }
+
+  const withData = summaries.filter(s => s.daysWithData > 0);
+
+  // Comparison between queues by average off-time per day
+  if (withData.length > 1) {
+    const sorted = [...withData].sort((a, b) => b.averageMinutes - a.averageMinutes);
+    const max = sorted[0].averageMinutes || 1;
+
+    text += `${t(language, 'stats.comparison')}\n\n`;
+
+    for (const summary of sorted) {
+      const barLength = Math.round((summary.averageMinutes / max) * 10);
+      const bar = '🟥'.repeat(barLength) + '⬜️'.repeat(10 - barLength);
+      text += `${summary.queue} ${bar} ${duration(summary.averageMinutes)}\n`;
+    }
+  }
+
+  return text.trim();
+}
+
+export default {
+  computeDayStats,
+  rollupDailyStats,
+  rollupPendingStats,
+  getQueueStats,
+  formatStatsText,
+};
@@ -0,0 +1,345 @@
+/**
+ * Outbound webhook service
+ * Signs and delivers event payloads to registered subscribers, with retries and a delivery log
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { isValidRegion, getProviderQueues } from '../providers/index.js';
+import { LOG_PREFIX, WEBHOOK, EVENT_TYPES, DEFAULT_REGION } from '../config/constants.js';
+
+// Guards against overlapping retry runs when a run takes longer than the cron tick
+let retryInProgress = false;
+
+/**
+ * Generate a random webhook secret
+ * @returns {string} Hex-encoded secret
+ */
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign request body with webhook secret
+ * Receivers verify by computing HMAC-SHA256 of `${timestamp}.${body}` with the same secret
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix timestamp in seconds (X-Webhook-Timestamp header)
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in "sha256=<hex>" form
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify signature of a received webhook request
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - X-Webhook-Timestamp header
+ * @param {string} body - Raw JSON body
+ * @param {string} signature - X-Webhook-Signature header
+ * @returns {boolean} True if signature matches
+ */
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validate webhook fields from admin API input
+ * Only fields present in input are checked, so it works for partial updates
+ * @param {Object} input - { url, region, queues, events }
+ * @param {string} [currentRegion=DEFAULT_REGION] - Region of an existing webhook (for updates)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateWebhookInput(input, currentRegion = DEFAULT_REGION) {
+  const region = input.region ?? currentRegion;
+
+  if (input.url !== undefined) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      return 'Invalid url';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'Url must use http or https';
+    }
+  }
+
+  if (!isValidRegion(region)) {
+    return 'Invalid region';
+  }
+
+  if (input.queues !== undefined) {
+    const validQueues = getProviderQueues(region);
+    if (!Array.isArray(input.queues) || input.queues.some(q => !validQueues.includes(q))) {
+      return 'Invalid queues';
+    }
+  }
+
+  if (input.events !== undefined) {
+    const validEvents = Object.values(EVENT_TYPES);
+    if (!Array.isArray(input.events) || input.events.length === 0 || input.events.some(e => !validEvents.includes(e))) {
+      return `Events must be a non-empty subset of: ${validEvents.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get retry delay after a failed attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return WEBHOOK.RETRY_BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Make one delivery attempt and update the delivery log
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} webhook - Webhook document (with secret selected)
+ * @returns {Promise<boolean>} True if delivered
+ */
+export async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  delivery.attempts++;
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      timeout: WEBHOOK.TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Ukraine-Power-Outage-Bot/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': timestamp,
+        [WEBHOOK.SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body),
+      },
+      validateStatus: () => true,
+    });
+
+    delivery.responseStatus = response.status;
+
+    if (response.status >= 200 && response.status < 300) {
+      delivery.status = 'success';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+      await delivery.save();
+      console.log(`${LOG_PREFIX.WEBHOOK} ✅ Delivered ${delivery.event} to ${webhook.url} (attempt ${delivery.attempts})`);
+      return true;
+    }
+
+    delivery.lastError = `HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.lastError = error.message;
+  }
+
+  if (delivery.attempts >= WEBHOOK.MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    console.error(`${LOG_PREFIX.WEBHOOK} ❌ Giving up on ${delivery.event} to ${webhook.url}: ${delivery.lastError}`);
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    console.warn(`${LOG_PREFIX.WEBHOOK} ⚠️ Delivery of ${delivery.event} to ${webhook.url} failed (${delivery.lastError}), retry at ${delivery.nextAttemptAt.toISOString()}`);
+  }
+
+  await delivery.save();
+  return false;
+}
+
+/**
+ * Check if any active webhook is registered
+ * @returns {Promise<boolean>} True if at least one active webhook exists
+ */
+export async function hasActiveWebhooks() {
+  try {
+    return Boolean(await Webhook.exists({ active: true }));
+  } catch (error) {
+    console.error(`${LOG_PREFIX.WEBHOOK} Error checking webhooks:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Dispatch an event to all matching active webhooks
+ * Each (webhook, eventKey) pair is delivered at most once. Deliveries are only queued here;
+ * retryPendingDeliveries sends them, so a slow endpoint does not hold up the caller
+ * @param {string} event - Event type from EVENT_TYPES
+ * @param {string} eventKey - Deduplication key of the event
+ * @param {string} region - Provider region key
+ * @param {string} queue - Queue ID
+ * @param {Object} data - Event-specific payload data
+ * @returns {Promise<number>} Number of deliveries created
+ */
+export async function dispatchWebhookEvent(event, eventKey, region, queue, data) {
+  let created = 0;
+
+  try {
+    const webhooks = await Webhook.find({
+      active: true,
+      region,
+      events: event,
+      $or: [{ queues: { $size: 0 } }, { queues: queue }],
+    });
+
+    for (const webhook of webhooks) {
+      let delivery;
+
+      try {
+        delivery = new WebhookDelivery({ webhook: webhook._id, event, eventKey, payload: {} });
+        delivery.payload = {
+          id: String(delivery._id),
+          event,
+          region,
+          queue,
+          timestamp: new Date().toISOString(),
+          data,
+        };
+        await delivery.save();
+      } catch (error) {
+        // Duplicate key: event already dispatched to this webhook
+        if (error.code === 11000) {
+          continue;
+        }
+        throw error;
+      }
+
+      created++;
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.WEBHOOK} Error dispatching ${event} for ${region}/${queue}:`, error.message);
+  }
+
+  return created;
+}
+
+/**
+ * Send a one-off "ping" delivery to check a webhook endpoint
+ * @param {Object} webhook - Webhook document (with secret selected)
+ * @returns {Promise<Object>} Delivery document after the attempt
+ */
+export async function sendTestDelivery(webhook) {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    event: 'ping',
+    eventKey: `ping_${Date.now()}`,
+    payload: {},
+  });
+  delivery.payload = {
+    id: String(delivery._id),
+    event: 'ping',
+    region: webhook.region,
+    queue: null,
+    timestamp: new Date().toISOString(),
+    data: {},
+  };
+
+  await attemptDelivery(delivery, webhook);
+  return delivery;
+}
+
+/**
+ * Claim a due delivery for one attempt
+ * Moves its next attempt forward atomically, so another run (or instance) does not pick it up
+ * while it is in flight
+ * @param {Object} id - WebhookDelivery ID
+ * @returns {Promise<Object|null>} Claimed delivery or null if already taken or no longer due
+ */
+async function claimDelivery(id) {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK.CLAIM_TIMEOUT) } },
+    { new: true }
+  );
+}
+
+/**
+ * Send pending deliveries whose next attempt is due, first attempts of new ones included
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export async function retryPendingDeliveries() {
+  if (retryInProgress) {
+    console.log(`${LOG_PREFIX.WEBHOOK} Previous delivery retry run still running, skipping`);
+    return 0;
+  }
+
+  retryInProgress = true;
+  let retried = 0;
+
+  try {
+    const due = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() },
+    }).sort({ nextAttemptAt: 1 }).select('_id').limit(100);
+
+    for (const { _id } of due) {
+      const delivery = await claimDelivery(_id);
+
+      if (!delivery) {
+        continue;
+      }
+
+      const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+      if (!webhook || !webhook.active) {
+        delivery.status = 'failed';
+        delivery.lastError = 'Webhook removed or disabled';
+        await delivery.save();
+        continue;
+      }
+
+      await attemptDelivery(delivery, webhook);
+      retried++;
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX.WEBHOOK} Error retrying deliveries:`, error.message);
+  } finally {
+    retryInProgress = false;
+  }
+
+  return retried;
+}
+
+/**
+ * Delete delivery log entries older than retention period
+ * @param {number} [daysToKeep=WEBHOOK.DELIVERY_RETENTION_DAYS] - How many days to keep
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function cleanOldDeliveries(daysToKeep = WEBHOOK.DELIVERY_RETENTION_DAYS) {
+  try {
+    const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+    const result = await WebhookDelivery.deleteMany({
+      status: { $ne: 'pending' },
+      createdAt: { $lt: cutoffDate },
+    });
+
+    console.log(`${LOG_PREFIX.WEBHOOK} Deleted ${result.deletedCount} old webhook deliveries`);
+    return result.deletedCount;
+  } catch (error) {
+    console.error(`${LOG_PREFIX.WEBHOOK} Error cleaning old deliveries:`, error.message);
+    return 0;
+  }
+}
+
+export default {
+  generateWebhookSecret,
+  signPayload,
+  verifySignature,
+  validateWebhookInput,
+  attemptDelivery,
+  hasActiveWebhooks,
+  dispatchWebhookEvent,
+  sendTestDelivery,
+  retryPendingDeliveries,
+  cleanOldDeliveries,
+};
@@ -1,45 +1,112 @@
 import User from '../models/User.js';
 import {
+  getRegionSelectionKeyboard,
   getQueueSelectionKeyboard,
+  getAddressQueuesKeyboard,
+  getLocationsKeyboard,
+  getLocationKeyboard,
   getTimerSelectionKeyboard,
   getSettingsKeyboard,
   getMainMenuKeyboard,
+  getStatsPeriodKeyboard,
+  getQuietHoursKeyboard,
+  getDigestKeyboard,
+  getLanguageKeyboard,
 } from './keyboards.js';
-import { isValidQueue, formatScheduleText, getAllValidQueues } from '../utils/helpers.js';
+import { isValidQueue, formatScheduleText, formatPowerStatus, getAllValidQueues } from '../utils/helpers.js';
+import { getAllProviders, getProvider, isValidRegion } from '../providers/index.js';
+import {
+  DEFAULT_REGION,
+  DEFAULT_TIMERS,
+  AVAILABLE_TIMERS,
+  CHAT_TYPES,
+  NOTIFICATION_TYPES,
+  QUIET_ACTIONS,
+  INLINE,
+  CHANGE_FILTER,
+  CHART,
+} from '../config/constants.js';
+import { canManageChat } from './permissions.js';
+import { parseTimerInput, parseClockTime, isValidLeadTime, validateNewTimer, formatTimer, formatLeadTime } from '../utils/timers.js';
+import { getScheduleVersions, getScheduleVersion, formatVersionDiff } from '../services/historyService.js';
+import { formatDateString, formatCurrentTime, resolveTimeZone, normalizeTimeZone, getTimeZone } from '../utils/dateUtils.js';
+import { getQueueStats, formatStatsText } from '../services/statsService.js';
+import { getPowerStatus, getCachedSchedule } from '../services/scheduleService.js';
+import { buildDigestMessages } from '../services/digestService.js';
+import { startLiveStatus, stopLiveStatus } from '../services/liveStatusService.js';
+import { findQueuesByAddress, hasAddressData } from '../services/addressService.js';
+import { buildInlineResults } from '../services/inlineService.js';
+import { renderScheduleChart, sendScheduleChart } from '../services/chartService.js';
+import { parseLocationInput, validateNewLocation, getQueueLabel, formatQueueName } from '../utils/locations.js';
+import { parseChangeFilterArgs, formatChangeFilter } from '../utils/changeFilter.js';
+import { t, getTranslations, getUserLanguage, resolveLanguage, isSupportedLanguage, getSupportedLanguages } from '../utils/i18n.js';
+
+/**
+ * Check if a message is a reply to a prompt the bot sent
+ * The prompt may have been sent in any interface language
+ * @param {Object} msg - Telegram message
+ * @param {string} titleKey - Message key of the prompt title
+ * @returns {boolean} True if the message replies to the prompt
+ */
+function isReplyToPrompt(msg, titleKey) {
+  const promptText = msg.reply_to_message?.text;
+  return Boolean(msg.text && promptText && getTranslations(titleKey).some(title => promptText.startsWith(title)));
+}
 
 /**
  * Handle /start command - initialize user
  */
 export async function handleStart(bot, msg) {
   const chatId = msg.chat.id;
-  const telegramId = msg.from.id;
-  const username = msg.from.username || null;
+  const telegramId = msg.from?.id ?? null;
+  const username = msg.from?.username || msg.chat.username || null;
+  let language = getUserLanguage(null, msg.from);
 
   try {
-    console.log(`[Handlers] /start called by user ${telegramId} (${username})`);
+    console.log(`[Handlers] /start called in ${msg.chat.type} chat ${chatId} by user ${telegramId} (${username})`);
+
+    if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+      await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+      return;
+    }
+
+    // Restarting the bot keeps a language chosen earlier with /language
+    const existing = await User.findOne({ chatId });
+    language = existing?.language || resolveLanguage(msg.from?.language_code);
     
     const user = await User.findOneAndUpdate(
-      { telegramId },
-      { telegramId, username, notificationsEnabled: true },
+      { chatId },
+      {
+        chatId,
+        chatType: msg.chat.type,
+        title: msg.chat.title || null,
+        telegramId,
+        username,
+        language,
+        notificationsEnabled: true,
+      },
       { upsert: true, new: true }
     );
     
-    console.log(`[Handlers] User ${telegramId} created/updated:`, user._id);
-
-    const welcomeText = `👋 Ласкаво просимо до бота сповіщень про відключення світла!
-
-Цей бот допоможе вам отримувати сповіщення про графіки відключення електроенергії у вашому районі.
+    console.log(`[Handlers] Chat ${chatId} created/updated:`, user._id);
 
-Для початку виберіть вашу чергу(и) електроживлення:`;
+    const welcomeText = t(language, 'start.welcome');
 
-    await bot.sendMessage(chatId, welcomeText, {
-      reply_markup: getQueueSelectionKeyboard([]),
-    });
+    // Ask for region first when more than one provider is available
+    if (getAllProviders().length > 1) {
+      await bot.sendMessage(chatId, welcomeText + t(language, 'start.chooseRegion'), {
+        reply_markup: getRegionSelectionKeyboard(user.region),
+      });
+    } else {
+      await bot.sendMessage(chatId, welcomeText + t(language, 'start.chooseQueues', { button: t(language, 'queues.findButton') }), {
+        reply_markup: getQueueSelectionKeyboard([], user.region, language),
+      });
+    }
     
     console.log(`[Handlers] Welcome message sent to ${chatId}`);
   } catch (error) {
     console.error('[Handlers] Error in handleStart:', error);
-    await bot.sendMessage(chatId, '❌ Сталася помилка. Спробуйте ще раз.');
+    await bot.sendMessage(chatId, t(language, 'common.error'));
   }
 }
 
@@ -48,123 +115,1394 @@ export async function handleStart(bot, msg) {
  */
 export async function handleQueues(bot, msg) {
   const chatId = msg.chat.id;
-  const telegramId = msg.from.id;
+  let language = getUserLanguage(null, msg.from);
 
   try {
-    console.log(`[Handlers] /queues called by user ${telegramId}`);
+    console.log(`[Handlers] /queues called in chat ${chatId}`);
     
-    const user = await User.findOne({ telegramId });
+    const user = await User.findOne({ chatId });
     const selectedQueues = user?.queues || [];
+    language = getUserLanguage(user, msg.from);
     
-    console.log(`[Handlers] User ${telegramId} has ${selectedQueues.length} queues selected:`, selectedQueues);
+    console.log(`[Handlers] Chat ${chatId} has ${selectedQueues.length} queues selected:`, selectedQueues);
+
+    await bot.sendMessage(chatId, t(language, 'queues.prompt'), {
+      reply_markup: getQueueSelectionKeyboard(selectedQueues, user?.region, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleQueues:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /region command - choose schedule provider region
+ */
+export async function handleRegion(bot, msg) {
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /region called in chat ${chatId}`);
+
+    const user = await User.findOne({ chatId });
+    const region = user?.region || DEFAULT_REGION;
+    language = getUserLanguage(user, msg.from);
+
+    await bot.sendMessage(chatId, t(language, 'region.current', { name: getProvider(region)?.name || region }), {
+      parse_mode: 'HTML',
+      reply_markup: getRegionSelectionKeyboard(region),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleRegion:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Search queues by address and reply with subscribe buttons
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} input - Address typed by the user
+ * @param {string} region - Provider region key
+ * @param {string} language - Interface language
+ */
+async function replyWithAddressQueues(bot, chatId, input, region, language) {
+  if (!(await hasAddressData(region))) {
+    await bot.sendMessage(chatId, t(language, 'find.unavailable'));
+    return;
+  }
+
+  const matches = await findQueuesByAddress(input, region);
+
+  if (matches.length === 0) {
+    await bot.sendMessage(chatId, t(language, 'find.notFound', { help: t(language, 'find.formatHelp') }), {
+      parse_mode: 'HTML',
+    });
+    return;
+  }
+
+  let text = `${t(language, 'find.resultsTitle')}\n\n`;
+
+  for (const match of matches) {
+    const address = [match.settlement, match.house ? `${match.street}, ${match.house}` : match.street].filter(Boolean).join(', ');
+    const queues = match.queues.map(queue => `<b>${queue}</b>`).join(', ');
+    const queueWord = t(language, 'find.queueWord', { count: match.queues.length });
+    text += `${t(language, 'find.result', { address, queueWord, queues })}\n`;
+  }
+
+  if (matches.some(match => !match.house && match.queues.length > 1)) {
+    text += `\n${t(language, 'find.houseHint')}\n`;
+  }
+
+  const queues = [...new Set(matches.flatMap(match => match.queues))].sort();
+
+  await bot.sendMessage(chatId, text.trim(), {
+    parse_mode: 'HTML',
+    reply_markup: getAddressQueuesKeyboard(queues, language),
+  });
+}
+
+/**
+ * Ask for an address in a reply
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} language - Interface language
+ */
+async function sendAddressPrompt(bot, chatId, language) {
+  const text = t(language, 'find.prompt', { title: t(language, 'find.promptTitle'), help: t(language, 'find.formatHelp') });
+
+  await bot.sendMessage(chatId, text, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      force_reply: true,
+      input_field_placeholder: t(language, 'find.example'),
+    },
+  });
+}
+
+/**
+ * Handle /find command - look up queue by address
+ * Without an address asks for it in a reply (channels have no replies, so a hint is shown there)
+ */
+export async function handleFind(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const input = match?.[1]?.trim();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /find called in chat ${chatId}`, input || '');
+
+    const user = await User.findOne({ chatId });
+    const region = user?.region || DEFAULT_REGION;
+    language = getUserLanguage(user, msg.from);
+
+    if (input) {
+      await replyWithAddressQueues(bot, chatId, input, region, language);
+      return;
+    }
+
+    if (msg.chat.type === CHAT_TYPES.CHANNEL) {
+      await bot.sendMessage(chatId, t(language, 'find.missingAddress', { example: t(language, 'find.example') }), { parse_mode: 'HTML' });
+      return;
+    }
+
+    await sendAddressPrompt(bot, chatId, language);
+  } catch (error) {
+    console.error('[Handlers] Error in handleFind:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle reply to the address prompt
+ * Ignores messages that are not replies to the prompt
+ */
+export async function handleAddressInput(bot, msg) {
+  if (!isReplyToPrompt(msg, 'find.promptTitle')) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] Address input in chat ${chatId}:`, msg.text);
+
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+    await replyWithAddressQueues(bot, chatId, msg.text, user?.region || DEFAULT_REGION, language);
+  } catch (error) {
+    console.error('[Handlers] Error in handleAddressInput:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle subscribe button under /find results
+ */
+export async function handleFindCallback(bot, query, callbackData) {
+  const chatId = query.message.chat.id;
+  let language = getUserLanguage(null, query.from);
+
+  try {
+    const queue = callbackData.replace('find_', '');
+    const existing = await User.findOne({ chatId });
+
+    if (!existing) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.startFirst'), true);
+      return;
+    }
+
+    language = getUserLanguage(existing, query.from);
+
+    if (!isValidQueue(queue, existing.region)) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.invalidQueue'), true);
+      return;
+    }
+
+    const user = await User.findOneAndUpdate({ chatId }, { $addToSet: { queues: queue } }, { new: true });
+    console.log(`[Handlers] Chat ${chatId} subscribed to queue ${queue} via address lookup`);
+
+    await bot.editMessageText(t(language, 'find.subscribed', { queue, queues: user.queues.join(', ') }), {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: getTimerSelectionKeyboard(user.timers, user.dayBeforeTimes, language),
+    });
+
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error('[Handlers] Error in handleFindCallback:', error);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
+  }
+}
+
+/**
+ * Build text of the locations list
+ * @param {Object|null} user - User document
+ * @param {string} language - Interface language
+ * @returns {string} Message text
+ */
+function buildLocationsText(user, language) {
+  const locations = user?.locations || [];
+  let text = `${t(language, 'locations.title')}\n\n`;
+
+  if (locations.length === 0) {
+    text += t(language, 'locations.empty');
+  } else {
+    for (const location of locations) {
+      const address = location.address ? `, ${location.address}` : '';
+      const icon = location.muted ? '🔕' : '📍';
+      text += `${t(language, 'locations.item', { icon, label: location.label, queue: location.queue, address })}\n`;
+    }
+  }
+
+  return text.trim();
+}
+
+/**
+ * Build text of one location screen
+ * @param {Object} user - User document
+ * @param {Object} location - Location subdocument
+ * @param {string} language - Interface language
+ * @returns {string} Message text
+ */
+function buildLocationText(user, location, language) {
+  const timers = location.timers ?? user.timers;
+  const timersText = timers.length > 0
+    ? [...timers].sort((a, b) => a - b).map(timer => formatLeadTime(timer, language)).join(', ')
+    : t(language, 'locations.timersNone');
+
+  const lines = [
+    `📍 <b>${location.label}</b>`,
+    '',
+    t(language, 'locations.queue', { queue: location.queue }),
+  ];
+
+  if (location.address) {
+    lines.push(t(language, 'locations.address', { address: location.address }));
+  }
+
+  lines.push(
+    t(language, 'locations.timers', { timers: timersText }) + (location.timers ? '' : t(language, 'locations.timersInherited')),
+    t(language, location.muted ? 'locations.muted' : 'locations.unmuted')
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Add a named location to a chat
+ * Subscribes the chat to the location's queue if it was not subscribed yet
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} input - "<label> <queue>" or "<label>, <address>"
+ * @param {string} language - Interface language of the error
+ * @returns {Promise<Object>} { user, location, error } - error is a message for the user
+ */
+async function addChatLocation(chatId, input, language) {
+  const parsed = parseLocationInput(input);
+  if (!parsed) {
+    return { error: t(language, 'locations.parseError', { help: t(language, 'locations.formatHelp') }) };
+  }
+
+  const existing = await User.findOne({ chatId });
+  if (!existing) {
+    return { error: t(language, 'common.startFirst') };
+  }
+
+  let { queue } = parsed;
+
+  if (parsed.address) {
+    const matches = await findQueuesByAddress(parsed.address, existing.region);
+    const queues = [...new Set(matches.flatMap(match => match.queues))];
+
+    if (queues.length !== 1) {
+      return { error: t(language, 'locations.ambiguousAddress', { label: parsed.label }) };
+    }
+    queue = queues[0];
+  }
+
+  if (!isValidQueue(queue, existing.region)) {
+    return { error: t(language, 'common.invalidQueue') };
+  }
+
+  const error = validateNewLocation(existing, parsed.label, language);
+  if (error) {
+    return { error };
+  }
+
+  const user = await User.findOneAndUpdate(
+    { chatId },
+    {
+      $push: {
+        locations: {
+          label: parsed.label,
+          queue,
+          address: parsed.address || null,
+          subscribedQueue: !existing.queues.includes(queue),
+        },
+      },
+      $addToSet: { queues: queue },
+    },
+    { new: true }
+  );
+
+  return { user, location: user.locations[user.locations.length - 1] };
+}
+
+/**
+ * Send result of adding a location
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} input - User input
+ * @param {string} language - Interface language
+ */
+async function replyWithNewLocation(bot, chatId, input, language) {
+  const { user, location, error } = await addChatLocation(chatId, input, language);
+
+  if (error) {
+    await bot.sendMessage(chatId, error, { parse_mode: 'HTML' });
+    return;
+  }
+
+  console.log(`[Handlers] Chat ${chatId} added location "${location.label}" (queue ${location.queue})`);
+
+  await bot.sendMessage(chatId, `${t(language, 'locations.added')}\n\n${buildLocationText(user, location, language)}`, {
+    parse_mode: 'HTML',
+    reply_markup: getLocationKeyboard(location, user.timers, language),
+  });
+}
+
+/**
+ * Handle /locations command - list named locations or add one
+ * Supports "/locations add <label> <queue>" and "/locations add <label>, <address>"
+ */
+export async function handleLocations(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const input = match?.[1]?.trim();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /locations called in chat ${chatId}`, input || '');
+
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (input) {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
+
+      await replyWithNewLocation(bot, chatId, input, language);
+      return;
+    }
+
+    await bot.sendMessage(chatId, buildLocationsText(user, language), {
+      parse_mode: 'HTML',
+      reply_markup: getLocationsKeyboard(user?.locations, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleLocations:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle reply to the new location prompt
+ * Ignores messages that are not replies to the prompt
+ */
+export async function handleLocationInput(bot, msg) {
+  if (!isReplyToPrompt(msg, 'locations.promptTitle')) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] Location input in chat ${chatId}:`, msg.text);
+
+    language = getUserLanguage(await User.findOne({ chatId }), msg.from);
+
+    if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+      await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+      return;
+    }
+
+    await replyWithNewLocation(bot, chatId, msg.text, language);
+  } catch (error) {
+    console.error('[Handlers] Error in handleLocationInput:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle location management callbacks (list, add, mute, timers, delete)
+ */
+export async function handleLocationCallback(bot, query, callbackData) {
+  const chatId = query.message.chat.id;
+  const messageOptions = { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' };
+  let language = getUserLanguage(null, query.from);
+
+  try {
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, query.from);
+
+    if (callbackData === 'loc_list') {
+      await bot.editMessageText(buildLocationsText(user, language), {
+        ...messageOptions,
+        reply_markup: getLocationsKeyboard(user?.locations, language),
+      });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (callbackData === 'loc_add') {
+      // Channels have no replies, so locations are added there with a command
+      if (query.message.chat.type === CHAT_TYPES.CHANNEL) {
+        const command = `/locations add ${t(language, 'locations.example')}`;
+        await bot.answerCallbackQuery(query.id, t(language, 'common.postInChannel', { command }), true);
+        return;
+      }
+
+      const text = t(language, 'locations.prompt', { title: t(language, 'locations.promptTitle'), help: t(language, 'locations.formatHelp') });
+
+      await bot.sendMessage(chatId, text, {
+        parse_mode: 'HTML',
+        reply_markup: {
+          force_reply: true,
+          input_field_placeholder: t(language, 'locations.example'),
+        },
+      });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    const [, action, locationId, timerValue] = callbackData.match(/^loc_(view|mute|timer|inherit|delete)_([a-f0-9]+)(?:_(\d+))?$/) || [];
+    const location = locationId ? user?.locations.id(locationId) : null;
+
+    if (!location) {
+      await bot.answerCallbackQuery(query.id, t(language, 'locations.notFound'), true);
+      return;
+    }
+
+    if (action === 'delete') {
+      // The queue is unsubscribed only if adding this location subscribed it and no other location uses it
+      const queueStillUsed = user.locations.some(other => other.queue === location.queue && !other._id.equals(location._id));
+      const unsubscribe = location.subscribedQueue && !queueStillUsed;
+      const update = { $pull: { locations: { _id: location._id } } };
+      if (unsubscribe) {
+        update.$pull.queues = location.queue;
+      }
+
+      const updatedUser = await User.findOneAndUpdate({ chatId }, update, { new: true });
+      console.log(`[Handlers] Chat ${chatId} removed location "${location.label}"`);
+
+      await bot.editMessageText(buildLocationsText(updatedUser, language), {
+        ...messageOptions,
+        reply_markup: getLocationsKeyboard(updatedUser?.locations, language),
+      });
+      let answer = t(language, 'locations.deleted');
+      if (unsubscribe) {
+        answer = t(language, 'locations.deletedWithQueue', { queue: location.queue });
+      } else if (!queueStillUsed) {
+        answer = t(language, 'locations.deletedQueueKept', { queue: location.queue });
+      }
+
+      await bot.answerCallbackQuery(query.id, answer);
+      return;
+    }
+
+    let update = null;
+
+    if (action === 'mute') {
+      update = { 'locations.$.muted': !location.muted };
+    } else if (action === 'inherit') {
+      update = { $unset: { 'locations.$.timers': 1 } };
+    } else if (action === 'timer') {
+      const timer = parseInt(timerValue, 10);
+      const timers = [...(location.timers ?? user.timers)];
+
+      if (timers.includes(timer)) {
+        timers.splice(timers.indexOf(timer), 1);
+      } else if (isValidLeadTime(timer)) {
+        timers.push(timer);
+      }
+      update = { 'locations.$.timers': timers.sort((a, b) => a - b) };
+    }
+
+    const updatedUser = update
+      ? await User.findOneAndUpdate({ chatId, 'locations._id': location._id }, update, { new: true })
+      : user;
+    const updatedLocation = updatedUser.locations.id(location._id);
+
+    await bot.editMessageText(buildLocationText(updatedUser, updatedLocation, language), {
+      ...messageOptions,
+      reply_markup: getLocationKeyboard(updatedLocation, updatedUser.timers, language),
+    });
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error('[Handlers] Error in handleLocationCallback:', error);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
+  }
+}
+
+/**
+ * Add or remove a timer of a chat
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} timer - Parsed timer from parseTimerInput
+ * @param {boolean} [remove=false] - Remove instead of add
+ * @param {string} language - Interface language of the validation error
+ * @returns {Promise<Object>} { user, error } - updated user (null if chat is not registered) or validation error
+ */
+async function updateChatTimer(chatId, timer, remove = false, language) {
+  const field = timer.type === 'lead' ? 'timers' : 'dayBeforeTimes';
+  const value = timer.type === 'lead' ? timer.minutes : timer.time;
+
+  if (!remove) {
+    const error = validateNewTimer(await User.findOne({ chatId }), timer, language);
+    if (error) {
+      return { user: null, error };
+    }
+  }
+
+  const update = remove ? { $pull: { [field]: value } } : { $addToSet: { [field]: value } };
+  const user = await User.findOneAndUpdate({ chatId }, update, { new: true });
+
+  return { user, error: null };
+}
+
+/**
+ * Handle /timers command - manage notification timers
+ * Supports "/timers add <time>" and "/timers remove <time>" for custom lead times
+ */
+export async function handleTimers(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const action = match?.[1];
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /timers called in chat ${chatId}`, action ? `(${action} ${match[2]})` : '');
+
+    const existing = await User.findOne({ chatId });
+    language = getUserLanguage(existing, msg.from);
+
+    if (action) {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
+
+      const timer = parseTimerInput(match[2]);
+      if (!timer) {
+        await bot.sendMessage(chatId, t(language, 'timers.parseError', { help: t(language, 'timers.formatHelp') }), {
+          parse_mode: 'HTML',
+        });
+        return;
+      }
+
+      const { user, error } = await updateChatTimer(chatId, timer, action === 'remove', language);
+      if (error) {
+        await bot.sendMessage(chatId, error);
+        return;
+      }
+      if (!user) {
+        await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+        return;
+      }
+
+      const text = action === 'remove'
+        ? t(language, 'timers.removed', { timer: formatTimer(timer, language) })
+        : t(language, 'timers.added', { timer: formatTimer(timer, language) });
+
+      await bot.sendMessage(chatId, text, {
+        reply_markup: getTimerSelectionKeyboard(user.timers, user.dayBeforeTimes, language),
+      });
+      return;
+    }
+
+    const selectedTimers = existing?.timers || DEFAULT_TIMERS;
+    
+    console.log(`[Handlers] Chat ${chatId} has timers:`, selectedTimers);
+
+    const text = t(language, 'timers.intro', { button: t(language, 'timers.customButton'), help: t(language, 'timers.formatHelp') });
+
+    await bot.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      reply_markup: getTimerSelectionKeyboard(selectedTimers, existing?.dayBeforeTimes, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleTimers:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle reply to the custom timer prompt
+ * Ignores messages that are not replies to the prompt
+ */
+export async function handleTimerInput(bot, msg) {
+  if (!isReplyToPrompt(msg, 'timers.promptTitle')) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] Custom timer input in chat ${chatId}:`, msg.text);
+
+    language = getUserLanguage(await User.findOne({ chatId }), msg.from);
+
+    if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+      await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+      return;
+    }
+
+    const timer = parseTimerInput(msg.text);
+    if (!timer) {
+      await bot.sendMessage(chatId, t(language, 'timers.parseError', { help: t(language, 'timers.formatHelp') }), {
+        parse_mode: 'HTML',
+      });
+      return;
+    }
+
+    const { user, error } = await updateChatTimer(chatId, timer, false, language);
+    if (error) {
+      await bot.sendMessage(chatId, error);
+      return;
+    }
+    if (!user) {
+      await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+      return;
+    }
+
+    await bot.sendMessage(chatId, t(language, 'timers.added', { timer: formatTimer(timer, language) }), {
+      reply_markup: getTimerSelectionKeyboard(user.timers, user.dayBeforeTimes, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleTimerInput:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /status command - show current power state
+ */
+export async function handleStatus(bot, msg, scheduleCache) {
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /status called in chat ${chatId}`);
+    
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (!user || user.queues.length === 0) {
+      console.log(`[Handlers] Chat ${chatId} has no queues selected`);
+      await bot.sendMessage(
+        chatId, 
+        t(language, 'common.selectQueueFirst'),
+        {
+          reply_markup: getMainMenuKeyboard(msg.chat.type, language),
+        }
+      );
+      return;
+    }
+
+    console.log(`[Handlers] Fetching status for chat ${chatId}, queues:`, user.queues);
+
+    let statusText = `${t(language, 'status.title')}\n\n`;
+    const now = new Date();
+
+    for (const queue of user.queues) {
+      const cache = await scheduleCache.findOne({ region: user.region, queue });
+      console.log(`[Handlers] Cache for queue ${queue}:`, cache ? 'found' : 'not found');
+      
+      if (Array.isArray(cache?.rawSchedule)) {
+        const status = getPowerStatus(cache.rawSchedule, queue, now);
+        const timeZone = resolveTimeZone(user.timezone);
+        const label = getQueueLabel(user, queue);
+        statusText += `${formatScheduleText(cache.rawSchedule, queue, timeZone, label, language)}\n\n${formatPowerStatus(status, now, 1, timeZone, language)}\n\n`;
+      } else if (cache && cache.rawSchedule) {
+        statusText += formatScheduleText(cache.rawSchedule, queue, null, null, language) + '\n\n';
+      } else {
+        statusText += `⚡ ${formatQueueName(queue, getQueueLabel(user, queue), language)}: ${t(language, 'common.noDataAvailable')}\n\n`;
+      }
+    }
+
+    await bot.sendMessage(chatId, statusText.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: getMainMenuKeyboard(msg.chat.type, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleStatus:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /live command - send a pinned status message that the bot keeps up to date
+ * Usage: /live (start or re-create the message), /live off
+ */
+export async function handleLive(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const args = match?.[1]?.trim().toLowerCase();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /live called in chat ${chatId}`, args || '');
+
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+      await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+      return;
+    }
+
+    if (!user) {
+      await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+      return;
+    }
+
+    if (args === 'off') {
+      const wasEnabled = await stopLiveStatus(bot, user);
+      await bot.sendMessage(
+        chatId,
+        t(language, wasEnabled ? 'live.disabled' : 'live.notEnabled'),
+        { reply_markup: getMainMenuKeyboard(msg.chat.type, language) }
+      );
+      return;
+    }
+
+    if (!(await startLiveStatus(bot, user))) {
+      await bot.sendMessage(chatId, t(language, 'live.sendFailed'));
+    }
+  } catch (error) {
+    console.error('[Handlers] Error in handleLive:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /chart command - send the schedule as a timeline image
+ * Usage: /chart (chat's queues), /chart 3.1 4.2 (given queues),
+ * /chart on|off (attach the image to schedule change notifications)
+ */
+export async function handleChart(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const args = match?.[1]?.trim().toLowerCase();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /chart called in chat ${chatId}`, args || '');
+
+    const user = await User.findOne({ chatId });
+    const region = user?.region || DEFAULT_REGION;
+    language = getUserLanguage(user, msg.from);
+
+    if (args === 'on' || args === 'off') {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
+
+      if (!user) {
+        await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+        return;
+      }
+
+      await User.updateOne({ chatId }, { scheduleChart: args === 'on' });
+      await bot.sendMessage(chatId, t(language, args === 'on' ? 'chart.enabled' : 'chart.disabled'));
+      return;
+    }
+
+    const queues = args ? [...new Set(args.split(/[\s,]+/).filter(Boolean))] : user?.queues || [];
+
+    if (queues.length === 0) {
+      await bot.sendMessage(chatId, t(language, 'common.selectQueueFirst'), {
+        reply_markup: getMainMenuKeyboard(msg.chat.type, language),
+      });
+      return;
+    }
+
+    const invalidQueue = queues.find(queue => !isValidQueue(queue, region));
+    if (invalidQueue) {
+      await bot.sendMessage(chatId, t(language, 'chart.invalidQueue', { queue: invalidQueue }), { parse_mode: 'HTML' });
+      return;
+    }
+
+    const entries = [];
+    for (const queue of queues.slice(0, CHART.MAX_QUEUES)) {
+      entries.push({ queue, schedule: await getCachedSchedule(queue, region) });
+    }
+
+    const timeZone = resolveTimeZone(user?.timezone);
+    const png = renderScheduleChart(entries, { timeZone });
+
+    if (!png) {
+      await bot.sendMessage(chatId, t(language, 'chart.noSchedule'));
+      return;
+    }
+
+    if (!(await sendScheduleChart(bot, chatId, png, entries.map(entry => entry.queue), { timeZone, language }))) {
+      await bot.sendMessage(chatId, t(language, 'chart.sendFailed'));
+    }
+  } catch (error) {
+    console.error('[Handlers] Error in handleChart:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /history command - list schedule versions and show diff between two of them
+ * Usage: /history <queue> [from] [to], where versions are numbered from newest (1)
+ */
+export async function handleHistory(bot, msg, match) {
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /history called in chat ${chatId}`);
+
+    const user = await User.findOne({ chatId });
+    const region = user?.region || DEFAULT_REGION;
+    const queue = match?.[1] || user?.queues?.[0];
+    language = getUserLanguage(user, msg.from);
+
+    if (!queue || !isValidQueue(queue, region)) {
+      await bot.sendMessage(chatId, t(language, 'history.missingQueue'), {
+        parse_mode: 'HTML',
+      });
+      return;
+    }
+
+    const versions = await getScheduleVersions(queue, region);
+
+    if (versions.length === 0) {
+      await bot.sendMessage(chatId, t(language, 'history.empty', { queue }));
+      return;
+    }
+
+    let text = `${t(language, 'history.title', { queue })}\n━━━━━━━━━━━━━━━━\n\n`;
+
+    versions.forEach((version, index) => {
+      const fetchedAt = `${formatDateString(version.fetchedAt)} ${formatCurrentTime(version.fetchedAt)}`;
+      text += `${index + 1}. <code>${fetchedAt}</code> · #${version.hash.substring(0, 8)}\n`;
+    });
+
+    // Default to comparing the two latest versions
+    const fromIndex = (match?.[2] ? parseInt(match[2]) : 2) - 1;
+    const toIndex = (match?.[3] ? parseInt(match[3]) : 1) - 1;
+    const fromMeta = versions[fromIndex];
+    const toMeta = versions[toIndex];
+
+    if (fromMeta && toMeta && fromIndex !== toIndex) {
+      const [fromVersion, toVersion] = await Promise.all([
+        getScheduleVersion(fromMeta._id, queue, region),
+        getScheduleVersion(toMeta._id, queue, region),
+      ]);
+
+      if (fromVersion && toVersion) {
+        text += `\n${t(language, 'history.changes', { from: fromIndex + 1, to: toIndex + 1 })}\n\n`;
+        text += formatVersionDiff(fromVersion, toVersion, queue, language);
+      }
+    } else if (match?.[2]) {
+      text += `\n${t(language, 'history.invalidVersions')}`;
+    }
+
+    text += `\n\n${t(language, 'history.hint', { queue })}`;
+
+    await bot.sendMessage(chatId, text.trim(), { parse_mode: 'HTML' });
+  } catch (error) {
+    console.error('[Handlers] Error in handleHistory:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Build stats text for user's queues
+ * @param {Object} user - User document
+ * @param {number} days - Period length in days
+ * @param {string} language - Interface language
+ * @returns {Promise<string>} Formatted stats text
+ */
+async function buildStatsText(user, days, language) {
+  const summaries = await Promise.all(
+    user.queues.map(queue => getQueueStats(queue, user.region, days))
+  );
+  return formatStatsText(summaries, days, language);
+}
+
+/**
+ * Handle /stats command - show outage statistics for user's queues
+ * Usage: /stats [7|30]
+ */
+export async function handleStats(bot, msg, match) {
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /stats called in chat ${chatId}`);
+
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (!user || user.queues.length === 0) {
+      await bot.sendMessage(chatId, t(language, 'common.selectQueueFirst'));
+      return;
+    }
+
+    const days = match?.[1] === '30' ? 30 : 7;
+    const text = await buildStatsText(user, days, language);
+
+    await bot.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      reply_markup: getStatsPeriodKeyboard(days, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleStats:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle stats period callback
+ */
+export async function handleStatsCallback(bot, query, callbackData) {
+  const chatId = query.message.chat.id;
+  let language = getUserLanguage(null, query.from);
+
+  try {
+    const days = callbackData === 'stats_30' ? 30 : 7;
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, query.from);
+
+    if (!user || user.queues.length === 0) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.selectQueueFirstShort'), true);
+      return;
+    }
+
+    const text = await buildStatsText(user, days, language);
+
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: 'HTML',
+      reply_markup: getStatsPeriodKeyboard(days, language),
+    });
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error('[Handlers] Error in handleStatsCallback:', error);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
+  }
+}
+
+/**
+ * Build iCalendar subscription URL for a queue
+ * @param {string} baseUrl - Public base URL of the API server
+ * @param {string} queue - Queue ID
+ * @param {string} region - Provider region key
+ * @returns {string} Feed URL
+ */
+function buildCalendarUrl(baseUrl, queue, region) {
+  const query = region && region !== DEFAULT_REGION ? `?region=${encodeURIComponent(region)}` : '';
+  return `${baseUrl.replace(/\/+$/, '')}/ical/${encodeURIComponent(queue)}.ics${query}`;
+}
+
+/**
+ * Handle /calendar command - send iCalendar subscription URLs for user's queues
+ */
+export async function handleCalendar(bot, msg) {
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /calendar called in chat ${chatId}`);
+
+    const baseUrl = process.env.API_PUBLIC_URL;
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (!baseUrl) {
+      await bot.sendMessage(chatId, t(language, 'calendar.unavailable'));
+      return;
+    }
+
+    if (!user || user.queues.length === 0) {
+      await bot.sendMessage(chatId, t(language, 'common.selectQueueFirst'));
+      return;
+    }
+
+    let text = `${t(language, 'calendar.title')}\n━━━━━━━━━━━━━━━━\n\n`;
+    text += `${t(language, 'calendar.instructions')}\n\n`;
+
+    for (const queue of user.queues) {
+      const url = buildCalendarUrl(baseUrl, queue, user.region);
+      text += `${t(language, 'calendar.queue', { queue })}\n<code>${url}</code>\n\n`;
+    }
+
+    text += t(language, 'calendar.footer');
+
+    await bot.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleCalendar:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /settings command - show settings menu
+ */
+export async function handleSettings(bot, msg) {
+  const chatId = msg.chat.id;
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /settings called in chat ${chatId}`);
+    
+    const user = await User.findOne({ chatId });
+    const notificationsEnabled = user?.notificationsEnabled ?? true;
+    language = getUserLanguage(user, msg.from);
+
+    await bot.sendMessage(chatId, t(language, 'settings.title'), {
+      reply_markup: getSettingsKeyboard(notificationsEnabled, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleSettings:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /quiet command - manage quiet hours
+ * Supports "/quiet HH:MM HH:MM" to set the range and "/quiet off" to disable
+ */
+export async function handleQuiet(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const args = match?.[1]?.trim();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /quiet called in chat ${chatId}`, args || '');
+
+    let user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (args) {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
+
+      if (args === 'off') {
+        user = await User.findOneAndUpdate({ chatId }, { 'quietHours.enabled': false }, { new: true });
+      } else {
+        const [from, to] = args.split(/\s+/).map(parseClockTime);
+
+        if (!from || !to || from === to) {
+          await bot.sendMessage(chatId, t(language, 'quiet.invalidRange'));
+          return;
+        }
+
+        user = await User.findOneAndUpdate(
+          { chatId },
+          { 'quietHours.enabled': true, 'quietHours.from': from, 'quietHours.to': to },
+          { new: true }
+        );
+      }
+
+      if (!user) {
+        await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+        return;
+      }
+    }
+
+    await bot.sendMessage(chatId, t(language, 'quiet.text'), {
+      parse_mode: 'HTML',
+      reply_markup: getQuietHoursKeyboard(user?.quietHours, language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleQuiet:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Build /timezone reply for the chat's current display timezone
+ * @param {string|null} timeZone - Stored chat timezone (null = schedule timezone)
+ * @param {string} language - Interface language
+ * @returns {string} Message text
+ */
+function buildTimezoneText(timeZone, language) {
+  const scheduleTimeZone = getTimeZone();
+  const current = timeZone || scheduleTimeZone;
+
+  return t(language, 'timezone.text', {
+    current,
+    scheduleHint: timeZone ? '' : t(language, 'timezone.scheduleHint'),
+    now: formatCurrentTime(new Date(), current),
+    scheduleTimeZone,
+  });
+}
+
+/**
+ * Handle /timezone command - show or set display timezone of the chat
+ * Supports "/timezone Area/City" to set an IANA timezone and "/timezone off" to reset
+ */
+export async function handleTimezone(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const args = match?.[1]?.trim();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /timezone called in chat ${chatId}`, args || '');
+
+    let user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (args) {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
+
+      let timeZone = null;
+
+      if (args.toLowerCase() !== 'off') {
+        timeZone = normalizeTimeZone(args);
+
+        if (!timeZone) {
+          await bot.sendMessage(chatId, t(language, 'timezone.invalid'), {
+            parse_mode: 'HTML',
+          });
+          return;
+        }
+
+        // Storing the schedule timezone explicitly would only hide the "(пояс графіків)" hint
+        if (timeZone === getTimeZone()) {
+          timeZone = null;
+        }
+      }
+
+      user = await User.findOneAndUpdate({ chatId }, { timezone: timeZone }, { new: true });
+
+      if (!user) {
+        await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+        return;
+      }
+    }
+
+    await bot.sendMessage(chatId, buildTimezoneText(normalizeTimeZone(user?.timezone), language), { parse_mode: 'HTML' });
+  } catch (error) {
+    console.error('[Handlers] Error in handleTimezone:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle /filter command - show or change which schedule changes the chat is notified about
+ * Usage: /filter, /filter today|increase on|off, /filter hours|min <N>|off, /filter off
+ */
+export async function handleFilter(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const args = match?.[1]?.trim();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /filter called in chat ${chatId}`, args || '');
+
+    let user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (args) {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
+
+      const update = parseChangeFilterArgs(args);
+
+      if (!update) {
+        await bot.sendMessage(
+          chatId,
+          `${t(language, 'changeFilter.invalid', { maxHours: CHANGE_FILTER.MAX_HOURS, maxMinutes: CHANGE_FILTER.MAX_MINUTES })}\n\n${t(language, 'changeFilter.usage')}`,
+          { parse_mode: 'HTML' }
+        );
+        return;
+      }
+
+      user = await User.findOneAndUpdate({ chatId }, update, { new: true });
 
-    const text = '📍 Виберіть вашу чергу(и) електроживлення:\n\n(Ви можете вибрати кілька черг)';
+      if (!user) {
+        await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+        return;
+      }
+    }
 
-    await bot.sendMessage(chatId, text, {
-      reply_markup: getQueueSelectionKeyboard(selectedQueues),
-    });
+    await bot.sendMessage(
+      chatId,
+      `${t(language, 'changeFilter.title')}\n\n${formatChangeFilter(user?.changeFilter, language)}\n\n${t(language, 'changeFilter.usage')}`,
+      { parse_mode: 'HTML' }
+    );
   } catch (error) {
-    console.error('[Handlers] Error in handleQueues:', error);
-    await bot.sendMessage(chatId, '❌ Сталася помилка. Спробуйте ще раз.');
+    console.error('[Handlers] Error in handleFilter:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
   }
 }
 
 /**
- * Handle /timers command - manage notification timers
+ * Handle quiet hours settings callback
  */
-export async function handleTimers(bot, msg) {
-  const chatId = msg.chat.id;
-  const telegramId = msg.from.id;
+export async function handleQuietHoursCallback(bot, query, callbackData) {
+  const chatId = query.message.chat.id;
+  let language = getUserLanguage(null, query.from);
 
   try {
-    console.log(`[Handlers] /timers called by user ${telegramId}`);
-    
-    const user = await User.findOne({ telegramId });
-    const selectedTimers = user?.timers || [5, 10, 15, 30];
-    
-    console.log(`[Handlers] User ${telegramId} has timers:`, selectedTimers);
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, query.from);
 
-    const text = '⏰ Виберіть таймери сповіщень:\n\n(Отримуйте сповіщення за X хвилин до відключення)';
+    if (!user) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.startFirst'), true);
+      return;
+    }
 
-    await bot.sendMessage(chatId, text, {
-      reply_markup: getTimerSelectionKeyboard(selectedTimers),
+    if (callbackData === 'quiet_toggle') {
+      user.quietHours.enabled = !user.quietHours.enabled;
+    } else if (callbackData.startsWith('quiet_range_')) {
+      const [from, to] = callbackData.replace('quiet_range_', '').split('_').map(parseClockTime);
+
+      if (!from || !to) {
+        await bot.answerCallbackQuery(query.id, t(language, 'common.unknownCommand'));
+        return;
+      }
+
+      user.quietHours.from = from;
+      user.quietHours.to = to;
+      user.quietHours.enabled = true;
+    } else if (callbackData.startsWith('quiet_action_')) {
+      const type = callbackData.replace('quiet_action_', '');
+
+      if (!Object.values(NOTIFICATION_TYPES).includes(type)) {
+        await bot.answerCallbackQuery(query.id, t(language, 'common.unknownCommand'));
+        return;
+      }
+
+      // Cycle silent -> defer -> drop -> silent
+      const actions = Object.values(QUIET_ACTIONS);
+      const current = user.quietHours.actions?.[type] || QUIET_ACTIONS.SILENT;
+      user.quietHours.actions[type] = actions[(actions.indexOf(current) + 1) % actions.length];
+    }
+
+    console.log(`[Handlers] Quiet hours for chat ${chatId}:`, user.quietHours.toObject());
+    await user.save();
+
+    await bot.editMessageReplyMarkup(getQuietHoursKeyboard(user.quietHours, language), {
+      chat_id: chatId,
+      message_id: query.message.message_id,
     });
+
+    await bot.answerCallbackQuery(query.id);
   } catch (error) {
-    console.error('[Handlers] Error in handleTimers:', error);
-    await bot.sendMessage(chatId, '❌ Сталася помилка. Спробуйте ще раз.');
+    console.error('[Handlers] Error in handleQuietHoursCallback:', error);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
   }
 }
 
 /**
- * Handle /status command - show current power state
+ * Handle /digest command - manage daily digest
+ * Supports "/digest HH:MM", "/digest off" and "/digest now"
  */
-export async function handleStatus(bot, msg, scheduleCache) {
+export async function handleDigest(bot, msg, match) {
   const chatId = msg.chat.id;
-  const telegramId = msg.from.id;
+  const args = match?.[1]?.trim();
+  let language = getUserLanguage(null, msg.from);
 
   try {
-    console.log(`[Handlers] /status called by user ${telegramId}`);
-    
-    const user = await User.findOne({ telegramId });
+    console.log(`[Handlers] /digest called in chat ${chatId}`, args || '');
 
-    if (!user || user.queues.length === 0) {
-      console.log(`[Handlers] User ${telegramId} has no queues selected`);
-      await bot.sendMessage(
-        chatId, 
-        '❌ Спочатку виберіть вашу чергу за допомогою /queues',
-        {
-          reply_markup: getMainMenuKeyboard(),
-        }
-      );
+    let user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (args === 'now') {
+      if (!user) {
+        await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+        return;
+      }
+
+      for (const message of await buildDigestMessages(user)) {
+        await bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+      }
       return;
     }
 
-    console.log(`[Handlers] Fetching status for user ${telegramId}, queues:`, user.queues);
-
-    let statusText = '📊 Поточний статус електроживлення:\n\n';
+    if (args) {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
 
-    for (const queue of user.queues) {
-      const cache = await scheduleCache.findOne({ queue });
-      console.log(`[Handlers] Cache for queue ${queue}:`, cache ? 'found' : 'not found');
-      
-      if (cache && cache.rawSchedule) {
-        statusText += formatScheduleText(cache.rawSchedule, queue) + '\n\n';
+      if (args === 'off') {
+        user = await User.findOneAndUpdate({ chatId }, { 'digest.enabled': false }, { new: true });
       } else {
-        statusText += `⚡ Черга ${queue}: Немає доступних даних\n\n`;
+        const time = parseClockTime(args);
+
+        if (!time) {
+          await bot.sendMessage(chatId, t(language, 'digest.invalidTime'));
+          return;
+        }
+
+        user = await User.findOneAndUpdate(
+          { chatId },
+          { 'digest.enabled': true, 'digest.time': time },
+          { new: true }
+        );
+      }
+
+      if (!user) {
+        await bot.sendMessage(chatId, t(language, 'common.startFirst'));
+        return;
       }
     }
 
-    await bot.sendMessage(chatId, statusText.trim(), {
+    await bot.sendMessage(chatId, t(language, 'digest.text'), {
       parse_mode: 'HTML',
-      reply_markup: getMainMenuKeyboard(),
+      reply_markup: getDigestKeyboard(user?.digest, language),
     });
   } catch (error) {
-    console.error('[Handlers] Error in handleStatus:', error);
-    await bot.sendMessage(chatId, '❌ Сталася помилка. Спробуйте ще раз.');
+    console.error('[Handlers] Error in handleDigest:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
   }
 }
 
 /**
- * Handle /settings command - show settings menu
+ * Handle daily digest settings callback
  */
-export async function handleSettings(bot, msg) {
-  const chatId = msg.chat.id;
-  const telegramId = msg.from.id;
+export async function handleDigestCallback(bot, query, callbackData) {
+  const chatId = query.message.chat.id;
+  let language = getUserLanguage(null, query.from);
 
   try {
-    console.log(`[Handlers] /settings called by user ${telegramId}`);
-    
-    const user = await User.findOne({ telegramId });
-    const notificationsEnabled = user?.notificationsEnabled ?? true;
-    
-    const text = '⚙️ Налаштування бота:';
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, query.from);
 
-    await bot.sendMessage(chatId, text, {
-      reply_markup: getSettingsKeyboard(notificationsEnabled),
+    if (!user) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.startFirst'), true);
+      return;
+    }
+
+    if (callbackData === 'digest_toggle') {
+      user.digest.enabled = !user.digest.enabled;
+    } else if (callbackData.startsWith('digest_time_')) {
+      const time = parseClockTime(callbackData.replace('digest_time_', ''));
+
+      if (!time) {
+        await bot.answerCallbackQuery(query.id, t(language, 'common.unknownCommand'));
+        return;
+      }
+
+      user.digest.time = time;
+      user.digest.enabled = true;
+    }
+
+    console.log(`[Handlers] Digest for chat ${chatId}: ${user.digest.enabled ? user.digest.time : 'off'}`);
+    await user.save();
+
+    await bot.editMessageReplyMarkup(getDigestKeyboard(user.digest, language), {
+      chat_id: chatId,
+      message_id: query.message.message_id,
     });
+
+    await bot.answerCallbackQuery(query.id);
   } catch (error) {
-    console.error('[Handlers] Error in handleSettings:', error);
-    await bot.sendMessage(chatId, '❌ Сталася помилка. Спробуйте ще раз.');
+    console.error('[Handlers] Error in handleDigestCallback:', error);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
   }
 }
 
@@ -173,36 +1511,40 @@ export async function handleSettings(bot, msg) {
  */
 export async function handleQueueCallback(bot, query, callbackData) {
   const chatId = query.message.chat.id;
-  const telegramId = query.from.id;
+  let language = getUserLanguage(null, query.from);
 
   try {
+    const user = await User.findOne({ chatId });
+    const region = user?.region || DEFAULT_REGION;
+    language = getUserLanguage(user, query.from);
+
     if (callbackData === 'queue_select_all') {
-      const allQueues = getAllValidQueues();
-      await User.findOneAndUpdate({ telegramId }, { queues: allQueues });
+      const allQueues = getAllValidQueues(region);
+      await User.findOneAndUpdate({ chatId }, { queues: allQueues });
       
-      await bot.editMessageReplyMarkup(getQueueSelectionKeyboard(allQueues), {
+      await bot.editMessageReplyMarkup(getQueueSelectionKeyboard(allQueues, region, language), {
         chat_id: chatId,
         message_id: query.message.message_id,
       });
       
-      await bot.answerCallbackQuery(query.id, '✅ Всі черги вибрані');
+      await bot.answerCallbackQuery(query.id, t(language, 'queues.allSelected'));
       return;
     }
 
     if (callbackData === 'queue_clear_all') {
-      await User.findOneAndUpdate({ telegramId }, { queues: [] });
+      await User.findOneAndUpdate({ chatId }, { queues: [], locations: [] });
       
-      await bot.editMessageReplyMarkup(getQueueSelectionKeyboard([]), {
+      await bot.editMessageReplyMarkup(getQueueSelectionKeyboard([], region, language), {
         chat_id: chatId,
         message_id: query.message.message_id,
       });
       
-      await bot.answerCallbackQuery(query.id, '❌ Всі черги скасовані');
+      await bot.answerCallbackQuery(query.id, t(language, 'queues.allCleared'));
       return;
     }
 
     if (callbackData === 'queue_cancel') {
-      await bot.editMessageText('❌ Вибір черг скасовано', {
+      await bot.editMessageText(t(language, 'queues.cancelled'), {
         chat_id: chatId,
         message_id: query.message.message_id,
       });
@@ -211,19 +1553,31 @@ export async function handleQueueCallback(bot, query, callbackData) {
       return;
     }
 
+    if (callbackData === 'queue_find') {
+      // Channels have no replies, so the address is given with a command there
+      if (query.message.chat.type === CHAT_TYPES.CHANNEL) {
+        const command = `/find ${t(language, 'find.example')}`;
+        await bot.answerCallbackQuery(query.id, t(language, 'common.postInChannel', { command }), true);
+        return;
+      }
+
+      await sendAddressPrompt(bot, chatId, language);
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
     if (callbackData === 'queue_done') {
-      const user = await User.findOne({ telegramId });
-      console.log(`[Handlers] Queue selection done for user ${telegramId}, selected:`, user?.queues);
+      console.log(`[Handlers] Queue selection done for chat ${chatId}, selected:`, user?.queues);
       
       if (!user || user.queues.length === 0) {
-        await bot.answerCallbackQuery(query.id, '❌ Виберіть принаймні одну чергу', true);
+        await bot.answerCallbackQuery(query.id, t(language, 'queues.selectAtLeastOne'), true);
         return;
       }
 
-      await bot.editMessageText('✅ Черги збережені! Тепер виберіть таймери сповіщень:', {
+      await bot.editMessageText(t(language, 'queues.saved'), {
         chat_id: chatId,
         message_id: query.message.message_id,
-        reply_markup: getTimerSelectionKeyboard(user.timers),
+        reply_markup: getTimerSelectionKeyboard(user.timers, user.dayBeforeTimes, language),
       });
       
       await bot.answerCallbackQuery(query.id);
@@ -231,14 +1585,13 @@ export async function handleQueueCallback(bot, query, callbackData) {
     }
 
     const queue = callbackData.replace('queue_', '');
-    console.log(`[Handlers] Queue callback for user ${telegramId}, queue:`, queue);
+    console.log(`[Handlers] Queue callback for chat ${chatId}, queue:`, queue);
 
-    if (!isValidQueue(queue)) {
-      await bot.answerCallbackQuery(query.id, '❌ Невірна черга', true);
+    if (!isValidQueue(queue, region)) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.invalidQueue'), true);
       return;
     }
 
-    const user = await User.findOne({ telegramId });
     const selectedQueues = user?.queues || [];
     const isSelected = selectedQueues.includes(queue);
 
@@ -250,9 +1603,11 @@ export async function handleQueueCallback(bot, query, callbackData) {
       console.log(`[Handlers] Added queue ${queue}`);
     }
 
-    await User.findOneAndUpdate({ telegramId }, { queues: selectedQueues });
+    // Locations of an unsubscribed queue would never be notified, so they go with it
+    const update = isSelected ? { queues: selectedQueues, $pull: { locations: { queue } } } : { queues: selectedQueues };
+    await User.findOneAndUpdate({ chatId }, update);
 
-    await bot.editMessageReplyMarkup(getQueueSelectionKeyboard(selectedQueues), {
+    await bot.editMessageReplyMarkup(getQueueSelectionKeyboard(selectedQueues, region, language), {
       chat_id: chatId,
       message_id: query.message.message_id,
     });
@@ -260,7 +1615,7 @@ export async function handleQueueCallback(bot, query, callbackData) {
     await bot.answerCallbackQuery(query.id);
   } catch (error) {
     console.error('[Handlers] Error in handleQueueCallback:', error);
-    await bot.answerCallbackQuery(query.id, '❌ Сталася помилка', true);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
   }
 }
 
@@ -269,36 +1624,73 @@ export async function handleQueueCallback(bot, query, callbackData) {
  */
 export async function handleTimerCallback(bot, query, callbackData) {
   const chatId = query.message.chat.id;
-  const telegramId = query.from.id;
+  let language = getUserLanguage(null, query.from);
 
   try {
+    const existing = await User.findOne({ chatId });
+    language = getUserLanguage(existing, query.from);
+
     if (callbackData === 'timer_select_all') {
-      const allTimers = [5, 10, 15, 30];
-      await User.findOneAndUpdate({ telegramId }, { timers: allTimers });
+      const allTimers = [...AVAILABLE_TIMERS];
+      const user = await User.findOneAndUpdate({ chatId }, { timers: allTimers }, { new: true });
       
-      await bot.editMessageReplyMarkup(getTimerSelectionKeyboard(allTimers), {
+      await bot.editMessageReplyMarkup(getTimerSelectionKeyboard(allTimers, user?.dayBeforeTimes, language), {
         chat_id: chatId,
         message_id: query.message.message_id,
       });
       
-      await bot.answerCallbackQuery(query.id, '✅ Всі таймери вибрані');
+      await bot.answerCallbackQuery(query.id, t(language, 'timers.allSelected'));
       return;
     }
 
     if (callbackData === 'timer_clear_all') {
-      await User.findOneAndUpdate({ telegramId }, { timers: [] });
+      await User.findOneAndUpdate({ chatId }, { timers: [], dayBeforeTimes: [] });
       
-      await bot.editMessageReplyMarkup(getTimerSelectionKeyboard([]), {
+      await bot.editMessageReplyMarkup(getTimerSelectionKeyboard([], [], language), {
         chat_id: chatId,
         message_id: query.message.message_id,
       });
       
-      await bot.answerCallbackQuery(query.id, '❌ Всі таймери очищені');
+      await bot.answerCallbackQuery(query.id, t(language, 'timers.allCleared'));
+      return;
+    }
+
+    if (callbackData === 'timer_custom') {
+      // Channels have no replies, so custom timers are added there with a command
+      if (query.message.chat.type === CHAT_TYPES.CHANNEL) {
+        await bot.answerCallbackQuery(query.id, t(language, 'common.postInChannel', { command: '/timers add 45' }), true);
+        return;
+      }
+
+      const text = t(language, 'timers.prompt', { title: t(language, 'timers.promptTitle'), help: t(language, 'timers.formatHelp') });
+
+      await bot.sendMessage(chatId, text, {
+        parse_mode: 'HTML',
+        reply_markup: {
+          force_reply: true,
+          input_field_placeholder: t(language, 'timers.placeholder'),
+        },
+      });
+
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (callbackData.startsWith('timer_daybefore_')) {
+      const time = callbackData.replace('timer_daybefore_', '');
+      const user = await User.findOneAndUpdate({ chatId }, { $pull: { dayBeforeTimes: time } }, { new: true });
+
+      await bot.editMessageReplyMarkup(getTimerSelectionKeyboard(user?.timers || [], user?.dayBeforeTimes, language), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+      });
+
+      await bot.answerCallbackQuery(query.id, t(language, 'timers.dayBeforeRemoved', { time }));
       return;
     }
 
     if (callbackData === 'timer_cancel') {
-      await bot.editMessageText('❌ Вибір таймерів скасовано', {
+      await bot.editMessageText(t(language, 'timers.cancelled'), {
         chat_id: chatId,
         message_id: query.message.message_id,
       });
@@ -308,16 +1700,15 @@ export async function handleTimerCallback(bot, query, callbackData) {
     }
 
     if (callbackData === 'timer_done') {
-      const user = await User.findOne({ telegramId });
-      console.log(`[Handlers] Timer selection done for user ${telegramId}, selected:`, user?.timers);
+      console.log(`[Handlers] Timer selection done for chat ${chatId}, selected:`, existing?.timers);
       
-      if (!user || user.timers.length === 0) {
-        await bot.answerCallbackQuery(query.id, '❌ Виберіть принаймні один таймер', true);
+      if (!existing || (existing.timers.length === 0 && existing.dayBeforeTimes.length === 0)) {
+        await bot.answerCallbackQuery(query.id, t(language, 'timers.selectAtLeastOne'), true);
         return;
       }
 
       await bot.editMessageText(
-        '✅ Налаштування збережені!\n\nВикористовуйте команди нижче:',
+        t(language, 'timers.saved'),
         {
           chat_id: chatId,
           message_id: query.message.message_id,
@@ -326,9 +1717,9 @@ export async function handleTimerCallback(bot, query, callbackData) {
 
       await bot.sendMessage(
         chatId,
-        '📱 Оберіть команду:',
+        t(language, 'common.chooseCommand'),
         {
-          reply_markup: getMainMenuKeyboard(),
+          reply_markup: getMainMenuKeyboard(query.message.chat.type, language),
         }
       );
       
@@ -337,17 +1728,24 @@ export async function handleTimerCallback(bot, query, callbackData) {
     }
 
     const timer = parseInt(callbackData.replace('timer_', ''));
-    console.log(`[Handlers] Timer callback for user ${telegramId}, timer:`, timer);
+    console.log(`[Handlers] Timer callback for chat ${chatId}, timer:`, timer);
 
-    if (isNaN(timer) || ![5, 10, 15, 30].includes(timer)) {
-      await bot.answerCallbackQuery(query.id, '❌ Невірний таймер', true);
+    if (!isValidLeadTime(timer)) {
+      await bot.answerCallbackQuery(query.id, t(language, 'timers.invalid'), true);
       return;
     }
 
-    const user = await User.findOne({ telegramId });
-    const selectedTimers = user?.timers || [];
+    const selectedTimers = existing?.timers || [];
     const isSelected = selectedTimers.includes(timer);
 
+    if (!isSelected) {
+      const error = validateNewTimer(existing, { type: 'lead', minutes: timer }, language);
+      if (error) {
+        await bot.answerCallbackQuery(query.id, error, true);
+        return;
+      }
+    }
+
     if (isSelected) {
       selectedTimers.splice(selectedTimers.indexOf(timer), 1);
       console.log(`[Handlers] Removed timer ${timer}хв`);
@@ -356,9 +1754,9 @@ export async function handleTimerCallback(bot, query, callbackData) {
       console.log(`[Handlers] Added timer ${timer}хв`);
     }
 
-    await User.findOneAndUpdate({ telegramId }, { timers: selectedTimers });
+    await User.findOneAndUpdate({ chatId }, { timers: selectedTimers });
 
-    await bot.editMessageReplyMarkup(getTimerSelectionKeyboard(selectedTimers), {
+    await bot.editMessageReplyMarkup(getTimerSelectionKeyboard(selectedTimers, existing?.dayBeforeTimes, language), {
       chat_id: chatId,
       message_id: query.message.message_id,
     });
@@ -366,7 +1764,7 @@ export async function handleTimerCallback(bot, query, callbackData) {
     await bot.answerCallbackQuery(query.id);
   } catch (error) {
     console.error('[Handlers] Error in handleTimerCallback:', error);
-    await bot.answerCallbackQuery(query.id, '❌ Сталася помилка', true);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
   }
 }
 
@@ -375,67 +1773,121 @@ export async function handleTimerCallback(bot, query, callbackData) {
  */
 export async function handleSettingsCallback(bot, query, callbackData) {
   const chatId = query.message.chat.id;
-  const telegramId = query.from.id;
+  let language = getUserLanguage(null, query.from);
 
   try {
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, query.from);
+
     if (callbackData === 'settings_enable_notifications') {
-      console.log(`[Handlers] Enabling notifications for user ${telegramId}`);
-      await User.findOneAndUpdate({ telegramId }, { notificationsEnabled: true });
-      await bot.editMessageText('🔔 Сповіщення увімкнені!', {
+      console.log(`[Handlers] Enabling notifications for chat ${chatId}`);
+      await User.findOneAndUpdate({ chatId }, { notificationsEnabled: true });
+      await bot.editMessageText(t(language, 'settings.notificationsEnabled'), {
         chat_id: chatId,
         message_id: query.message.message_id,
-        reply_markup: getSettingsKeyboard(true),
+        reply_markup: getSettingsKeyboard(true, language),
       });
-      await bot.answerCallbackQuery(query.id, '✅ Сповіщення увімкнені');
+      await bot.answerCallbackQuery(query.id, t(language, 'settings.notificationsEnabledAlert'));
       return;
     }
 
     if (callbackData === 'settings_disable_notifications') {
-      console.log(`[Handlers] Disabling notifications for user ${telegramId}`);
-      await User.findOneAndUpdate({ telegramId }, { notificationsEnabled: false });
-      await bot.editMessageText('🔕 Сповіщення вимкнені!', {
+      console.log(`[Handlers] Disabling notifications for chat ${chatId}`);
+      await User.findOneAndUpdate({ chatId }, { notificationsEnabled: false });
+      await bot.editMessageText(t(language, 'settings.notificationsDisabled'), {
         chat_id: chatId,
         message_id: query.message.message_id,
-        reply_markup: getSettingsKeyboard(false),
+        reply_markup: getSettingsKeyboard(false, language),
       });
-      await bot.answerCallbackQuery(query.id, '✅ Сповіщення вимкнені');
+      await bot.answerCallbackQuery(query.id, t(language, 'settings.notificationsDisabledAlert'));
       return;
     }
 
     if (callbackData === 'settings_queues') {
-      const user = await User.findOne({ telegramId });
       const selectedQueues = user?.queues || [];
       
-      await bot.editMessageText('📍 Виберіть вашу чергу(и) електроживлення:', {
+      await bot.editMessageText(t(language, 'queues.choose'), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: getQueueSelectionKeyboard(selectedQueues, user?.region, language),
+      });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (callbackData === 'settings_region') {
+      await bot.editMessageText(t(language, 'region.choose'), {
         chat_id: chatId,
         message_id: query.message.message_id,
-        reply_markup: getQueueSelectionKeyboard(selectedQueues),
+        reply_markup: getRegionSelectionKeyboard(user?.region),
       });
       await bot.answerCallbackQuery(query.id);
       return;
     }
 
     if (callbackData === 'settings_timers') {
-      const user = await User.findOne({ telegramId });
-      const selectedTimers = user?.timers || [5, 10, 15, 30];
+      const selectedTimers = user?.timers || DEFAULT_TIMERS;
       
-      await bot.editMessageText('⏰ Виберіть таймери сповіщень:', {
+      await bot.editMessageText(t(language, 'timers.choose'), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: getTimerSelectionKeyboard(selectedTimers, user?.dayBeforeTimes, language),
+      });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (callbackData === 'settings_quiet') {
+      await bot.editMessageText(t(language, 'quiet.text'), {
         chat_id: chatId,
         message_id: query.message.message_id,
-        reply_markup: getTimerSelectionKeyboard(selectedTimers),
+        parse_mode: 'HTML',
+        reply_markup: getQuietHoursKeyboard(user?.quietHours, language),
+      });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (callbackData === 'settings_digest') {
+      await bot.editMessageText(t(language, 'digest.text'), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: getDigestKeyboard(user?.digest, language),
+      });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (callbackData === 'settings_language') {
+      await bot.editMessageText(t(language, 'language.title', { name: t(language, 'language.name') }), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: getLanguageKeyboard(language),
+      });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (callbackData === 'settings_menu') {
+      await bot.editMessageText(t(language, 'settings.title'), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: getSettingsKeyboard(user?.notificationsEnabled ?? true, language),
       });
       await bot.answerCallbackQuery(query.id);
       return;
     }
 
     if (callbackData === 'back_to_menu') {
-      await bot.editMessageText('🏠 Головне меню', {
+      await bot.editMessageText(t(language, 'menu.main'), {
         chat_id: chatId,
         message_id: query.message.message_id,
       });
       
-      await bot.sendMessage(chatId, '📱 Оберіть команду:', {
-        reply_markup: getMainMenuKeyboard(),
+      await bot.sendMessage(chatId, t(language, 'common.chooseCommand'), {
+        reply_markup: getMainMenuKeyboard(query.message.chat.type, language),
       });
       await bot.answerCallbackQuery(query.id);
       return;
@@ -444,7 +1896,210 @@ export async function handleSettingsCallback(bot, query, callbackData) {
     await bot.answerCallbackQuery(query.id);
   } catch (error) {
     console.error('[Handlers] Error in handleSettingsCallback:', error);
-    await bot.answerCallbackQuery(query.id, '❌ Сталася помилка', true);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
+  }
+}
+
+/**
+ * Handle region selection callback
+ * Changing region resets queue subscriptions, since queue IDs are per provider
+ */
+export async function handleRegionCallback(bot, query, callbackData) {
+  const chatId = query.message.chat.id;
+  let language = getUserLanguage(null, query.from);
+
+  try {
+    const region = callbackData.replace('region_', '');
+    console.log(`[Handlers] Region callback for chat ${chatId}, region:`, region);
+
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, query.from);
+
+    if (!isValidRegion(region)) {
+      await bot.answerCallbackQuery(query.id, t(language, 'region.invalid'), true);
+      return;
+    }
+
+    const update = user?.region === region ? { region } : { region, queues: [], locations: [] };
+    const updatedUser = await User.findOneAndUpdate({ chatId }, update, { new: true });
+
+    await bot.editMessageText(t(language, 'region.selected', { name: getProvider(region).name }), {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: getQueueSelectionKeyboard(updatedUser?.queues || [], region, language),
+    });
+
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error('[Handlers] Error in handleRegionCallback:', error);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
+  }
+}
+
+/**
+ * Save interface language of a chat
+ * Private chats also get the reply keyboard again, since its buttons are labeled in the old language
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} chat - Telegram chat object
+ * @param {string} language - New language
+ * @returns {Promise<boolean>} False if the chat is not registered
+ */
+async function setChatLanguage(bot, chat, language) {
+  const user = await User.findOneAndUpdate({ chatId: chat.id }, { language }, { new: true });
+
+  if (!user) {
+    return false;
+  }
+
+  console.log(`[Handlers] Chat ${chat.id} language set to ${language}`);
+
+  await bot.sendMessage(chat.id, t(language, 'language.changed', { name: t(language, 'language.name') }), {
+    reply_markup: getMainMenuKeyboard(chat.type, language),
+  });
+
+  return true;
+}
+
+/**
+ * Handle /language command - show or set interface language of the chat
+ * Supports "/language <code>" (e.g., "/language en")
+ */
+export async function handleLanguage(bot, msg, match) {
+  const chatId = msg.chat.id;
+  const args = match?.[1]?.trim().toLowerCase();
+  let language = getUserLanguage(null, msg.from);
+
+  try {
+    console.log(`[Handlers] /language called in chat ${chatId}`, args || '');
+
+    const user = await User.findOne({ chatId });
+    language = getUserLanguage(user, msg.from);
+
+    if (args) {
+      if (!(await canManageChat(bot, msg.chat, msg.from, msg.sender_chat))) {
+        await bot.sendMessage(chatId, t(language, 'common.notAdmin'));
+        return;
+      }
+
+      if (!isSupportedLanguage(args)) {
+        await bot.sendMessage(chatId, t(language, 'language.unknown', { languages: getSupportedLanguages().join(', ') }));
+        return;
+      }
+
+      if (!(await setChatLanguage(bot, msg.chat, args))) {
+        await bot.sendMessage(chatId, t(args, 'common.startFirst'));
+      }
+      return;
+    }
+
+    await bot.sendMessage(chatId, t(language, 'language.title', { name: t(language, 'language.name') }), {
+      parse_mode: 'HTML',
+      reply_markup: getLanguageKeyboard(language),
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleLanguage:', error);
+    await bot.sendMessage(chatId, t(language, 'common.error'));
+  }
+}
+
+/**
+ * Handle language selection callback
+ */
+export async function handleLanguageCallback(bot, query, callbackData) {
+  const chatId = query.message.chat.id;
+  let language = getUserLanguage(null, query.from);
+
+  try {
+    const selected = callbackData.replace('language_', '');
+
+    if (!isSupportedLanguage(selected)) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.unknownCommand'));
+      return;
+    }
+
+    if (!(await setChatLanguage(bot, query.message.chat, selected))) {
+      await bot.answerCallbackQuery(query.id, t(language, 'common.startFirst'), true);
+      return;
+    }
+
+    language = selected;
+
+    await bot.editMessageText(t(language, 'language.title', { name: t(language, 'language.name') }), {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: 'HTML',
+      reply_markup: getLanguageKeyboard(language),
+    });
+
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error('[Handlers] Error in handleLanguageCallback:', error);
+    await bot.answerCallbackQuery(query.id, t(language, 'common.errorShort'), true);
+  }
+}
+
+/**
+ * Handle inline query ("@bot 3.1" typed in any chat)
+ * Region, timezone and language come from the private chat of the person asking, if they started the bot
+ */
+export async function handleInlineQuery(bot, query) {
+  try {
+    console.log(`[Handlers] Inline query from user ${query.from.id}:`, query.query);
+
+    const user = await User.findOne({ chatId: query.from.id });
+    const results = await buildInlineResults(query.query, {
+      region: user?.region || DEFAULT_REGION,
+      timeZone: resolveTimeZone(user?.timezone),
+      language: getUserLanguage(user, query.from),
+    });
+
+    await bot.answerInlineQuery(query.id, results, {
+      cache_time: INLINE.CACHE_TIME_SECONDS,
+      is_personal: true,
+    });
+  } catch (error) {
+    console.error('[Handlers] Error in handleInlineQuery:', error);
+  }
+}
+
+/**
+ * Handle changes of the bot's own membership in a chat
+ * Stops notifications when the bot is removed from a group or channel
+ */
+export async function handleMyChatMember(bot, update) {
+  const chatId = update.chat.id;
+  const status = update.new_chat_member?.status;
+
+  try {
+    console.log(`[Handlers] Bot membership in ${update.chat.type} chat ${chatId} changed to ${status}`);
+
+    if (['left', 'kicked'].includes(status)) {
+      await User.findOneAndUpdate(
+        { chatId },
+        { notificationsEnabled: false, 'digest.enabled': false, 'liveStatus.messageId': null, 'liveStatus.text': null }
+      );
+      console.log(`[Handlers] Notifications disabled for chat ${chatId}`);
+    } else if (update.chat.type !== CHAT_TYPES.PRIVATE) {
+      await User.findOneAndUpdate({ chatId }, { title: update.chat.title || null });
+    }
+  } catch (error) {
+    console.error('[Handlers] Error in handleMyChatMember:', error);
+  }
+}
+
+/**
+ * Handle group upgrade to supergroup, which changes the chat ID
+ */
+export async function handleChatMigration(bot, msg) {
+  const chatId = msg.chat.id;
+  const newChatId = msg.migrate_to_chat_id;
+
+  try {
+    console.log(`[Handlers] Chat ${chatId} migrated to supergroup ${newChatId}`);
+
+    await User.findOneAndUpdate({ chatId }, { chatId: newChatId, chatType: CHAT_TYPES.SUPERGROUP });
+  } catch (error) {
+    console.error('[Handlers] Error in handleChatMigration:', error);
   }
 }
 
@@ -452,10 +2107,36 @@ export async function handleSettingsCallback(bot, query, callbackData) {
 console.log('[Handlers] Module loaded with exports:', {
   handleStart: typeof handleStart,
   handleQueues: typeof handleQueues,
+  handleRegion: typeof handleRegion,
+  handleFind: typeof handleFind,
+  handleAddressInput: typeof handleAddressInput,
+  handleFindCallback: typeof handleFindCallback,
+  handleLocations: typeof handleLocations,
+  handleLocationInput: typeof handleLocationInput,
+  handleLocationCallback: typeof handleLocationCallback,
   handleTimers: typeof handleTimers,
+  handleTimerInput: typeof handleTimerInput,
   handleStatus: typeof handleStatus,
+  handleLive: typeof handleLive,
+  handleChart: typeof handleChart,
+  handleHistory: typeof handleHistory,
+  handleStats: typeof handleStats,
+  handleCalendar: typeof handleCalendar,
   handleSettings: typeof handleSettings,
   handleQueueCallback: typeof handleQueueCallback,
   handleTimerCallback: typeof handleTimerCallback,
   handleSettingsCallback: typeof handleSettingsCallback,
+  handleRegionCallback: typeof handleRegionCallback,
+  handleStatsCallback: typeof handleStatsCallback,
+  handleQuiet: typeof handleQuiet,
+  handleQuietHoursCallback: typeof handleQuietHoursCallback,
+  handleTimezone: typeof handleTimezone,
+  handleFilter: typeof handleFilter,
+  handleLanguage: typeof handleLanguage,
+  handleLanguageCallback: typeof handleLanguageCallback,
+  handleDigest: typeof handleDigest,
+  handleDigestCallback: typeof handleDigestCallback,
+  handleInlineQuery: typeof handleInlineQuery,
+  handleMyChatMember: typeof handleMyChatMember,
+  handleChatMigration: typeof handleChatMigration,
 });
\ No newline at end of file
@@ -1,12 +1,50 @@
 import { getAllValidQueues } from '../utils/helpers.js';
+import { getAllProviders } from '../providers/index.js';
+import { formatLeadTime } from '../utils/timers.js';
+import { t, getSupportedLanguages } from '../utils/i18n.js';
+import {
+  DEFAULT_REGION,
+  DEFAULT_LANGUAGE,
+  CHAT_TYPES,
+  AVAILABLE_TIMERS,
+  NOTIFICATION_TYPES,
+  QUIET_ACTIONS,
+  DEFAULT_QUIET_HOURS,
+  DIGEST,
+  LOCATIONS,
+} from '../config/constants.js';
+
+const QUIET_HOURS_PRESETS = [
+  ['22:00', '07:00'],
+  ['23:00', '07:00'],
+  ['00:00', '08:00'],
+];
+
+/**
+ * Generate inline keyboard for region (schedule provider) selection
+ * @param {string} [selectedRegion] - Currently selected region key
+ * @returns {Object} Inline keyboard markup
+ */
+export function getRegionSelectionKeyboard(selectedRegion = null) {
+  const keyboard = getAllProviders().map(provider => [
+    {
+      text: provider.id === selectedRegion ? `✅ ${provider.name}` : `⬜️ ${provider.name}`,
+      callback_data: `region_${provider.id}`,
+    },
+  ]);
+
+  return { inline_keyboard: keyboard };
+}
 
 /**
  * Generate inline keyboard for queue selection (multi-select)
  * @param {string[]} selectedQueues - Currently selected queues
+ * @param {string} [region=DEFAULT_REGION] - Region whose queues are shown
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {Object} Inline keyboard markup
  */
-export function getQueueSelectionKeyboard(selectedQueues = []) {
-  const allQueues = getAllValidQueues();
+export function getQueueSelectionKeyboard(selectedQueues = [], region = DEFAULT_REGION, language = DEFAULT_LANGUAGE) {
+  const allQueues = getAllValidQueues(region);
   const keyboard = [];
   const buttonsPerRow = 2;
 
@@ -27,18 +65,25 @@ export function getQueueSelectionKeyboard(selectedQueues = []) {
 
   keyboard.push([
     {
-      text: selectedQueues.length > 0 ? '❌ Скасувати всі' : '✅ Вибрати всі',
+      text: t(language, selectedQueues.length > 0 ? 'queues.clearAll' : 'queues.selectAll'),
       callback_data: selectedQueues.length > 0 ? 'queue_clear_all' : 'queue_select_all',
     },
   ]);
 
   keyboard.push([
     {
-      text: '✔️ Підтвердити',
+      text: t(language, 'queues.findButton'),
+      callback_data: 'queue_find',
+    },
+  ]);
+
+  keyboard.push([
+    {
+      text: t(language, 'common.confirm'),
       callback_data: 'queue_done',
     },
     {
-      text: '↩️ Скасувати',
+      text: t(language, 'common.cancel'),
       callback_data: 'queue_cancel',
     },
   ]);
@@ -46,45 +91,74 @@ export function getQueueSelectionKeyboard(selectedQueues = []) {
   return { inline_keyboard: keyboard };
 }
 
+/**
+ * Generate inline keyboard to subscribe to queues found by address
+ * @param {string[]} queues - Found queues
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {Object} Inline keyboard markup
+ */
+export function getAddressQueuesKeyboard(queues, language = DEFAULT_LANGUAGE) {
+  const keyboard = queues.map(queue => [
+    {
+      text: t(language, 'find.subscribeButton', { queue }),
+      callback_data: `find_${queue}`,
+    },
+  ]);
+
+  return { inline_keyboard: keyboard };
+}
+
 /**
  * Generate inline keyboard for notification timer selection
- * @param {number[]} selectedTimers - Currently selected timers
+ * Shows preset lead times plus any custom timers the user added
+ * @param {number[]} selectedTimers - Currently selected lead times (minutes)
+ * @param {string[]} [dayBeforeTimes=[]] - Currently selected day-before times (HH:MM)
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {Object} Inline keyboard markup
  */
-export function getTimerSelectionKeyboard(selectedTimers = []) {
-  const timerOptions = [5, 10, 15, 30];
+export function getTimerSelectionKeyboard(selectedTimers = [], dayBeforeTimes = [], language = DEFAULT_LANGUAGE) {
+  const timerOptions = [...new Set([...AVAILABLE_TIMERS, ...selectedTimers])].sort((a, b) => a - b);
   const keyboard = [];
   const buttonsPerRow = 2;
 
-  for (let i = 0; i < timerOptions.length; i += buttonsPerRow) {
-    const row = [];
-    for (let j = 0; j < buttonsPerRow && i + j < timerOptions.length; j++) {
-      const timer = timerOptions[i + j];
-      const isSelected = selectedTimers.includes(timer);
-      const text = isSelected ? `✅ ⏰ ${timer}хв` : `⬜️ ⏰ ${timer}хв`;
+  const buttons = [
+    ...timerOptions.map(timer => ({
+      text: `${selectedTimers.includes(timer) ? '✅' : '⬜️'} ⏰ ${formatLeadTime(timer, language)}`,
+      callback_data: `timer_${timer}`,
+    })),
+    ...[...dayBeforeTimes].sort().map(time => ({
+      text: t(language, 'timers.dayBeforeButton', { time }),
+      callback_data: `timer_daybefore_${time}`,
+    })),
+  ];
 
-      row.push({
-        text: text,
-        callback_data: `timer_${timer}`,
-      });
-    }
-    keyboard.push(row);
+  for (let i = 0; i < buttons.length; i += buttonsPerRow) {
+    keyboard.push(buttons.slice(i, i + buttonsPerRow));
   }
 
   keyboard.push([
     {
-      text: selectedTimers.length > 0 ? '❌ Очистити' : '✅ Всі таймери',
-      callback_data: selectedTimers.length > 0 ? 'timer_clear_all' : 'timer_select_all',
+      text: t(language, 'timers.customButton'),
+      callback_data: 'timer_custom',
+    },
+  ]);
+
+  const hasTimers = selectedTimers.length > 0 || dayBeforeTimes.length > 0;
+
+  keyboard.push([
+    {
+      text: t(language, hasTimers ? 'timers.clearButton' : 'timers.selectAllButton'),
+      callback_data: hasTimers ? 'timer_clear_all' : 'timer_select_all',
     },
   ]);
 
   keyboard.push([
     {
-      text: '✔️ Підтвердити',
+      text: t(language, 'common.confirm'),
       callback_data: 'timer_done',
     },
     {
-      text: '↩️ Скасувати',
+      text: t(language, 'common.cancel'),
       callback_data: 'timer_cancel',
     },
   ]);
@@ -95,38 +169,229 @@ export function getTimerSelectionKeyboard(selectedTimers = []) {
 /**
  * Generate inline keyboard for notification settings
  * @param {boolean} notificationsEnabled - Current notification status
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {Object} Inline keyboard markup
  */
-export function getSettingsKeyboard(notificationsEnabled = true) {
+export function getSettingsKeyboard(notificationsEnabled = true, language = DEFAULT_LANGUAGE) {
   const notificationButton = notificationsEnabled 
-    ? '🔕 Вимкнути сповіщення' 
-    : '🔔 Увімкнути сповіщення';
+    ? t(language, 'settings.disableNotifications')
+    : t(language, 'settings.enableNotifications');
   const callbackData = notificationsEnabled 
     ? 'settings_disable_notifications' 
     : 'settings_enable_notifications';
 
+  const keyboard = [
+    [{ text: notificationButton, callback_data: callbackData }],
+    [
+      { text: t(language, 'settings.queuesButton'), callback_data: 'settings_queues' },
+      { text: t(language, 'settings.timersButton'), callback_data: 'settings_timers' }
+    ],
+    [
+      { text: t(language, 'settings.quietButton'), callback_data: 'settings_quiet' },
+      { text: t(language, 'settings.digestButton'), callback_data: 'settings_digest' }
+    ],
+    [
+      { text: t(language, 'locations.button'), callback_data: 'loc_list' },
+      { text: t(language, 'settings.languageButton'), callback_data: 'settings_language' }
+    ],
+  ];
+
+  // Region choice only makes sense with more than one provider
+  if (getAllProviders().length > 1) {
+    keyboard.push([{ text: t(language, 'region.button'), callback_data: 'settings_region' }]);
+  }
+
+  keyboard.push([{ text: t(language, 'menu.main'), callback_data: 'back_to_menu' }]);
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Generate inline keyboard with the list of a chat's named locations
+ * @param {Array} [locations=[]] - User locations
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {Object} Inline keyboard markup
+ */
+export function getLocationsKeyboard(locations = [], language = DEFAULT_LANGUAGE) {
+  const keyboard = locations.map(location => [
+    {
+      text: `${location.muted ? '🔕' : '📍'} ${location.label} · ${location.queue}`,
+      callback_data: `loc_view_${location._id}`,
+    },
+  ]);
+
+  if (locations.length < LOCATIONS.MAX_LOCATIONS) {
+    keyboard.push([{ text: t(language, 'locations.addButton'), callback_data: 'loc_add' }]);
+  }
+
+  keyboard.push([{ text: t(language, 'common.back'), callback_data: 'settings_menu' }]);
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Generate inline keyboard for one location: mute, own lead timers and removal
+ * @param {Object} location - Location subdocument
+ * @param {number[]} [chatTimers=[]] - Chat timers used while the location has no own timers
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {Object} Inline keyboard markup
+ */
+export function getLocationKeyboard(location, chatTimers = [], language = DEFAULT_LANGUAGE) {
+  const id = location._id;
+  const timers = location.timers ?? chatTimers;
+  const timerOptions = [...new Set([...AVAILABLE_TIMERS, ...timers])].sort((a, b) => a - b);
+  const buttonsPerRow = 2;
+
+  const keyboard = [
+    [{
+      text: t(language, location.muted ? 'locations.mutedButton' : 'locations.unmutedButton'),
+      callback_data: `loc_mute_${id}`,
+    }],
+  ];
+
+  for (let i = 0; i < timerOptions.length; i += buttonsPerRow) {
+    keyboard.push(timerOptions.slice(i, i + buttonsPerRow).map(timer => ({
+      text: `${timers.includes(timer) ? '✅' : '⬜️'} ⏰ ${formatLeadTime(timer, language)}`,
+      callback_data: `loc_timer_${id}_${timer}`,
+    })));
+  }
+
+  if (location.timers) {
+    keyboard.push([{ text: t(language, 'locations.inheritButton'), callback_data: `loc_inherit_${id}` }]);
+  }
+
+  keyboard.push([
+    { text: t(language, 'locations.deleteButton'), callback_data: `loc_delete_${id}` },
+    { text: t(language, 'locations.listButton'), callback_data: 'loc_list' },
+  ]);
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Generate inline keyboard for quiet hours settings
+ * Action buttons cycle through silent / defer / drop for each notification type
+ * @param {Object} [quietHours] - User quietHours settings
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {Object} Inline keyboard markup
+ */
+export function getQuietHoursKeyboard(quietHours = {}, language = DEFAULT_LANGUAGE) {
+  const enabled = Boolean(quietHours.enabled);
+  const from = quietHours.from || DEFAULT_QUIET_HOURS.FROM;
+  const to = quietHours.to || DEFAULT_QUIET_HOURS.TO;
+
+  const keyboard = [
+    [{
+      text: enabled ? t(language, 'quiet.enabledButton', { from, to }) : t(language, 'quiet.disabledButton'),
+      callback_data: 'quiet_toggle',
+    }],
+    QUIET_HOURS_PRESETS.map(([presetFrom, presetTo]) => ({
+      text: `${presetFrom === from && presetTo === to ? '✅ ' : ''}${presetFrom}–${presetTo}`,
+      callback_data: `quiet_range_${presetFrom}_${presetTo}`,
+    })),
+  ];
+
+  for (const type of Object.values(NOTIFICATION_TYPES)) {
+    const action = quietHours.actions?.[type] || QUIET_ACTIONS.SILENT;
+    keyboard.push([{
+      text: `${t(language, `quiet.type.${type}`)}: ${t(language, `quiet.action.${action}`)}`,
+      callback_data: `quiet_action_${type}`,
+    }]);
+  }
+
+  keyboard.push([{ text: t(language, 'common.back'), callback_data: 'settings_menu' }]);
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Generate inline keyboard for daily digest settings
+ * @param {Object} [digest] - User digest settings
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {Object} Inline keyboard markup
+ */
+export function getDigestKeyboard(digest = {}, language = DEFAULT_LANGUAGE) {
+  const enabled = Boolean(digest.enabled);
+  const time = digest.time || DIGEST.DEFAULT_TIME;
+  const keyboard = [
+    [{
+      text: enabled ? t(language, 'digest.enabledButton', { time }) : t(language, 'digest.disabledButton'),
+      callback_data: 'digest_toggle',
+    }],
+  ];
+
+  const buttonsPerRow = 2;
+  for (let i = 0; i < DIGEST.PRESET_TIMES.length; i += buttonsPerRow) {
+    keyboard.push(DIGEST.PRESET_TIMES.slice(i, i + buttonsPerRow).map(preset => ({
+      text: `${enabled && preset === time ? '✅' : '🕐'} ${preset}`,
+      callback_data: `digest_time_${preset}`,
+    })));
+  }
+
+  keyboard.push([{ text: t(language, 'common.back'), callback_data: 'settings_menu' }]);
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Generate inline keyboard for interface language selection
+ * @param {string} [selectedLanguage=DEFAULT_LANGUAGE] - Current language
+ * @returns {Object} Inline keyboard markup
+ */
+export function getLanguageKeyboard(selectedLanguage = DEFAULT_LANGUAGE) {
+  const keyboard = getSupportedLanguages().map(language => [
+    {
+      text: `${language === selectedLanguage ? '✅' : '⬜️'} ${t(language, 'language.name')}`,
+      callback_data: `language_${language}`,
+    },
+  ]);
+
+  keyboard.push([{ text: t(selectedLanguage, 'common.back'), callback_data: 'settings_menu' }]);
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Generate inline keyboard for stats period selection
+ * @param {number} selectedDays - Currently shown period
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {Object} Inline keyboard markup
+ */
+export function getStatsPeriodKeyboard(selectedDays = 7, language = DEFAULT_LANGUAGE) {
+  const periods = [7, 30];
+
   return {
     inline_keyboard: [
-      [{ text: notificationButton, callback_data: callbackData }],
-      [
-        { text: '⚙️ Налаштування черг', callback_data: 'settings_queues' },
-        { text: '⏱ Налаштування таймерів', callback_data: 'settings_timers' }
-      ],
-      [{ text: '🏠 Головне меню', callback_data: 'back_to_menu' }],
+      periods.map(days => ({
+        text: `${days === selectedDays ? '✅ ' : ''}${t(language, 'stats.period', { count: days })}`,
+        callback_data: `stats_${days}`,
+      })),
     ],
   };
 }
 
 /**
  * Generate main menu keyboard
- * @returns {Object} Reply keyboard markup
+ * Reply keyboards are shown only in private chats, since in groups they pop up for every member
+ * and channels do not support them at all
+ * @param {string} [chatType=CHAT_TYPES.PRIVATE] - Telegram chat type
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {Object|undefined} Reply keyboard markup
  */
-export function getMainMenuKeyboard() {
+export function getMainMenuKeyboard(chatType = CHAT_TYPES.PRIVATE, language = DEFAULT_LANGUAGE) {
+  if (chatType === CHAT_TYPES.CHANNEL) {
+    return undefined;
+  }
+
+  if (chatType !== CHAT_TYPES.PRIVATE) {
+    return getHideKeyboard();
+  }
+
   return {
     keyboard: [
       [
-        { text: '📊 Поточний статус' },
-        { text: '⚙️ Налаштування' }
+        { text: t(language, 'menu.status') },
+        { text: t(language, 'menu.settings') }
       ],
     ],
     resize_keyboard: true,
@@ -0,0 +1,53 @@
+/**
+ * Chat permission checks for group and channel subscriptions
+ */
+
+import { CHAT_TYPES } from '../config/constants.js';
+
+const ADMIN_STATUSES = ['creator', 'administrator'];
+
+/**
+ * Check if chat is a private chat with a user
+ * @param {Object} chat - Telegram chat object
+ * @returns {boolean} True for private chats
+ */
+export function isPrivateChat(chat) {
+  return chat?.type === CHAT_TYPES.PRIVATE;
+}
+
+/**
+ * Check if a user may change subscription settings of a chat
+ * Private chats: always. Groups and channels: chat admins only.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} chat - Telegram chat object
+ * @param {Object} [from] - Telegram user who sent the message or pressed the button
+ * @param {Object} [senderChat] - Chat the message was sent on behalf of
+ * @returns {Promise<boolean>} True if allowed
+ */
+export async function canManageChat(bot, chat, from, senderChat) {
+  if (isPrivateChat(chat)) {
+    return true;
+  }
+
+  // Anonymous group admins and channel posts are sent on behalf of the chat itself
+  if (senderChat?.id === chat.id) {
+    return true;
+  }
+
+  if (!from) {
+    return false;
+  }
+
+  try {
+    const member = await bot.getChatMember(chat.id, from.id);
+    return ADMIN_STATUSES.includes(member.status);
+  } catch (error) {
+    console.error(`[Permissions] Failed to get member ${from.id} of chat ${chat.id}:`, error.message);
+    return false;
+  }
+}
+
+export default {
+  isPrivateChat,
+  canManageChat,
+};
@@ -0,0 +1,267 @@
+/**
+ * Address parsing, normalization and matching for queue lookup (/find)
+ *
+ * Street names are compared by a search key: the name is lowercased, stripped of
+ * street type words ("вул.", "просп.", "street") and transliterated to Latin, so
+ * "вул. Грушевського", "Hrushevskoho st" and "ул. Грушевского" land close to each other.
+ */
+
+import { HOUSE_MATCH } from '../config/constants.js';
+
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'h', ґ: 'g', д: 'd', е: 'e', є: 'ie', ж: 'zh', з: 'z',
+  и: 'y', і: 'i', ї: 'i', й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p',
+  р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch',
+  ь: '', ю: 'iu', я: 'ia',
+  // Russian spellings are still common in street names typed by users
+  ы: 'y', э: 'e', ё: 'e', ъ: '',
+};
+
+// Spelling variants that transliteration systems disagree on, reduced to one form
+const LATIN_VARIANTS = [
+  [/kh/g, 'h'],
+  [/g/g, 'h'],
+  [/w/g, 'v'],
+  [/j/g, 'y'],
+  [/x/g, 'ks'],
+  [/c(?!h)/g, 'ts'],
+  [/[iy]([aeu])/g, 'y$1'],
+  [/(.)\1+/g, '$1'],
+];
+
+const STREET_TYPE_WORDS = new Set([
+  'вул', 'вулиця', 'ул', 'улица', 'просп', 'проспект', 'пр', 'пров', 'провулок', 'пер', 'переулок',
+  'бульв', 'бульвар', 'б-р', 'пл', 'площа', 'площадь', 'наб', 'набережна', 'шосе', 'туп', 'тупик',
+  'vul', 'vulytsia', 'st', 'str', 'street', 'ave', 'avenue', 'prosp', 'prov', 'blvd', 'sq',
+]);
+
+const HOUSE_PREFIX_WORDS = new Set(['буд', 'будинок', 'д', 'дом', 'b', 'bud', 'house', 'no']);
+const SETTLEMENT_PREFIX_REGEX = /^(?:м|місто|с|село|смт|г|город|m|s)\.?\s+/i;
+const HOUSE_REGEX = /^\d+[а-яіїєґa-z]?(?:[/-]\d+[а-яіїєґa-z]?)?$/i;
+const HOUSE_RANGE_REGEX = /^(\d+)\s*-\s*(\d+)$/;
+
+/**
+ * Transliterate Ukrainian (and Russian) text to Latin
+ * @param {string} text - Text in any script
+ * @returns {string} Lowercase Latin text
+ */
+export function transliterate(text) {
+  return Array.from(String(text || '').toLowerCase())
+    .map(char => CYRILLIC_TO_LATIN[char] ?? char)
+    .join('');
+}
+
+/**
+ * Build search key of a street name
+ * @param {string} street - Street name in Ukrainian, Russian or Latin (e.g., "вул. Шевченка")
+ * @returns {string} Search key (e.g., "shevchenka")
+ */
+export function normalizeStreetName(street) {
+  const words = String(street || '')
+    .toLowerCase()
+    .replace(/[ʼ'`’]/g, '')
+    .split(/[\s,.]+/)
+    .filter(word => word && !STREET_TYPE_WORDS.has(word));
+
+  let key = transliterate(words.join(' '))
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9 ]+/g, ' ');
+
+  for (const [pattern, replacement] of LATIN_VARIANTS) {
+    key = key.replace(pattern, replacement);
+  }
+
+  return key.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize house number for comparison ("12 а" and "12A" become "12a")
+ * @param {string} house - House number
+ * @returns {string} Normalized house number
+ */
+export function normalizeHouse(house) {
+  return transliterate(String(house || '').replace(/\s+/g, '')).replace(/[^a-z0-9/-]/g, '');
+}
+
+/**
+ * Split a free-form address into settlement, street and house number
+ * Accepts "вул. Шевченка 12", "Шевченка, 12а", "м. Калуш, вул. Франка 5" and "24 Серпня 3"
+ * @param {string} input - User input
+ * @returns {Object|null} { settlement, street, house } (settlement and house may be null), null if no street
+ */
+export function parseAddressQuery(input) {
+  const parts = String(input || '').split(',').map(part => part.trim()).filter(Boolean);
+
+  let settlement = null;
+  if (parts.length > 1 && SETTLEMENT_PREFIX_REGEX.test(parts[0])) {
+    settlement = parts.shift().replace(SETTLEMENT_PREFIX_REGEX, '').trim();
+  }
+
+  const words = parts.join(' ').split(/\s+/).filter(Boolean);
+  let house = null;
+
+  // House number is the last word, unless it is the only word (streets like "24 Серпня" start with digits)
+  if (words.length > 1 && HOUSE_REGEX.test(words[words.length - 1])) {
+    house = words.pop();
+  }
+  if (words.length > 1 && HOUSE_PREFIX_WORDS.has(words[words.length - 1].toLowerCase().replace(/\.$/, ''))) {
+    words.pop();
+  }
+
+  const street = words.join(' ').trim();
+  if (!normalizeStreetName(street)) {
+    return null;
+  }
+
+  return { settlement, street, house };
+}
+
+/**
+ * Check how precisely a dataset entry covers a house
+ * An entry listing the house itself ("17А") is more precise than a range ("16-40")
+ * or the whole street, so callers can prefer it when both match
+ * @param {string[]} houses - Entry houses: numbers ("12", "12А", "12/1") and ranges ("1-15"); empty means whole street
+ * @param {string} house - House number to check
+ * @returns {number} HOUSE_MATCH.EXACT, HOUSE_MATCH.RANGE or HOUSE_MATCH.NONE
+ */
+export function getHouseMatch(houses, house) {
+  if (!houses || houses.length === 0) {
+    return HOUSE_MATCH.RANGE;
+  }
+
+  const target = normalizeHouse(house);
+  const number = parseInt(target, 10);
+
+  if (houses.some(entry => normalizeHouse(entry) === target)) {
+    return HOUSE_MATCH.EXACT;
+  }
+
+  const inRange = houses.some(entry => {
+    const range = String(entry).match(HOUSE_RANGE_REGEX);
+    return range && number >= parseInt(range[1], 10) && number <= parseInt(range[2], 10);
+  });
+
+  return inRange ? HOUSE_MATCH.RANGE : HOUSE_MATCH.NONE;
+}
+
+/**
+ * Compute Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Compute similarity of two search keys
+ * A query matching one word of a multi-word street ("shevchenka" in "tarasa shevchenka")
+ * or its beginning ("shevch") scores almost as high as an exact match
+ * @param {string} query - Search key of user input
+ * @param {string} streetKey - Search key of a dataset street
+ * @returns {number} Similarity from 0 to 1
+ */
+export function getStreetSimilarity(query, streetKey) {
+  if (!query || !streetKey) {
+    return 0;
+  }
+
+  const ratio = (a, b) => 1 - getEditDistance(a, b) / Math.max(a.length, b.length);
+  let score = ratio(query, streetKey);
+
+  for (const word of streetKey.split(' ')) {
+    score = Math.max(score, ratio(query, word) * 0.95);
+  }
+
+  if (query.length >= 4 && streetKey.split(' ').some(word => word.startsWith(query))) {
+    score = Math.max(score, 0.9);
+  }
+
+  return score;
+}
+
+/**
+ * Split one CSV line into fields (supports quoted fields with commas and "" escapes)
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse address dataset from CSV
+ * Header must contain "street" and "queue" columns; "houses" (separated by ";") and "settlement" are optional
+ * @param {string} text - CSV text
+ * @returns {Array} Rows { settlement, street, houses, queue }
+ */
+export function parseAddressCsv(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0]).map(column => column.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const fields = parseCsvLine(line);
+    const row = Object.fromEntries(header.map((column, index) => [column, fields[index] ?? '']));
+
+    return {
+      settlement: row.settlement || null,
+      street: row.street,
+      houses: row.houses ? row.houses.split(';').map(house => house.trim()).filter(Boolean) : [],
+      queue: row.queue,
+    };
+  });
+}
+
+export default {
+  transliterate,
+  normalizeStreetName,
+  normalizeHouse,
+  parseAddressQuery,
+  getHouseMatch,
+  getStreetSimilarity,
+  parseAddressCsv,
+};
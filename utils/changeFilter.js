@@ -0,0 +1,181 @@
+/**
+ * Relevance rules for schedule change notifications
+ *
+ * A chat can ask to hear only about changes that matter to it (User.changeFilter):
+ *   - todayOnly: a changed period falls on the current day
+ *   - withinHours: a changed period falls within the next N hours
+ *   - onlyIncreases: total outage time grows
+ *   - minMinutes: at least N minutes change between power on and off
+ * Rules that are set must all hold; with no rules every change is reported.
+ */
+
+import { CHANGE_FILTER, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { getPeriodInterval } from './scheduleComparison.js';
+import { toZonedDate, formatDateString, getTimeZone } from './dateUtils.js';
+import { t } from './i18n.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Mark minutes covered by outage periods
+ * @param {Array} periods - Periods of one day
+ * @returns {Uint8Array} Two days of minutes from the start of the period's day (periods may cross midnight)
+ */
+function getOutageMinutes(periods) {
+  const minutes = new Uint8Array(2 * MINUTES_PER_DAY);
+
+  for (const interval of periods.map(getPeriodInterval).filter(Boolean)) {
+    minutes.fill(1, interval.start, Math.min(interval.end, minutes.length));
+  }
+
+  return minutes;
+}
+
+/**
+ * Get time ranges in which power state differs between the old and the new schedule
+ * E.g. an outage moved from 14:00-18:00 to 15:00-19:00 changed 14:00-15:00 and 18:00-19:00
+ * @param {Object} changes - Changes object from compareSchedules
+ * @returns {Array} Array of { start: Date, end: Date, minutes }
+ */
+function getChangedRanges(changes) {
+  const ranges = [];
+
+  for (const [date, { added, removed }] of Object.entries(changes)) {
+    const before = getOutageMinutes(removed);
+    const after = getOutageMinutes(added);
+    let rangeStart = null;
+
+    for (let minute = 0; minute <= before.length; minute++) {
+      const changed = minute < before.length && before[minute] !== after[minute];
+
+      if (changed && rangeStart === null) {
+        rangeStart = minute;
+      } else if (!changed && rangeStart !== null) {
+        ranges.push({
+          start: toZonedDate(date, rangeStart),
+          end: toZonedDate(date, minute),
+          minutes: minute - rangeStart,
+        });
+        rangeStart = null;
+      }
+    }
+  }
+
+  return ranges.filter(range => range.start && range.end);
+}
+
+/**
+ * Check if a chat has any change filter rule set
+ * @param {Object} filter - User.changeFilter
+ * @returns {boolean} True if at least one rule is set
+ */
+export function hasChangeFilter(filter) {
+  return Boolean(filter?.todayOnly || filter?.withinHours || filter?.onlyIncreases || filter?.minMinutes);
+}
+
+/**
+ * Check if schedule changes pass a chat's change filter
+ * @param {Object} changes - Changes object from compareSchedules
+ * @param {Object} filter - User.changeFilter
+ * @param {Date} [now=new Date()] - Current time
+ * @param {string} [timeZone=getTimeZone()] - Chat's display timezone (decides when "today" is)
+ * @returns {boolean} True if the chat should be notified
+ */
+export function isChangeRelevant(changes, filter, now = new Date(), timeZone = getTimeZone()) {
+  if (!hasChangeFilter(filter)) {
+    return true;
+  }
+
+  const ranges = getChangedRanges(changes);
+  const overlaps = (from, to) => ranges.some(range => range.start < to && from < range.end);
+
+  if (filter.todayOnly) {
+    const today = formatDateString(now, timeZone);
+
+    if (!overlaps(toZonedDate(today, 0, timeZone), toZonedDate(today, MINUTES_PER_DAY, timeZone))) {
+      return false;
+    }
+  }
+
+  if (filter.withinHours && !overlaps(now, new Date(now.getTime() + filter.withinHours * 3600000))) {
+    return false;
+  }
+
+  if (filter.onlyIncreases) {
+    const netMinutes = Object.values(changes).reduce((sum, day) => sum + (day.netMinutes || 0), 0);
+
+    if (netMinutes <= 0) {
+      return false;
+    }
+  }
+
+  if (filter.minMinutes && ranges.reduce((sum, range) => sum + range.minutes, 0) < filter.minMinutes) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Parse /filter arguments into a User update
+ * Accepts "today on|off", "hours <N>|off", "increase on|off", "min <N>|off" and "off" (clear all rules)
+ * @param {string} input - Command arguments
+ * @returns {Object|null} Update for User.updateOne or null if not recognized
+ */
+export function parseChangeFilterArgs(input) {
+  const [rule, value] = String(input || '').trim().toLowerCase().split(/\s+/);
+
+  if (rule === 'off' && value === undefined) {
+    return {
+      'changeFilter.todayOnly': false,
+      'changeFilter.withinHours': null,
+      'changeFilter.onlyIncreases': false,
+      'changeFilter.minMinutes': null,
+    };
+  }
+
+  if ((rule === 'today' || rule === 'increase') && (value === 'on' || value === 'off')) {
+    return { [rule === 'today' ? 'changeFilter.todayOnly' : 'changeFilter.onlyIncreases']: value === 'on' };
+  }
+
+  if (rule === 'hours' || rule === 'min') {
+    const field = rule === 'hours' ? 'changeFilter.withinHours' : 'changeFilter.minMinutes';
+    const max = rule === 'hours' ? CHANGE_FILTER.MAX_HOURS : CHANGE_FILTER.MAX_MINUTES;
+
+    if (value === 'off') {
+      return { [field]: null };
+    }
+
+    const number = /^\d+$/.test(value || '') ? parseInt(value, 10) : NaN;
+    return number >= 1 && number <= max ? { [field]: number } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Format a chat's change filter rules
+ * @param {Object} filter - User.changeFilter
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Rules as a list, or a note that every change is reported
+ */
+export function formatChangeFilter(filter, language = DEFAULT_LANGUAGE) {
+  if (!hasChangeFilter(filter)) {
+    return t(language, 'changeFilter.none');
+  }
+
+  const rules = [];
+  if (filter.todayOnly) rules.push(t(language, 'changeFilter.ruleToday'));
+  if (filter.withinHours) rules.push(t(language, 'changeFilter.ruleHours', { hours: filter.withinHours }));
+  if (filter.onlyIncreases) rules.push(t(language, 'changeFilter.ruleIncrease'));
+  if (filter.minMinutes) rules.push(t(language, 'changeFilter.ruleMinutes', { minutes: filter.minMinutes }));
+
+  return `${t(language, 'changeFilter.active')}\n${rules.join('\n')}`;
+}
+
+export default {
+  hasChangeFilter,
+  isChangeRelevant,
+  parseChangeFilterArgs,
+  formatChangeFilter,
+};
@@ -1,13 +1,114 @@
 /**
  * Date and time utility functions
+ * Schedules are published in local time of the provider, so all calendar calculations use
+ * an explicit IANA timezone instead of the server's zone
  */
 
+import { DEFAULT_TIMEZONE, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { t } from './i18n.js';
+
+const ZONED_FORMATTERS = new Map();
+
 /**
- * Parse date string in DD.MM.YYYY format to Date object
+ * Get timezone all schedule dates and times are interpreted in
+ * Configured with the TIMEZONE environment variable (IANA name), read on each call so it
+ * works regardless of when .env is loaded
+ * @returns {string} IANA timezone name
+ */
+export function getTimeZone() {
+  return process.env.TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Check if a string is a valid IANA timezone name
+ * @param {string} timeZone - Timezone name (e.g., "Europe/Kyiv")
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize user input into a canonical IANA timezone name
+ * @param {string} timeZone - Timezone name in any letter case (e.g., "europe/warsaw")
+ * @returns {string|null} Canonical name (e.g., "Europe/Warsaw") or null if invalid
+ */
+export function normalizeTimeZone(timeZone) {
+  if (!isValidTimeZone(timeZone)) {
+    return null;
+  }
+
+  return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+}
+
+/**
+ * Get calendar fields of a moment as seen in a timezone
+ * @param {Date} [date=new Date()] - Moment
+ * @param {string} [timeZone=getTimeZone()] - IANA timezone name
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+export function getZonedParts(date = new Date(), timeZone = getTimeZone()) {
+  if (!ZONED_FORMATTERS.has(timeZone)) {
+    ZONED_FORMATTERS.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of ZONED_FORMATTERS.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Get offset of a timezone from UTC at a moment
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (e.g., +3h for Kyiv in summer)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert wall-clock time on a date in a timezone to a moment
+ * Minutes may exceed one day (e.g. 24 * 60 + 30 is 00:30 of the next day). The offset is
+ * re-checked at the result, so times on DST transition days land correctly
  * @param {string} dateStr - Date string in format "DD.MM.YYYY"
- * @returns {Date} Parsed date with time set to 00:00:00
+ * @param {number} [minutes=0] - Minutes since midnight
+ * @param {string} [timeZone=getTimeZone()] - IANA timezone name
+ * @returns {Date|null} Moment or null if date is invalid
  */
-export function parseDateString(dateStr) {
+export function toZonedDate(dateStr, minutes = 0, timeZone = getTimeZone()) {
   if (!dateStr) {
     return null;
   }
@@ -17,21 +118,42 @@ export function parseDateString(dateStr) {
     return null;
   }
 
-  const date = new Date(year, month - 1, day);
-  date.setHours(0, 0, 0, 0);
-  return date;
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+
+  return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Parse date string in DD.MM.YYYY format to Date object
+ * @param {string} dateStr - Date string in format "DD.MM.YYYY"
+ * @returns {Date} Start of the day (00:00) in the configured timezone
+ */
+export function parseDateString(dateStr) {
+  return toZonedDate(dateStr, 0);
 }
 
 /**
  * Format current date to DD.MM.YYYY
  * @param {Date} [date=new Date()] - Date to format
+ * @param {string} [timeZone=getTimeZone()] - IANA timezone name
  * @returns {string} Formatted date string
  */
-export function formatDateString(date = new Date()) {
-  const day = String(date.getDate()).padStart(2, '0');
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const year = date.getFullYear();
-  return `${day}.${month}.${year}`;
+export function formatDateString(date = new Date(), timeZone = getTimeZone()) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${String(day).padStart(2, '0')}.${String(month).padStart(2, '0')}.${year}`;
+}
+
+/**
+ * Shift a date string by whole calendar days
+ * @param {string} dateStr - Date string in format "DD.MM.YYYY"
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date string
+ */
+export function addDaysToDateString(dateStr, days) {
+  const [day, month, year] = dateStr.split('.').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return formatDateString(shifted, 'UTC');
 }
 
 /**
@@ -47,9 +169,16 @@ export function getTodayString() {
  * @returns {string} Yesterday's date
  */
 export function getYesterdayString() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return formatDateString(yesterday);
+  return addDaysToDateString(getTodayString(), -1);
+}
+
+/**
+ * Get tomorrow's date string in DD.MM.YYYY format
+ * @param {Date} [date=new Date()] - Reference date
+ * @returns {string} Tomorrow's date
+ */
+export function getTomorrowString(date = new Date()) {
+  return addDaysToDateString(formatDateString(date), 1);
 }
 
 /**
@@ -85,18 +214,16 @@ export function isTodayOrFuture(dateStr) {
     return false;
   }
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  return eventDate >= today;
+  return eventDate >= parseDateString(getTodayString());
 }
 
 /**
  * Parse time string to minutes since midnight
  * @param {string} timeStr - Time string in format "HH:MM"
+ * @param {boolean} [isEndTime=false] - Accept "24:00" (end of the day, 1440) as period end
  * @returns {number|null} Minutes since midnight, or null if invalid
  */
-export function parseTimeToMinutes(timeStr) {
+export function parseTimeToMinutes(timeStr, isEndTime = false) {
   if (!timeStr || typeof timeStr !== 'string') {
     return null;
   }
@@ -107,6 +234,10 @@ export function parseTimeToMinutes(timeStr) {
   }
 
   const [hour, minute] = parts.map(Number);
+  if (isEndTime && hour === 24 && minute === 0) {
+    return 24 * 60;
+  }
+
   if (isNaN(hour) || isNaN(minute) || hour < 0 || hour > 23 || minute < 0 || minute > 59) {
     return null;
   }
@@ -128,83 +259,68 @@ export function formatMinutesToTime(minutes) {
 /**
  * Get current time in minutes since midnight
  * @param {Date} [date=new Date()] - Date to get time from
+ * @param {string} [timeZone=getTimeZone()] - IANA timezone name
  * @returns {number} Minutes since midnight
  */
-export function getCurrentMinutes(date = new Date()) {
-  return date.getHours() * 60 + date.getMinutes();
+export function getCurrentMinutes(date = new Date(), timeZone = getTimeZone()) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
 }
 
 /**
  * Format current time as HH:MM
  * @param {Date} [date=new Date()] - Date to format
+ * @param {string} [timeZone=getTimeZone()] - IANA timezone name
  * @returns {string} Time string in format "HH:MM"
  */
-export function formatCurrentTime(date = new Date()) {
-  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+export function formatCurrentTime(date = new Date(), timeZone = getTimeZone()) {
+  return formatMinutesToTime(getCurrentMinutes(date, timeZone));
 }
 
 /**
- * Check if event is relevant for power return check
- * Handles midnight transitions correctly
- * @param {string} eventDate - Event date string
- * @param {string} todayStr - Today's date string
- * @param {number} currentHour - Current hour (0-23)
- * @returns {boolean} True if event is relevant
+ * Show a schedule period "HH:MM-HH:MM" in a display timezone
+ * Periods are published in the schedule timezone and returned unchanged when the display
+ * timezone is not set or is the same
+ * @param {string} dateStr - Schedule date of the period ("DD.MM.YYYY")
+ * @param {string} time - Period "HH:MM-HH:MM"
+ * @param {string|null} [timeZone=null] - Display timezone
+ * @returns {string} Period in the display timezone
  */
-export function isRelevantForPowerReturn(eventDate, todayStr, currentHour) {
-  if (!eventDate) {
-    return true;
+export function convertPeriodTime(dateStr, time, timeZone = null) {
+  if (!timeZone || timeZone === getTimeZone()) {
+    return time;
   }
 
-  if (eventDate === todayStr) {
-    return true;
-  }
+  const match = String(time).match(/^(\d{2}:\d{2})-(\d{2}:\d{2})$/);
+  const from = parseTimeToMinutes(match?.[1]);
+  const to = parseTimeToMinutes(match?.[2], true);
+  const start = toZonedDate(dateStr, from ?? 0);
 
-  // Check for midnight transition (events from yesterday that end after midnight)
-  if (isYesterday(eventDate) && currentHour === 0) {
-    return true;
+  if (from === null || to === null || !start) {
+    return time;
   }
 
-  return false;
+  const end = toZonedDate(dateStr, to <= from ? to + 24 * 60 : to);
+  return `${formatCurrentTime(start, timeZone)}-${formatCurrentTime(end, timeZone)}`;
 }
 
 /**
- * Check if time is within a window (for notifications)
- * @param {number} targetMinutes - Target time in minutes
- * @param {number} currentMinutes - Current time in minutes
- * @param {number} windowMinutes - Window size in minutes
- * @returns {boolean} True if within window
+ * Build a note telling that schedule times are shown in a chat's own timezone
+ * @param {string|null} timeZone - Display timezone
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Note line or empty string when times are in the schedule timezone
  */
-export function isWithinTimeWindow(targetMinutes, currentMinutes, windowMinutes) {
-  const diff = targetMinutes - currentMinutes;
-  return diff >= 0 && diff <= windowMinutes;
+export function formatTimeZoneNote(timeZone, language = DEFAULT_LANGUAGE) {
+  return timeZone && timeZone !== getTimeZone() ? `${t(language, 'schedule.timeZoneNote', { timeZone })}\n\n` : '';
 }
 
 /**
- * Calculate difference between two times in minutes
- * @param {string} targetTime - Target time "HH:MM"
- * @param {string} currentTime - Current time "HH:MM"
- * @returns {number|null} Difference in minutes, or null if invalid
- */
-export function getTimeDifferenceMinutes(targetTime, currentTime) {
-  const targetMins = parseTimeToMinutes(targetTime);
-  const currentMins = parseTimeToMinutes(currentTime);
-
-  if (targetMins === null || currentMins === null) {
-    return null;
-  }
-
-  return targetMins - currentMins;
-}
-
-/**
- * Check if time is in early morning (for midnight transition handling)
- * @param {number} minutes - Minutes since midnight
- * @param {number} cutoff - Cutoff in minutes (default 60 for 1 AM)
- * @returns {boolean} True if in early morning
+ * Resolve display timezone of a chat
+ * @param {string|null} timeZone - Chat's timezone setting
+ * @returns {string} Chat's timezone if valid, otherwise the schedule timezone
  */
-export function isEarlyMorning(minutes, cutoff = 60) {
-  return minutes <= cutoff;
+export function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : getTimeZone();
 }
 
 /**
@@ -234,10 +350,17 @@ export function sortScheduleByDate(schedule) {
 }
 
 export default {
+  getTimeZone,
+  isValidTimeZone,
+  normalizeTimeZone,
+  getZonedParts,
+  toZonedDate,
   parseDateString,
   formatDateString,
+  addDaysToDateString,
   getTodayString,
   getYesterdayString,
+  getTomorrowString,
   isToday,
   isYesterday,
   isTodayOrFuture,
@@ -245,9 +368,8 @@ export default {
   formatMinutesToTime,
   getCurrentMinutes,
   formatCurrentTime,
-  isRelevantForPowerReturn,
-  isWithinTimeWindow,
-  getTimeDifferenceMinutes,
-  isEarlyMorning,
+  convertPeriodTime,
+  formatTimeZoneNote,
+  resolveTimeZone,
   sortScheduleByDate,
 };
@@ -10,44 +10,6 @@ export function hashSchedule(schedule) {
   return crypto.createHash('sha256').update(json).digest('hex');
 }
 
-/**
- * Check if power is currently off for a given queue
- * @param {Object} schedule - The schedule object
- * @returns {boolean} True if power is currently off
- */
-export function isPowerOffNow(schedule) {
-  if (!schedule || !schedule.data) {
-    return false;
-  }
-
-  const now = new Date();
-  const currentTime = now.getHours() * 60 + now.getMinutes();
-
-  // Check if current time falls within any blackout period
-  for (const period of schedule.data) {
-    if (!period.from || !period.to) {
-      continue;
-    }
-
-    const [fromHour, fromMin] = period.from.split(':').map(Number);
-    const [toHour, toMin] = period.to.split(':').map(Number);
-
-    const fromTime = fromHour * 60 + fromMin;
-    const toTime = toHour * 60 + toMin;
-
-    if (toTime < fromTime) {
-      // Period spans midnight
-      if (currentTime >= fromTime || currentTime < toTime) {
-        return true;
-      }
-    } else if (currentTime >= fromTime && currentTime < toTime) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
 /**
  * Generate event ID for tracking notifications
  * @param {string} queue - Queue identifier
@@ -66,13 +28,17 @@ export function generateEventId(queue, time, date = '') {
  * Format schedule data for user display (supports multi-day schedules)
  * @param {Object|Array} rawSchedule - The raw schedule data from API (array format)
  * @param {string} queue - Queue identifier
+ * @param {string|null} [timeZone=null] - Display timezone of the chat (times are converted when it differs)
+ * @param {string|null} [label=null] - Location label of the queue (from getQueueLabel)
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {string} Formatted schedule text
  */
-export function formatScheduleText(rawSchedule, queue) {
+export function formatScheduleText(rawSchedule, queue, timeZone = null, label = null, language = DEFAULT_LANGUAGE) {
   // Handle new API format (array with queues object) - MULTI-DAY SUPPORT
   if (Array.isArray(rawSchedule) && rawSchedule.length > 0) {
-    let fullText = `⚡️ <b>Черга ${queue}</b>\n`;
+    let fullText = `⚡️ <b>${formatQueueName(queue, label, language)}</b>\n`;
     fullText += `━━━━━━━━━━━━━━━━\n\n`;
+    fullText += formatTimeZoneNote(timeZone, language);
 
     // Sort schedule by date
     const sortedSchedule = sortScheduleByDate(rawSchedule);
@@ -82,38 +48,45 @@ export function formatScheduleText(rawSchedule, queue) {
         continue;
       }
 
-      const scheduleForQueue = daySchedule.queues[queue];
-      const eventDate = daySchedule.eventDate || 'Сьогодні';
+      // Back-to-back periods are shown as one continuous outage
+      const scheduleForQueue = mergeDayPeriods(daySchedule.queues[queue]);
+      const eventDate = daySchedule.eventDate || t(language, 'common.today');
 
       fullText += `📅 <b>${eventDate}</b>\n\n`;
 
       // Check if there are any outages for this day
       if (!Array.isArray(scheduleForQueue) || scheduleForQueue.length === 0) {
-        fullText += `   🟢 Відключення не заплановані\n\n`;
+        fullText += `   🟢 ${t(language, 'schedule.noOutages')}\n\n`;
       } else {
         // Format outages
-        scheduleForQueue.forEach((outage) => {
+        const overnightEnd = findOvernightContinuation(sortedSchedule, daySchedule, scheduleForQueue, queue, timeZone);
+
+        scheduleForQueue.forEach((outage, index) => {
           const status = outage.status === OUTAGE_STATUS.SCHEDULED ? '🔴' : '🟢';
-          const time = outage.shutdownHours || `${outage.from}-${outage.to}`;
+          const time = convertPeriodTime(eventDate, outage.shutdownHours || `${outage.from}-${outage.to}`, timeZone);
           
           // Calculate duration
           let duration = '';
           if (outage.from && outage.to) {
             const mins = calculateDuration(outage.from, outage.to);
-            duration = ` – на ${formatDuration(mins)}`;
+            duration = t(language, 'schedule.duration', { duration: formatDuration(mins, language) });
           } else if (outage.shutdownHours) {
             const match = outage.shutdownHours.match(/(\d{2}:\d{2})-(\d{2}:\d{2})/);
             if (match) {
               const mins = calculateDuration(match[1], match[2]);
-              duration = ` – на ${formatDuration(mins)}`;
+              duration = t(language, 'schedule.duration', { duration: formatDuration(mins, language) });
             }
           }
           
-          fullText += `   ${status} <code>${time}</code>${duration}\n\n`;
+          const continuation = overnightEnd && index === scheduleForQueue.length - 1
+            ? t(language, 'schedule.continuesUntil', { time: overnightEnd })
+            : '';
+
+          fullText += `   ${status} <code>${time}</code>${duration}${continuation}\n\n`;
         });
 
         if (daySchedule.scheduleApprovedSince) {
-          fullText += `✅ <i>Затверджено: ${daySchedule.scheduleApprovedSince}</i>\n\n`;
+          fullText += `${t(language, 'schedule.approved', { date: daySchedule.scheduleApprovedSince })}\n\n`;
         }
       }
     }
@@ -124,10 +97,10 @@ export function formatScheduleText(rawSchedule, queue) {
   // Handle old format (for backward compatibility)
   if (rawSchedule && rawSchedule.data && Array.isArray(rawSchedule.data)) {
     if (rawSchedule.data.length === 0) {
-      return `⚡ Черга ${queue}: Відключення не заплановані`;
+      return `⚡ ${formatQueueName(queue, label, language)}: ${t(language, 'schedule.noOutages')}`;
     }
 
-    let text = `⚡ Черга ${queue}:\n\n`;
+    let text = `⚡ ${formatQueueName(queue, label, language)}:\n\n`;
 
     for (const period of rawSchedule.data) {
       if (period.from && period.to) {
@@ -138,35 +111,132 @@ export function formatScheduleText(rawSchedule, queue) {
     return text;
   }
 
-  return `⚡ Черга ${queue}: Немає доступних даних`;
+  return `⚡ ${formatQueueName(queue, label, language)}: ${t(language, 'common.noDataAvailable')}`;
 }
 
-import { VALID_QUEUES, OUTAGE_STATUS } from '../config/constants.js';
-import { sortScheduleByDate } from './dateUtils.js';
+import { DEFAULT_REGION, DEFAULT_LANGUAGE, OUTAGE_STATUS } from '../config/constants.js';
+import {
+  sortScheduleByDate,
+  formatDateString,
+  formatCurrentTime,
+  parseDateString,
+  parseTimeToMinutes,
+  toZonedDate,
+  getTomorrowString,
+  getTimeZone,
+  convertPeriodTime,
+  formatTimeZoneNote,
+} from './dateUtils.js';
 import { calculateDuration, formatDuration } from './scheduleComparison.js';
+import { getProviderQueues } from '../providers/index.js';
+import { formatQueueName } from './locations.js';
+import { t } from './i18n.js';
+import { mergeDayPeriods, extractStartTime, extractEndTime } from '../services/scheduleService.js';
+
+/**
+ * Find where an outage running until midnight ends on the next day
+ * @param {Array} schedule - Schedule array
+ * @param {Object} daySchedule - Day of the outage
+ * @param {Array} periods - Merged periods of the day
+ * @param {string} queue - Queue ID
+ * @param {string|null} timeZone - Display timezone
+ * @returns {string|null} End time on the next day or null if the outage does not continue
+ */
+function findOvernightContinuation(schedule, daySchedule, periods, queue, timeZone) {
+  const last = periods[periods.length - 1];
+  if (!last || last.status !== OUTAGE_STATUS.SCHEDULED || !['00:00', '24:00'].includes(extractEndTime(last))) {
+    return null;
+  }
+
+  const dayStart = parseDateString(daySchedule.eventDate);
+  if (!dayStart) {
+    return null;
+  }
+
+  const nextDate = getTomorrowString(dayStart);
+  const nextDay = schedule.find(day => day?.eventDate === nextDate);
+  const first = mergeDayPeriods(nextDay?.queues?.[queue])[0];
+
+  if (first?.status !== OUTAGE_STATUS.SCHEDULED || extractStartTime(first) !== '00:00') {
+    return null;
+  }
+
+  const end = toZonedDate(nextDate, parseTimeToMinutes(extractEndTime(first), true) ?? 0);
+  return formatCurrentTime(end, timeZone || getTimeZone());
+}
+
+/**
+ * Format time left until a moment
+ * @param {Date} target - Target time
+ * @param {Date} now - Current time
+ * @param {number} [step=1] - Rounding step in minutes (rounded up); with step > 1 the value is approximate
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Formatted countdown (e.g., "1 год 25 хв", "~1 год 25 хв", "менше 5 хв")
+ */
+export function formatCountdown(target, now, step = 1, language = DEFAULT_LANGUAGE) {
+  const minutes = Math.max(Math.ceil((target - now) / 60000), 1);
+
+  if (step > 1 && minutes <= step) {
+    return t(language, 'duration.lessThan', { duration: formatDuration(step, language) });
+  }
+
+  const rounded = Math.ceil(minutes / step) * step;
+  return `${step > 1 ? '~' : ''}${formatDuration(rounded, language)}`;
+}
+
+/**
+ * Format power status of a queue as one line
+ * @param {Object} status - Status from getPowerStatus
+ * @param {Date} now - Time the status was computed for
+ * @param {number} [countdownStep=1] - Countdown rounding step in minutes
+ * @param {string} [timeZone=getTimeZone()] - Display timezone
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Status line (HTML)
+ */
+export function formatPowerStatus(status, now, countdownStep = 1, timeZone = getTimeZone(), language = DEFAULT_LANGUAGE) {
+  // Switch time, with the date when it is not today (outages crossing midnight)
+  const formatAt = (date) => {
+    const day = formatDateString(date, timeZone);
+    return `<b>${formatCurrentTime(date, timeZone)}</b>${day !== formatDateString(now, timeZone) ? ` ${day}` : ''}`;
+  };
+  const countdown = t(language, 'status.countdown', { time: formatCountdown(status.nextChangeAt, now, countdownStep, language) });
+
+  if (status.powerOff) {
+    return t(language, 'status.powerOff', { at: formatAt(status.currentOutage.end), countdown });
+  }
+
+  if (status.nextOutage) {
+    return t(language, 'status.powerOn', { at: formatAt(status.nextOutage.start), countdown });
+  }
+
+  return t(language, 'status.noOutages');
+}
 
 /**
  * Validate queue identifier
  * @param {string} queue - Queue to validate
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
  * @returns {boolean} True if queue is valid
  */
-export function isValidQueue(queue) {
-  return VALID_QUEUES.includes(queue);
+export function isValidQueue(queue, region = DEFAULT_REGION) {
+  return getProviderQueues(region).includes(queue);
 }
 
 /**
  * Filter valid queues from an array
  * @param {string[]} queues - Array of queue identifiers
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
  * @returns {string[]} Array of valid queues
  */
-export function filterValidQueues(queues) {
-  return queues.filter(isValidQueue);
+export function filterValidQueues(queues, region = DEFAULT_REGION) {
+  return queues.filter(queue => isValidQueue(queue, region));
 }
 
 /**
  * Get all valid queues
+ * @param {string} [region=DEFAULT_REGION] - Provider region key
  * @returns {string[]} Array of all valid queue identifiers
  */
-export function getAllValidQueues() {
-  return [...VALID_QUEUES];
+export function getAllValidQueues(region = DEFAULT_REGION) {
+  return getProviderQueues(region);
 }
\ No newline at end of file
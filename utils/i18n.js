@@ -0,0 +1,108 @@
+/**
+ * Interface localization
+ *
+ * Messages are looked up by key in the catalogs under locales/. A key missing from a
+ * catalog falls back to the default language, so a partially translated catalog still works.
+ */
+
+import uk from '../locales/uk.js';
+import en from '../locales/en.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../config/constants.js';
+
+const CATALOGS = {
+  [LANGUAGES.UK]: uk,
+  [LANGUAGES.EN]: en,
+};
+
+const pluralRules = new Map();
+
+/**
+ * Check if a language has a message catalog
+ * @param {string} language - Language code
+ * @returns {boolean} True if supported
+ */
+export function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(CATALOGS, language);
+}
+
+/**
+ * Pick interface language for a Telegram language_code
+ * @param {string} [languageCode] - IETF language tag from Telegram (e.g., "en", "en-US", "uk")
+ * @returns {string} Supported language, DEFAULT_LANGUAGE if the code is missing or unsupported
+ */
+export function resolveLanguage(languageCode) {
+  const language = String(languageCode || '').toLowerCase().split('-')[0];
+  return isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get interface language of a chat
+ * Chats registered with /start have a stored language; before that the Telegram
+ * language of whoever sent the message or pressed the button is used
+ * @param {Object|null} user - User document
+ * @param {Object} [from] - Telegram user
+ * @returns {string} Supported language
+ */
+export function getUserLanguage(user, from) {
+  return isSupportedLanguage(user?.language) ? user.language : resolveLanguage(from?.language_code);
+}
+
+/**
+ * Select plural form for a count
+ * @param {string} language - Language code
+ * @param {Object} forms - Forms keyed by Intl.PluralRules category
+ * @param {number} count - Count
+ * @returns {string} Form (falls back to "other")
+ */
+function selectPluralForm(language, forms, count) {
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(language));
+  }
+  return forms[pluralRules.get(language).select(count)] ?? forms.other;
+}
+
+/**
+ * Translate a message key
+ * @param {string} language - Language code
+ * @param {string} key - Message key (e.g., "common.error")
+ * @param {Object} [params={}] - Values for {placeholders}; "count" also selects the plural form
+ * @returns {string} Message (the key itself if no catalog has it)
+ */
+export function t(language, key, params = {}) {
+  const catalog = CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+  let message = catalog[key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+
+  if (typeof message === 'object') {
+    message = selectPluralForm(isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE, message, params.count ?? 0);
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * Get a message in every supported language
+ * Used to recognize texts the bot sent earlier (reply keyboard buttons, reply prompts),
+ * which stay in the language they were sent in
+ * @param {string} key - Message key
+ * @returns {string[]} Distinct messages
+ */
+export function getTranslations(key) {
+  return [...new Set(getSupportedLanguages().map(language => t(language, key)))];
+}
+
+/**
+ * Get supported languages
+ * @returns {string[]} Language codes
+ */
+export function getSupportedLanguages() {
+  return Object.keys(CATALOGS);
+}
+
+export default {
+  isSupportedLanguage,
+  resolveLanguage,
+  getUserLanguage,
+  t,
+  getTranslations,
+  getSupportedLanguages,
+};
@@ -0,0 +1,125 @@
+/**
+ * iCalendar (RFC 5545) feed generation for outage periods
+ */
+
+import { buildOutageIntervals } from '../services/scheduleService.js';
+import { generateEventId } from './helpers.js';
+import { calculateDuration, formatDuration } from './scheduleComparison.js';
+
+const PRODUCT_ID = '-//Ukraine Power Outage Bot//Outage Schedule//UK';
+const REFRESH_INTERVAL = 'PT15M';
+
+/**
+ * Format date as iCalendar UTC timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar timestamp
+ */
+function formatICalDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text value (commas, semicolons, backslashes and newlines)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold content line to 75 octets as required by RFC 5545
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, which counts towards the limit
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build stable event UID from queue and outage start
+ * Same outage keeps the same UID across feed refreshes, so clients update it in place
+ * @param {string} region - Provider region key
+ * @param {string} queue - Queue ID
+ * @param {Object} interval - Outage interval
+ * @returns {string} Event UID
+ */
+export function buildEventUid(region, queue, interval) {
+  const eventId = generateEventId(queue, interval.from, interval.eventDate);
+  return `${region}_${eventId}`.replace(/[^\w.-]/g, '-') + '@power-outage-bot';
+}
+
+/**
+ * Build iCalendar feed with one VEVENT per outage period
+ * @param {Array} schedule - Schedule array
+ * @param {string} queue - Queue ID
+ * @param {string} region - Provider region key
+ * @param {Date} [generatedAt=new Date()] - Feed generation time (DTSTAMP)
+ * @returns {string} iCalendar document
+ */
+export function buildOutageCalendar(schedule, queue, region, generatedAt = new Date()) {
+  const stamp = formatICalDate(generatedAt);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Відключення світла — черга ${queue}`)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+  ];
+
+  for (const interval of buildOutageIntervals(schedule, queue)) {
+    const duration = formatDuration(calculateDuration(interval.from, interval.to));
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${buildEventUid(region, queue, interval)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatICalDate(interval.start)}`,
+      `DTEND:${formatICalDate(interval.end)}`,
+      `SUMMARY:${escapeText(`🔴 Відключення світла (черга ${queue})`)}`,
+      `DESCRIPTION:${escapeText(`Черга ${queue}: ${interval.from}-${interval.to}, тривалість ${duration}`)}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export default {
+  buildEventUid,
+  buildOutageCalendar,
+};
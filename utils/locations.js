@@ -0,0 +1,147 @@
+/**
+ * Named locations of a chat
+ *
+ * A location gives a subscribed queue a name ("Дім", "Мама") and may override the chat's
+ * lead timers or mute notifications for that place. Queues without locations work as
+ * before: unnamed and with the chat's timers. Several locations may share a queue.
+ */
+
+import { LOCATIONS, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { t } from './i18n.js';
+
+const LOCATION_QUEUE_REGEX = /^(.+?)[\s,]+(\d+\.\d+)$/;
+
+/**
+ * Clean up a location label typed by the user
+ * Removes HTML special characters, since labels are shown in HTML messages
+ * @param {string} label - User input
+ * @returns {string} Label (empty if nothing usable was typed)
+ */
+export function sanitizeLocationLabel(label) {
+  return String(label || '')
+    .replace(/[<>&]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, LOCATIONS.MAX_LABEL_LENGTH);
+}
+
+/**
+ * Parse "add location" input
+ * Accepts "<label> <queue>" ("Дім 3.1") or "<label>, <address>" ("Мама, вул. Шевченка 12")
+ * @param {string} input - User input
+ * @returns {Object|null} { label, queue } or { label, address }, null if not recognized
+ */
+export function parseLocationInput(input) {
+  const text = String(input || '').trim();
+
+  const queueMatch = text.match(LOCATION_QUEUE_REGEX);
+  if (queueMatch) {
+    const label = sanitizeLocationLabel(queueMatch[1]);
+    return label ? { label, queue: queueMatch[2] } : null;
+  }
+
+  const commaIndex = text.indexOf(',');
+  if (commaIndex > 0) {
+    const label = sanitizeLocationLabel(text.slice(0, commaIndex));
+    const address = text.slice(commaIndex + 1).replace(/[<>&]/g, '').trim();
+    return label && address ? { label, address } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Validate adding a location to a chat
+ * @param {Object} user - User document
+ * @param {string} label - Sanitized label
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language of the error
+ * @returns {string|null} Error message for the user or null if valid
+ */
+export function validateNewLocation(user, label, language = DEFAULT_LANGUAGE) {
+  const locations = user?.locations || [];
+
+  if (locations.length >= LOCATIONS.MAX_LOCATIONS) {
+    return t(language, 'locations.tooMany', { max: LOCATIONS.MAX_LOCATIONS });
+  }
+
+  if (locations.some(location => location.label.toLowerCase() === label.toLowerCase())) {
+    return t(language, 'locations.exists', { label });
+  }
+
+  return null;
+}
+
+/**
+ * Get locations of a chat that use a queue
+ * @param {Object} user - User document
+ * @param {string} queue - Queue ID
+ * @returns {Array} Location subdocuments
+ */
+export function getQueueLocations(user, queue) {
+  return (user?.locations || []).filter(location => location.queue === queue);
+}
+
+/**
+ * Get display label of a queue: names of all its locations
+ * @param {Object} user - User document
+ * @param {string} queue - Queue ID
+ * @returns {string|null} Labels joined with commas (e.g., "Дім, Мама") or null if the queue has no locations
+ */
+export function getQueueLabel(user, queue) {
+  const labels = getQueueLocations(user, queue).map(location => location.label);
+  return labels.length > 0 ? labels.join(', ') : null;
+}
+
+/**
+ * Format queue name for message headers
+ * @param {string} queue - Queue ID
+ * @param {string|null} [label=null] - Location label from getQueueLabel
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} "Дім · черга 3.1" or "Черга 3.1"
+ */
+export function formatQueueName(queue, label = null, language = DEFAULT_LANGUAGE) {
+  return label ? t(language, 'queue.nameWithLabel', { label, queue }) : t(language, 'queue.name', { queue });
+}
+
+/**
+ * Get queues a chat should be notified about, with labels and lead timers
+ * A queue whose locations are all muted is left out; otherwise its label names the
+ * unmuted locations and its timers are the union of their timers
+ * @param {Object} user - User document
+ * @returns {Array} Array of { queue, label, timers }
+ */
+export function getNotificationTargets(user) {
+  const targets = [];
+
+  for (const queue of user.queues) {
+    const locations = getQueueLocations(user, queue);
+
+    if (locations.length === 0) {
+      targets.push({ queue, label: null, timers: user.timers });
+      continue;
+    }
+
+    const active = locations.filter(location => !location.muted);
+    if (active.length === 0) {
+      continue;
+    }
+
+    targets.push({
+      queue,
+      label: active.map(location => location.label).join(', '),
+      timers: [...new Set(active.flatMap(location => location.timers ?? user.timers))],
+    });
+  }
+
+  return targets;
+}
+
+export default {
+  sanitizeLocationLabel,
+  parseLocationInput,
+  validateNewLocation,
+  getQueueLocations,
+  getQueueLabel,
+  formatQueueName,
+  getNotificationTargets,
+};
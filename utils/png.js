@@ -0,0 +1,127 @@
+/**
+ * Minimal PNG encoder
+ * Writes 8-bit RGB images with Node's zlib, so charts render without a browser, GPU or native modules
+ */
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLOR_TYPE_RGB = 2;
+const BYTES_PER_PIXEL = 3;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute CRC-32 of a buffer (as used by PNG chunks)
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Create a blank RGB image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} [background=[255, 255, 255]] - Fill color [r, g, b]
+ * @returns {Object} { width, height, pixels }
+ */
+export function createImage(width, height, background = [255, 255, 255]) {
+  const pixels = Buffer.alloc(width * height * BYTES_PER_PIXEL);
+
+  for (let i = 0; i < pixels.length; i += BYTES_PER_PIXEL) {
+    pixels[i] = background[0];
+    pixels[i + 1] = background[1];
+    pixels[i + 2] = background[2];
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Fill a rectangle, clipped to the image
+ * @param {Object} image - Image from createImage
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @param {number[]} color - Fill color [r, g, b]
+ */
+export function fillRect(image, x, y, width, height, color) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(image.width, Math.round(x + width));
+  const bottom = Math.min(image.height, Math.round(y + height));
+
+  for (let row = top; row < bottom; row++) {
+    for (let col = left; col < right; col++) {
+      const offset = (row * image.width + col) * BYTES_PER_PIXEL;
+      image.pixels[offset] = color[0];
+      image.pixels[offset + 1] = color[1];
+      image.pixels[offset + 2] = color[2];
+    }
+  }
+}
+
+/**
+ * Encode an image as PNG
+ * @param {Object} image - Image from createImage
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePng(image) {
+  const { width, height, pixels } = image;
+  const rowLength = width * BYTES_PER_PIXEL;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+
+  // Every scanline starts with filter type 0 (none)
+  for (let row = 0; row < height; row++) {
+    pixels.copy(raw, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = COLOR_TYPE_RGB;
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+export default {
+  createImage,
+  fillRect,
+  encodePng,
+};
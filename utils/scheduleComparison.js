@@ -3,8 +3,11 @@
  * For detecting and displaying changes in schedules
  */
 
-import { parseTimeToMinutes } from './dateUtils.js';
-import { OUTAGE_STATUS } from '../config/constants.js';
+import { parseTimeToMinutes, convertPeriodTime, formatTimeZoneNote, sortScheduleByDate } from './dateUtils.js';
+import { OUTAGE_STATUS, CHANGE_TYPES, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { formatQueueName } from './locations.js';
+import { t } from './i18n.js';
+import { mergeDayPeriods } from '../services/scheduleService.js';
 
 /**
  * Calculate duration in minutes between two times
@@ -14,7 +17,7 @@ import { OUTAGE_STATUS } from '../config/constants.js';
  */
 export function calculateDuration(startTime, endTime) {
   const start = parseTimeToMinutes(startTime);
-  const end = parseTimeToMinutes(endTime);
+  const end = parseTimeToMinutes(endTime, true);
   
   if (start === null || end === null) {
     return 0;
@@ -31,29 +34,36 @@ export function calculateDuration(startTime, endTime) {
 /**
  * Format duration in human-readable format
  * @param {number} minutes - Duration in minutes
- * @returns {string} Formatted duration "Xгод Yхв" or "Xхв"
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Formatted duration "X год Y хв" or "Y хв" (empty for zero)
  */
-export function formatDuration(minutes) {
+export function formatDuration(minutes, language = DEFAULT_LANGUAGE) {
   if (minutes === 0) return '';
 
   const hours = Math.floor(minutes / 60);
   const mins = minutes % 60;
+  const parts = [];
 
-  if (hours === 0) {
-    return `${mins}хв`;
-  } else if (mins === 0) {
-    return `${hours} год`;
-  } else {
-    return `${hours} год ${mins} хв`;
+  if (hours > 0) {
+    parts.push(t(language, 'duration.hours', { count: hours }));
   }
+  if (mins > 0) {
+    parts.push(t(language, 'duration.minutes', { count: mins }));
+  }
+
+  return parts.join(' ');
 }
 
 /**
  * Compare two schedules and find differences
+ * Besides exact added/removed periods, each day gets `details`: the changed outages matched
+ * by overlap and classified (see CHANGE_TYPES), and `netMinutes`: how much longer (positive)
+ * or shorter the day's total outage time became. Details compare back-to-back periods merged
+ * (mergeDayPeriods), the way schedules are shown
  * @param {Array} oldSchedule - Old schedule array (filtered)
  * @param {Array} newSchedule - New schedule array (filtered)
  * @param {string} queue - Queue ID
- * @returns {Object} Object with added and removed periods by date
+ * @returns {Object} { [date]: { added, removed, details, netMinutes } }
  */
 export function compareSchedules(oldSchedule, newSchedule, queue) {
   const changes = {};
@@ -92,13 +102,169 @@ export function compareSchedules(oldSchedule, newSchedule, queue) {
     }
 
     if (added.length > 0 || removed.length > 0) {
-      changes[date] = { added, removed };
+      changes[date] = {
+        added,
+        removed,
+        details: classifyMergedChanges(oldPeriods, newPeriods),
+        netMinutes: getTotalOffMinutes(newPeriods) - getTotalOffMinutes(oldPeriods),
+      };
     }
   }
 
   return changes;
 }
 
+/**
+ * Get outage interval of a period in minutes from the start of its day
+ * @param {Object} period - Period object (from/to or shutdownHours)
+ * @returns {Object|null} { start, end } (end past 1440 if the period crosses midnight),
+ *   null for "no outage" periods and unparseable times
+ */
+export function getPeriodInterval(period) {
+  if (period?.status === OUTAGE_STATUS.NO_OUTAGE) {
+    return null;
+  }
+
+  const match = period?.shutdownHours?.match(/(\d{2}:\d{2})-(\d{2}:\d{2})/);
+  const start = parseTimeToMinutes(period?.from || match?.[1]);
+  const end = parseTimeToMinutes(period?.to || match?.[2], true);
+
+  if (start === null || end === null) {
+    return null;
+  }
+
+  return { start, end: end <= start ? end + 24 * 60 : end };
+}
+
+/**
+ * Get total outage time of a day, counting overlapping periods once
+ * @param {Array} periods - Periods of a queue for one day
+ * @returns {number} Minutes without power
+ */
+function getTotalOffMinutes(periods) {
+  const intervals = periods
+    .map(getPeriodInterval)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  let total = 0;
+  let coveredUntil = -Infinity;
+
+  for (const { start, end } of intervals) {
+    if (end > coveredUntil) {
+      total += end - Math.max(start, coveredUntil);
+      coveredUntil = end;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Classify one group of overlapping old and new periods
+ * @param {Array} before - Old intervals of the group
+ * @param {Array} after - New intervals of the group
+ * @returns {string} Change type from CHANGE_TYPES
+ */
+function getChangeType(before, after) {
+  if (before.length === 0) return CHANGE_TYPES.NEW;
+  if (after.length === 0) return CHANGE_TYPES.CANCELLED;
+  if (after.length > before.length) return CHANGE_TYPES.SPLIT;
+  if (after.length < before.length) return CHANGE_TYPES.MERGED;
+
+  if (before.length === 1) {
+    const [oldInterval] = before;
+    const [newInterval] = after;
+
+    if (newInterval.start <= oldInterval.start && newInterval.end >= oldInterval.end) return CHANGE_TYPES.EXTENDED;
+    if (newInterval.start >= oldInterval.start && newInterval.end <= oldInterval.end) return CHANGE_TYPES.SHORTENED;
+  }
+
+  return CHANGE_TYPES.MOVED;
+}
+
+/**
+ * Match removed and added periods of a day by overlap and classify the changes
+ * Overlapping periods form one group (e.g. one old period and the two it was split into).
+ * A period that simply moved to a time not overlapping the old one leaves exactly one
+ * cancelled and one new group; that pair is reported as moved
+ * @param {Array} removed - Periods no longer in the schedule
+ * @param {Array} added - Periods new to the schedule
+ * @returns {Array} Array of { type, before, after } sorted by time, periods as in the schedule
+ */
+function classifyChanges(removed, added) {
+  const items = [
+    ...removed.map(period => ({ period, isNew: false, interval: getPeriodInterval(period) })),
+    ...added.map(period => ({ period, isNew: true, interval: getPeriodInterval(period) })),
+  ].filter(item => item.interval);
+
+  // Union-find over old/new pairs that overlap
+  const parent = items.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  items.forEach((a, i) => {
+    items.forEach((b, j) => {
+      if (j > i && a.isNew !== b.isNew && a.interval.start < b.interval.end && b.interval.start < a.interval.end) {
+        parent[find(j)] = find(i);
+      }
+    });
+  });
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), item]);
+  });
+
+  let details = [...groups.values()].map(group => {
+    const before = group.filter(item => !item.isNew);
+    const after = group.filter(item => item.isNew);
+
+    return {
+      type: getChangeType(before.map(item => item.interval), after.map(item => item.interval)),
+      before: before.map(item => item.period),
+      after: after.map(item => item.period),
+      start: Math.min(...group.map(item => item.interval.start)),
+    };
+  });
+
+  const cancelled = details.filter(detail => detail.type === CHANGE_TYPES.CANCELLED);
+  const created = details.filter(detail => detail.type === CHANGE_TYPES.NEW);
+
+  if (cancelled.length === 1 && created.length === 1 && cancelled[0].before.length === 1 && created[0].after.length === 1) {
+    details = [
+      ...details.filter(detail => detail !== cancelled[0] && detail !== created[0]),
+      {
+        type: CHANGE_TYPES.MOVED,
+        before: cancelled[0].before,
+        after: created[0].after,
+        start: Math.min(cancelled[0].start, created[0].start),
+      },
+    ];
+  }
+
+  return details
+    .sort((a, b) => a.start - b.start)
+    .map(({ type, before, after }) => ({ type, before, after }));
+}
+
+/**
+ * Classify changes between a day's old and new periods, with back-to-back periods merged
+ * A 14:00-16:00 outage followed by a new 16:00-18:00 one is reported as 14:00-18:00 extended
+ * @param {Array} oldPeriods - Old periods of the day
+ * @param {Array} newPeriods - New periods of the day
+ * @returns {Array} Array of { type, before, after } (see classifyChanges)
+ */
+function classifyMergedChanges(oldPeriods, newPeriods) {
+  const oldBlocks = mergeDayPeriods(oldPeriods);
+  const newBlocks = mergeDayPeriods(newPeriods);
+
+  return classifyChanges(
+    oldBlocks.filter(block => !newBlocks.some(other => periodsEqual(other, block))),
+    newBlocks.filter(block => !oldBlocks.some(other => periodsEqual(other, block)))
+  );
+}
+
 /**
  * Group periods by date
  * @param {Array} schedule - Schedule array
@@ -140,95 +306,118 @@ function periodsEqual(p1, p2) {
   return time1 === time2 && p1.status === p2.status;
 }
 
+/**
+ * Format period time and duration for a schedule line
+ * @param {string} eventDate - Date of the period "DD.MM.YYYY"
+ * @param {Object} period - Period object (from/to or shutdownHours)
+ * @param {string|null} timeZone - Display timezone
+ * @param {string} language - Interface language
+ * @returns {string} "08:00-12:00 – на 4 год"
+ */
+function formatPeriodLine(eventDate, period, timeZone, language) {
+  const time = convertPeriodTime(eventDate, period.shutdownHours || `${period.from}-${period.to}`, timeZone);
+
+  // Calculate duration
+  let duration = '';
+  if (period.from && period.to) {
+    const mins = calculateDuration(period.from, period.to);
+    duration = t(language, 'schedule.duration', { duration: formatDuration(mins, language) });
+  } else if (period.shutdownHours) {
+    const match = period.shutdownHours.match(/(\d{2}:\d{2})-(\d{2}:\d{2})/);
+    if (match) {
+      const mins = calculateDuration(match[1], match[2]);
+      duration = t(language, 'schedule.duration', { duration: formatDuration(mins, language) });
+    }
+  }
+
+  return `${time}${duration}`;
+}
+
+/**
+ * Format label of a changed period, e.g. "⏫ подовжено, було 14:00-16:00"
+ * @param {Object} detail - Classified change from compareSchedules
+ * @param {string} eventDate - Date of the change "DD.MM.YYYY"
+ * @param {string|null} timeZone - Display timezone
+ * @param {string} language - Interface language
+ * @returns {string} Label text
+ */
+function formatChangeLabel(detail, eventDate, timeZone, language) {
+  const was = detail.before
+    .map(period => convertPeriodTime(eventDate, period.shutdownHours || `${period.from}-${period.to}`, timeZone))
+    .join(', ');
+
+  return t(language, `changes.${detail.type}`, { was });
+}
+
 /**
  * Format schedule with changes highlighted
+ * Changed periods are labeled with what happened to them (moved, extended, split...),
+ * cancelled ones are shown struck through, and each changed day ends with the net
+ * change of its outage time
  * @param {Array} schedule - Schedule array
  * @param {string} queue - Queue ID
  * @param {Object} changes - Changes object from compareSchedules
+ * @param {string|null} [timeZone=null] - Display timezone of the chat (times are converted when it differs)
+ * @param {string|null} [label=null] - Location label of the queue (from getQueueLabel)
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
  * @returns {string} Formatted schedule text with changes
  */
-export function formatScheduleWithChanges(schedule, queue, changes) {
+export function formatScheduleWithChanges(schedule, queue, changes, timeZone = null, label = null, language = DEFAULT_LANGUAGE) {
   if (!Array.isArray(schedule) || schedule.length === 0) {
-    return `⚡️ <b>Черга ${queue}</b>\n━━━━━━━━━━━━━━━━\n\nНемає даних`;
+    return `⚡️ <b>${formatQueueName(queue, label, language)}</b>\n━━━━━━━━━━━━━━━━\n\n${t(language, 'common.noData')}`;
   }
 
-  let fullText = `⚡️ <b>Черга ${queue}</b>\n`;
+  let fullText = `⚡️ <b>${formatQueueName(queue, label, language)}</b>\n`;
   fullText += `━━━━━━━━━━━━━━━━\n\n`;
+  fullText += formatTimeZoneNote(timeZone, language);
 
   // Sort schedule by date
-  const sortedSchedule = [...schedule].sort((a, b) => {
-    if (!a.eventDate || !b.eventDate) return 0;
-    const [dayA, monthA, yearA] = a.eventDate.split('.').map(Number);
-    const [dayB, monthB, yearB] = b.eventDate.split('.').map(Number);
-    const dateA = new Date(yearA, monthA - 1, dayA);
-    const dateB = new Date(yearB, monthB - 1, dayB);
-    return dateA - dateB;
-  });
+  const sortedSchedule = sortScheduleByDate(schedule);
 
   for (const daySchedule of sortedSchedule) {
     if (!daySchedule || !daySchedule.queues || !daySchedule.queues[queue]) {
       continue;
     }
 
-    const scheduleForQueue = daySchedule.queues[queue];
-    const eventDate = daySchedule.eventDate || 'Сьогодні';
+    // Back-to-back periods are shown as one continuous outage, as in the regular schedule view
+    const scheduleForQueue = mergeDayPeriods(daySchedule.queues[queue]);
+    const eventDate = daySchedule.eventDate || t(language, 'common.today');
     const dateChanges = changes[eventDate];
+    const details = dateChanges?.details || [];
 
     fullText += `📅 <b>${eventDate}</b>\n\n`;
 
+    // First show cancelled periods (what was deleted from old schedule)
+    details
+      .filter(detail => detail.type === CHANGE_TYPES.CANCELLED)
+      .flatMap(detail => detail.before)
+      .forEach((removed) => {
+        // Strikethrough for removed (deleted) periods
+        fullText += `   ❌ <s>${formatPeriodLine(eventDate, removed, timeZone, language)}</s> · <i>${t(language, 'changes.cancelled')}</i>\n\n`;
+      });
+
     // Check if there are any outages for this day
     if (!Array.isArray(scheduleForQueue) || scheduleForQueue.length === 0) {
-      fullText += `   🟢 Відключення не заплановані\n\n`;
+      fullText += `   🟢 ${t(language, 'schedule.noOutages')}\n\n`;
     } else {
-      // First show removed periods (what was deleted from old schedule)
-      if (dateChanges?.removed && dateChanges.removed.length > 0) {
-        dateChanges.removed.forEach((removed) => {
-          const time = removed.shutdownHours || `${removed.from}-${removed.to}`;
-          
-          // Calculate duration for removed period
-          let duration = '';
-          if (removed.from && removed.to) {
-            const mins = calculateDuration(removed.from, removed.to);
-            duration = ` – на ${formatDuration(mins)}`;
-          } else if (removed.shutdownHours) {
-            const match = removed.shutdownHours.match(/(\d{2}:\d{2})-(\d{2}:\d{2})/);
-            if (match) {
-              const mins = calculateDuration(match[1], match[2]);
-              duration = ` – на ${formatDuration(mins)}`;
-            }
-          }
-          
-          // Strikethrough for removed (deleted) periods
-          fullText += `   ❌ <s>${time}${duration}</s>\n\n`;
-        });
-      }
-
-      // Then show current/real outages (actual schedule)
+      // Then show current/real outages (actual schedule), labeled if they changed
       scheduleForQueue.forEach((outage) => {
-        const time = outage.shutdownHours || `${outage.from}-${outage.to}`;
-        
-        // Calculate duration
-        let duration = '';
-        if (outage.from && outage.to) {
-          const mins = calculateDuration(outage.from, outage.to);
-          duration = ` – на ${formatDuration(mins)}`;
-        } else if (outage.shutdownHours) {
-          const match = outage.shutdownHours.match(/(\d{2}:\d{2})-(\d{2}:\d{2})/);
-          if (match) {
-            const mins = calculateDuration(match[1], match[2]);
-            duration = ` – на ${formatDuration(mins)}`;
-          }
-        }
+        const detail = details.find(d => d.after.some(period => periodsEqual(period, outage)));
+        const changeLabel = detail ? ` · <i>${formatChangeLabel(detail, eventDate, timeZone, language)}</i>` : '';
 
         // All real outages get red circle
-        fullText += `   🔴 ${time}${duration}\n\n`;
+        fullText += `   🔴 ${formatPeriodLine(eventDate, outage, timeZone, language)}${changeLabel}\n\n`;
       });
-      
 
       if (daySchedule.scheduleApprovedSince) {
-        fullText += `✅ <i>Затверджено: ${daySchedule.scheduleApprovedSince}</i>\n\n`;
+        fullText += `${t(language, 'schedule.approved', { date: daySchedule.scheduleApprovedSince })}\n\n`;
       }
     }
+
+    if (dateChanges?.netMinutes) {
+      const duration = formatDuration(Math.abs(dateChanges.netMinutes), language);
+      fullText += `${t(language, dateChanges.netMinutes > 0 ? 'changes.netMore' : 'changes.netLess', { duration })}\n\n`;
+    }
   }
 
   return fullText.trim();
@@ -238,5 +427,6 @@ export default {
   calculateDuration,
   formatDuration,
   compareSchedules,
+  getPeriodInterval,
   formatScheduleWithChanges,
 };
@@ -0,0 +1,126 @@
+/**
+ * Notification timer parsing, validation and formatting
+ *
+ * Two kinds of timers are supported:
+ *   - lead: minutes before an outage starts (stored in User.timers)
+ *   - dayBefore: clock time "HH:MM" on the day before outage day (stored in User.dayBeforeTimes)
+ */
+
+import { TIMER_LIMITS, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { formatDuration } from './scheduleComparison.js';
+import { t } from './i18n.js';
+
+const CLOCK_TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DURATION_REGEX = /^(?:(\d+)\s*(?:h(?:ours?|rs?)?|год[а-яі]*|г)\.?)?\s*(?:(\d+)\s*(?:m(?:in(?:utes?|s)?)?|хв[а-яі]*|х)?\.?)?$/i;
+
+/**
+ * Parse clock time "H:MM" / "HH:MM" into normalized "HH:MM"
+ * @param {string} input - User input
+ * @returns {string|null} Normalized time or null if invalid
+ */
+export function parseClockTime(input) {
+  const match = String(input || '').trim().match(CLOCK_TIME_REGEX);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Parse user input into a timer
+ * Accepts minutes ("90", "45 хв", "45 min"), hours ("2h", "2 hours", "2 год", "1 год 30 хв")
+ * and clock times for the day before ("21:00")
+ * @param {string} input - User input
+ * @returns {Object|null} { type: 'lead', minutes } or { type: 'dayBefore', time }, null if not recognized
+ */
+export function parseTimerInput(input) {
+  const text = String(input || '').trim().toLowerCase();
+  if (!text) {
+    return null;
+  }
+
+  const time = parseClockTime(text);
+  if (time) {
+    return { type: 'dayBefore', time };
+  }
+
+  const durationMatch = text.match(DURATION_REGEX);
+  if (!durationMatch || (durationMatch[1] === undefined && durationMatch[2] === undefined)) {
+    return null;
+  }
+
+  const hours = parseInt(durationMatch[1] || '0', 10);
+  const minutes = parseInt(durationMatch[2] || '0', 10);
+
+  return { type: 'lead', minutes: hours * 60 + minutes };
+}
+
+/**
+ * Check if lead time is within allowed range
+ * @param {number} minutes - Lead time in minutes
+ * @returns {boolean} True if valid
+ */
+export function isValidLeadTime(minutes) {
+  return Number.isInteger(minutes) &&
+    minutes >= TIMER_LIMITS.MIN_MINUTES &&
+    minutes <= TIMER_LIMITS.MAX_MINUTES;
+}
+
+/**
+ * Validate adding a timer to a user's timers
+ * @param {Object} user - User document (or plain object with timers and dayBeforeTimes)
+ * @param {Object} timer - Parsed timer from parseTimerInput
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language of the error
+ * @returns {string|null} Error message for the user or null if valid
+ */
+export function validateNewTimer(user, timer, language = DEFAULT_LANGUAGE) {
+  if (timer.type === 'lead' && !isValidLeadTime(timer.minutes)) {
+    return t(language, 'timers.outOfRange', {
+      min: formatLeadTime(TIMER_LIMITS.MIN_MINUTES, language),
+      max: formatLeadTime(TIMER_LIMITS.MAX_MINUTES, language),
+    });
+  }
+
+  const timers = user?.timers || [];
+  const dayBeforeTimes = user?.dayBeforeTimes || [];
+
+  // Adding an existing timer is a no-op, so it never hits the cap
+  if (timer.type === 'lead' ? timers.includes(timer.minutes) : dayBeforeTimes.includes(timer.time)) {
+    return null;
+  }
+
+  if (timers.length + dayBeforeTimes.length >= TIMER_LIMITS.MAX_TIMERS) {
+    return t(language, 'timers.tooMany', { max: TIMER_LIMITS.MAX_TIMERS });
+  }
+
+  return null;
+}
+
+/**
+ * Format lead time for display
+ * @param {number} minutes - Lead time in minutes
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Formatted lead time (e.g., "1 год 30 хв")
+ */
+export function formatLeadTime(minutes, language = DEFAULT_LANGUAGE) {
+  return formatDuration(minutes, language) || t(language, 'duration.minutes', { count: 0 });
+}
+
+/**
+ * Format parsed timer for display
+ * @param {Object} timer - Parsed timer from parseTimerInput
+ * @param {string} [language=DEFAULT_LANGUAGE] - Interface language
+ * @returns {string} Formatted timer
+ */
+export function formatTimer(timer, language = DEFAULT_LANGUAGE) {
+  if (timer.type === 'dayBefore') {
+    return t(language, 'timers.dayBefore', { time: timer.time });
+  }
+  return t(language, 'timers.lead', { duration: formatLeadTime(timer.minutes, language) });
+}
+
+export default {
+  parseClockTime,
+  parseTimerInput,
+  isValidLeadTime,
+  validateNewTimer,
+  formatLeadTime,
+  formatTimer,
+};